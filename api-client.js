@@ -0,0 +1,158 @@
+/**
+ * Client for this site's API (/api/mp, /api/representatives, ...).
+ * Used by the page (window.ApiClient), the embeddable widget, which
+ * points it at this site from a partner's page, and tests.
+ *
+ * Failed requests throw an Error whose message is translated from the
+ * API error code (see I18n.apiErrorMessage), with `code` and `status`
+ * set, and `candidates` for MULTIPLE_RIDINGS.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./i18n.js'));
+    } else {
+        root.ApiClient = factory(root.I18n);
+    }
+})(typeof document !== 'undefined' && document.currentScript && document.currentScript.dataset.namespace
+    ? self[document.currentScript.dataset.namespace]
+    : typeof self !== 'undefined' ? self : this, function (I18n) {
+    'use strict';
+
+    /**
+     * Create an API client
+     * Options: { base: 'https://example.org' (defaults to this site),
+     *            language: () => 'fr' (for error messages), fetch }
+     */
+    function createApiClient(options = {}) {
+        const base = (options.base || '').replace(/\/+$/, '');
+        const language = options.language || (() => I18n.DEFAULT_LANGUAGE);
+        const request = options.fetch || ((url, init) => fetch(url, init));
+        const senatorsByProvince = new Map();
+
+        /**
+         * Request an endpoint (GET unless `init` says otherwise) and parse
+         * the JSON response
+         */
+        async function call(path, query, failure, init) {
+            const queryString = query ? `?${new URLSearchParams(query)}` : '';
+            const response = await request(`${base}${path}${queryString}`, init);
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                const error = new Error(I18n.apiErrorMessage(language(), errorData.code, errorData.error) ||
+                    `${failure} (status ${response.status})`);
+                error.code = errorData.code;
+                error.status = response.status;
+                error.candidates = errorData.candidates || [];
+                throw error;
+            }
+
+            return response.json();
+        }
+
+        /**
+         * Fetch the normalized federal MP record
+         * Query is { postcode } or { lat, lng }
+         */
+        function fetchMp(query) {
+            return call('/api/mp', query, 'Failed to fetch MP data');
+        }
+
+        /**
+         * Fetch representatives at a level ('provincial', 'municipal' or 'all')
+         * Query is { postcode } or { lat, lng }
+         */
+        function fetchRepresentatives(query, level) {
+            return call('/api/representatives', { ...query, level }, 'Failed to fetch representatives');
+        }
+
+        /**
+         * Fetch a campaign's configuration (the default campaign when name is empty)
+         */
+        function fetchCampaign(name) {
+            return call('/api/campaign', name ? { name } : null, 'Failed to load campaign');
+        }
+
+        /**
+         * Fetch the senators for a province, cached per province
+         */
+        async function fetchSenators(province) {
+            if (!senatorsByProvince.has(province)) {
+                const data = await call('/api/senators', { province }, 'Failed to load senators');
+                senatorsByProvince.set(province, data.senators);
+            }
+            return senatorsByProvince.get(province);
+        }
+
+        /**
+         * Search MPs by name or riding
+         */
+        function searchMps(query) {
+            return call('/api/search', { q: query }, 'Search failed');
+        }
+
+        /**
+         * How many letters have been sent to a riding's representative in a
+         * campaign (the default campaign when empty)
+         */
+        function fetchActionCount(campaign, level, riding) {
+            return call('/api/count', { campaign: campaign || '', level, riding }, 'Failed to load count');
+        }
+
+        /**
+         * Count a letter sent to a riding's representative in a campaign
+         * Sent with keepalive so it completes when a mail app takes over the tab
+         */
+        function recordAction(campaign, level, riding) {
+            return call('/api/count', null, 'Failed to record count', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ campaign: campaign || '', level, riding }),
+                keepalive: true
+            });
+        }
+
+        /**
+         * Fetch how often a representative replies, from constituents' reports
+         */
+        function fetchResponses(level, riding, name) {
+            return call('/api/responses', { level, riding, name }, 'Failed to load responses');
+        }
+
+        /**
+         * Report whether a representative replied
+         * Report is { replied, sentiment, excerpt }
+         */
+        function reportResponse(level, riding, name, report) {
+            return call('/api/responses', null, 'Failed to send report', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ level, riding, name, ...report })
+            });
+        }
+
+        /**
+         * Fetch the letters sent to each federal riding in a campaign (the
+         * default campaign when empty), for the progress page
+         */
+        function fetchProgress(campaign) {
+            return call('/api/progress', campaign ? { campaign } : null, 'Failed to load progress');
+        }
+
+        return {
+            fetchMp,
+            fetchRepresentatives,
+            fetchCampaign,
+            fetchSenators,
+            searchMps,
+            fetchActionCount,
+            recordAction,
+            fetchResponses,
+            reportResponse,
+            fetchProgress
+        };
+    }
+
+    return { createApiClient };
+});
@@ -0,0 +1,49 @@
+/**
+ * Vercel Serverless Function: Campaign Configuration
+ *
+ * Serves a letter-writing campaign from campaigns/<name>.json: subject,
+ * letter template, CC list and which levels of government are CC'd.
+ *
+ * Usage: GET /api/campaign              (the default campaign)
+ *        GET /api/campaign?name=vigil
+ */
+
+import { createRateLimiter, enforceRateLimit } from '../lib/rate-limit.js';
+import { handleCors } from '../lib/cors.js';
+import { loadCampaigns, getCampaign } from '../lib/campaign.js';
+
+// Fetched once per page load, so a generous limit
+const rateLimiter = createRateLimiter({ maxRequests: 60 });
+
+// Campaigns are bundled with the deployment and loaded once per instance
+const campaigns = loadCampaigns();
+
+/**
+ * Main handler for Vercel serverless function
+ */
+export default async function handler(req, res) {
+    // Callable from partner sites that embed the widget
+    if (handleCors(req, res)) {
+        return;
+    }
+
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({ code: 'METHOD_NOT_ALLOWED', error: 'Method not allowed' });
+    }
+
+    // Check rate limit (sets X-RateLimit-* headers)
+    if (!enforceRateLimit(rateLimiter, req, res)) {
+        return;
+    }
+
+    const result = getCampaign(campaigns, req.query.name);
+    if (!result.ok) {
+        return res.status(result.status).json({ code: result.code, error: result.error });
+    }
+
+    // Short cache so start/end dates and edits take effect promptly
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=3600');
+
+    return res.status(200).json(result.campaign);
+}
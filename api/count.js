@@ -0,0 +1,115 @@
+/**
+ * Vercel Serverless Function: Letters Sent per Riding
+ *
+ * Counts the letters sent to each federal riding's MP in a campaign, so
+ * supporters can see that others have written too. Only the campaign, level,
+ * riding and day are stored (see lib/action-counts.js): never an IP address,
+ * name or postal code. Ridings must be on the House of Commons roster, and
+ * are counted under the roster's spelling. Letters are only recorded for
+ * running campaigns (the default campaign when omitted).
+ *
+ * Usage: GET  /api/count?campaign=vigil&level=federal&riding=Ottawa%20Centre
+ *        POST /api/count  { "campaign": "vigil", "level": "federal", "riding": "Ottawa Centre" }
+ *
+ * Success: { campaign, level, riding, count }
+ * Errors:  { code, error }
+ */
+
+import { createRateLimiter, enforceRateLimit } from '../lib/rate-limit.js';
+import { handleCors } from '../lib/cors.js';
+import { createActionCounter } from '../lib/action-counts.js';
+import { loadCampaigns, findCampaign, getCampaign } from '../lib/campaign.js';
+import { representLookup, sendLookupFailure } from '../lib/represent-lookup.js';
+import { findByRiding } from '../lib/mp-search.js';
+import { isFederalMp } from '../mp-select.js';
+
+// Reading counts is cheap; recording is limited harder to deter inflation
+const readLimiter = createRateLimiter({ maxRequests: 60 });
+const writeLimiter = createRateLimiter({ maxRequests: 10 });
+
+const counter = createActionCounter();
+
+// Campaigns are bundled with the deployment and loaded once per instance
+const campaigns = loadCampaigns();
+
+/**
+ * The POST body as an object (sendBeacon and fetch may send it as text)
+ */
+function parseBody(body) {
+    if (typeof body !== 'string') {
+        return body || {};
+    }
+    try {
+        return JSON.parse(body) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Check a parsed federal riding against the House of Commons roster
+ * Resolves with the parse result under the roster's spelling of the riding,
+ * or a failure (400 INVALID_RIDING when no MP sits for it)
+ */
+async function checkFederalRiding(parsed) {
+    const roster = await representLookup.lookupHouseOfCommons();
+    if (!roster.ok) {
+        return roster;
+    }
+
+    const mp = findByRiding(roster.data.representatives_centroid.filter(isFederalMp), parsed.riding);
+    if (!mp) {
+        return { ok: false, status: 400, code: 'INVALID_RIDING', error: 'Unknown federal riding' };
+    }
+    return counter.parse(parsed.campaign, parsed.level, mp.district_name);
+}
+
+/**
+ * Main handler for Vercel serverless function
+ */
+export default async function handler(req, res) {
+    // Callable from partner sites that embed the widget
+    if (handleCors(req, res)) {
+        return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ code: 'METHOD_NOT_ALLOWED', error: 'Method not allowed' });
+    }
+
+    // Check rate limit (sets X-RateLimit-* headers)
+    if (!enforceRateLimit(req.method === 'POST' ? writeLimiter : readLimiter, req, res)) {
+        return;
+    }
+
+    const input = req.method === 'POST' ? parseBody(req.body) : req.query;
+    // Counts of a campaign that has ended can still be read
+    const found = req.method === 'POST'
+        ? getCampaign(campaigns, input.campaign)
+        : findCampaign(campaigns, input.campaign);
+    if (!found.ok) {
+        return res.status(found.status).json({ code: found.code, error: found.error });
+    }
+
+    let parsed = counter.parse(found.campaign.name, input.level, input.riding);
+    if (!parsed.ok) {
+        return res.status(400).json({ code: parsed.code, error: parsed.error });
+    }
+
+    parsed = await checkFederalRiding(parsed);
+    if (!parsed.ok) {
+        return sendLookupFailure(res, parsed);
+    }
+
+    try {
+        const count = req.method === 'POST'
+            ? await counter.record(parsed.key)
+            : await counter.count(parsed.key);
+
+        res.setHeader('Cache-Control', req.method === 'POST' ? 'no-store' : 's-maxage=60, stale-while-revalidate=300');
+        return res.status(200).json({ campaign: parsed.campaign, level: parsed.level, riding: parsed.riding, count });
+    } catch (error) {
+        console.error('Action count error:', error);
+        return res.status(500).json({ code: 'INTERNAL_ERROR', error: 'Could not update the count' });
+    }
+}
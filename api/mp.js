@@ -0,0 +1,79 @@
+/**
+ * Vercel Serverless Function: Federal MP Lookup
+ *
+ * Looks up the federal MP for a postal code and returns a trimmed,
+ * normalized record, so clients don't have to parse the raw OpenNorth payload.
+ *
+ * Usage: GET /api/mp?postcode=A1A1A1
+ *        GET /api/mp?lat=45.4215&lng=-75.6972
+ *
+ * Success: { name, riding, email, email_source, party, photo, offices, source, city }
+ * Errors:  { code, error } plus `candidates` for MULTIPLE_RIDINGS
+ *
+ * `city` is the postal code's city, null for coordinates and the fallback
+ */
+
+import { createRateLimiter, enforceRateLimit } from '../lib/rate-limit.js';
+import { handleCors } from '../lib/cors.js';
+import {
+    representLookup,
+    sendLookupFailure,
+    setLookupCacheHeaders
+} from '../lib/represent-lookup.js';
+import { toMpRecord } from '../lib/mp-record.js';
+import { selectFederalMps } from '../mp-select.js';
+
+// In-memory rate limiter (10 requests per minute per IP)
+const rateLimiter = createRateLimiter();
+
+/**
+ * Main handler for Vercel serverless function
+ */
+export default async function handler(req, res) {
+    // Callable from partner sites that embed the widget
+    if (handleCors(req, res)) {
+        return;
+    }
+
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({ code: 'METHOD_NOT_ALLOWED', error: 'Method not allowed' });
+    }
+
+    // Check rate limit (sets X-RateLimit-* headers)
+    if (!enforceRateLimit(rateLimiter, req, res)) {
+        return;
+    }
+
+    // Validate the postal code or coordinates and look them up
+    const result = await representLookup.lookupQuery(req.query);
+    if (!result.ok) {
+        return sendLookupFailure(res, result);
+    }
+
+    setLookupCacheHeaders(res, result);
+
+    const data = result.data;
+    const source = data.source === 'fallback' ? 'fallback' : 'live';
+    const city = data.city || null;
+
+    const mps = selectFederalMps(data);
+    if (mps.length === 0) {
+        return res.status(404).json({
+            code: 'NO_MP',
+            error: 'Could not find a federal MP for this location.'
+        });
+    }
+
+    // The postal code straddles several ridings: let the user choose
+    // (candidates are ordered most likely first)
+    if (mps.length > 1) {
+        return res.status(409).json({
+            code: 'MULTIPLE_RIDINGS',
+            error: 'This location may fall in more than one federal riding. Please choose your riding.',
+            candidates: mps.map(rep => ({ ...toMpRecord(rep, source), city }))
+        });
+    }
+
+    return res.status(200).json({ ...toMpRecord(mps[0], source), city });
+}
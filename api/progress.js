@@ -0,0 +1,72 @@
+/**
+ * Vercel Serverless Function: Campaign Progress
+ *
+ * Letters sent to each federal riding's MP in a campaign, for the public
+ * progress page (progress.html). Ridings and MPs come from the House of
+ * Commons roster (the bundled one when OpenNorth is down), and the counts
+ * from /api/count (see lib/progress.js).
+ *
+ * Usage: GET /api/progress              (the default campaign)
+ *        GET /api/progress?campaign=vigil
+ *
+ * Success: { campaign, source, total, ridings: [{ riding, province, mp, party, count }] }
+ * Errors:  { code, error }
+ */
+
+import { createRateLimiter, enforceRateLimit } from '../lib/rate-limit.js';
+import { handleCors } from '../lib/cors.js';
+import { createActionCounter } from '../lib/action-counts.js';
+import { loadCampaigns, findCampaign } from '../lib/campaign.js';
+import { representLookup, sendLookupFailure } from '../lib/represent-lookup.js';
+import { buildProgress } from '../lib/progress.js';
+
+// Reads the whole count store, so a tighter limit than /api/count
+const rateLimiter = createRateLimiter({ maxRequests: 20 });
+
+const counter = createActionCounter();
+
+// Campaigns are bundled with the deployment and loaded once per instance
+const campaigns = loadCampaigns();
+
+/**
+ * Main handler for Vercel serverless function
+ */
+export default async function handler(req, res) {
+    // Callable from partner sites that embed the widget
+    if (handleCors(req, res)) {
+        return;
+    }
+
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({ code: 'METHOD_NOT_ALLOWED', error: 'Method not allowed' });
+    }
+
+    // Check rate limit (sets X-RateLimit-* headers)
+    if (!enforceRateLimit(rateLimiter, req, res)) {
+        return;
+    }
+
+    // Progress stays readable after a campaign ends
+    const found = findCampaign(campaigns, req.query.campaign);
+    if (!found.ok) {
+        return res.status(found.status).json({ code: found.code, error: found.error });
+    }
+
+    const roster = await representLookup.lookupHouseOfCommons();
+    if (!roster.ok) {
+        return sendLookupFailure(res, roster);
+    }
+
+    try {
+        const name = found.campaign.name;
+        const progress = buildProgress(await counter.totals(name, 'federal'), roster.data);
+
+        // Never let shared caches hold on to fallback data
+        res.setHeader('Cache-Control', progress.source === 'fallback' ? 'no-store' : 's-maxage=60, stale-while-revalidate=300');
+        return res.status(200).json({ campaign: name, ...progress });
+    } catch (error) {
+        console.error('Progress error:', error);
+        return res.status(500).json({ code: 'INTERNAL_ERROR', error: 'Could not load progress' });
+    }
+}
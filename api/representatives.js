@@ -0,0 +1,82 @@
+/**
+ * Vercel Serverless Function: Representatives Lookup
+ *
+ * Looks up the federal, provincial and/or municipal representatives for a
+ * postal code (or point) and returns normalized records.
+ *
+ * Usage: GET /api/representatives?postcode=A1A1A1&level=provincial
+ *        GET /api/representatives?lat=45.4215&lng=-75.6972&level=all
+ *
+ * level: federal | provincial | municipal | all (default: all)
+ *
+ * Success: { level, source, city, representatives: [record, ...] }
+ * Errors:  { code, error }
+ *
+ * `city` is the postal code's city, null for coordinates and the fallback
+ */
+
+import { createRateLimiter, enforceRateLimit } from '../lib/rate-limit.js';
+import { handleCors } from '../lib/cors.js';
+import {
+    representLookup,
+    sendLookupFailure,
+    setLookupCacheHeaders
+} from '../lib/represent-lookup.js';
+import { toRepresentativeRecord } from '../lib/mp-record.js';
+import { LEVELS, selectRepresentatives, representativeLevel } from '../mp-select.js';
+
+// In-memory rate limiter (10 requests per minute per IP)
+const rateLimiter = createRateLimiter();
+
+/**
+ * Main handler for Vercel serverless function
+ */
+export default async function handler(req, res) {
+    // Callable from partner sites that embed the widget
+    if (handleCors(req, res)) {
+        return;
+    }
+
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({ code: 'METHOD_NOT_ALLOWED', error: 'Method not allowed' });
+    }
+
+    // Check rate limit (sets X-RateLimit-* headers)
+    if (!enforceRateLimit(rateLimiter, req, res)) {
+        return;
+    }
+
+    const level = req.query.level || 'all';
+    if (level !== 'all' && !LEVELS.includes(level)) {
+        return res.status(400).json({
+            code: 'INVALID_LEVEL',
+            error: `Invalid level. Use one of: ${LEVELS.join(', ')}, all.`
+        });
+    }
+
+    // Validate the postal code or coordinates and look them up
+    const result = await representLookup.lookupQuery(req.query);
+    if (!result.ok) {
+        return sendLookupFailure(res, result);
+    }
+
+    setLookupCacheHeaders(res, result);
+
+    const source = result.data.source === 'fallback' ? 'fallback' : 'live';
+    const reps = selectRepresentatives(result.data, level);
+
+    if (reps.length === 0) {
+        return res.status(404).json({
+            code: 'NO_REPRESENTATIVES',
+            error: 'Could not find any representatives at this level for this location.'
+        });
+    }
+
+    return res.status(200).json({
+        level,
+        source,
+        city: result.data.city || null,
+        representatives: reps.map(rep => toRepresentativeRecord(rep, representativeLevel(rep), source))
+    });
+}
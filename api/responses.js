@@ -0,0 +1,153 @@
+/**
+ * Vercel Serverless Function: Representative Response Tracker
+ *
+ * Constituents report whether their MP replied to their letter, optionally
+ * with a sentiment and a short excerpt, and the result card shows the MP's
+ * response rate. Nothing about the sender is stored (see
+ * lib/mp-responses.js). The MP must sit for the riding on the House of
+ * Commons roster, and reports are kept under the roster's spelling.
+ *
+ * Usage: GET   /api/responses?level=federal&riding=Ottawa%20Centre&name=Yasir%20Naqvi
+ *        POST  /api/responses  { level, riding, name, replied, sentiment, excerpt }
+ *        PATCH /api/responses  { level, riding, name, id, status }  (moderators)
+ *
+ * Moderators authenticate with `Authorization: Bearer <MODERATION_TOKEN>`.
+ * A moderator's GET also lists every report, with pending excerpts.
+ *
+ * Success: { level, riding, name, reports, replied, responseRate, sentiment, excerpts }
+ * Errors:  { code, error }
+ */
+
+import crypto from 'crypto';
+import { createRateLimiter, enforceRateLimit } from '../lib/rate-limit.js';
+import { handleCors } from '../lib/cors.js';
+import { createResponseTracker, MODERATION_STATUSES } from '../lib/mp-responses.js';
+import { representLookup, sendLookupFailure } from '../lib/represent-lookup.js';
+import { findByRiding, normalizeSearchText } from '../lib/mp-search.js';
+import { isFederalMp } from '../mp-select.js';
+
+// Reading is cheap; reports are limited hard to deter ballot stuffing
+const readLimiter = createRateLimiter({ maxRequests: 60 });
+const writeLimiter = createRateLimiter({ maxRequests: 5 });
+
+const tracker = createResponseTracker();
+
+/**
+ * The request body as an object (fetch may send it as text)
+ */
+function parseBody(body) {
+    if (typeof body !== 'string') {
+        return body || {};
+    }
+    try {
+        return JSON.parse(body) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Check a parsed representative against the House of Commons roster
+ * Resolves with the parse result under the roster's spelling of the riding
+ * and name, or a failure (400 INVALID_RIDING when no MP sits for the riding,
+ * INVALID_REPRESENTATIVE when someone else does)
+ */
+async function checkFederalMp(parsed) {
+    const roster = await representLookup.lookupHouseOfCommons();
+    if (!roster.ok) {
+        return roster;
+    }
+
+    const mp = findByRiding(roster.data.representatives_centroid.filter(isFederalMp), parsed.riding);
+    if (!mp) {
+        return { ok: false, status: 400, code: 'INVALID_RIDING', error: 'Unknown federal riding' };
+    }
+    if (normalizeSearchText(mp.name) !== normalizeSearchText(parsed.name)) {
+        return { ok: false, status: 400, code: 'INVALID_REPRESENTATIVE', error: 'Not the MP for this riding' };
+    }
+    return tracker.parseRepresentative(parsed.level, mp.district_name, mp.name);
+}
+
+/**
+ * Whether the request carries the moderation token
+ * Moderation is off when MODERATION_TOKEN isn't set
+ */
+function isModerator(req) {
+    const token = process.env.MODERATION_TOKEN;
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!token || !match) {
+        return false;
+    }
+    const expected = Buffer.from(token);
+    const given = Buffer.from(match[1]);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Main handler for Vercel serverless function
+ */
+export default async function handler(req, res) {
+    // Callable from partner sites that embed the widget
+    if (handleCors(req, res)) {
+        return;
+    }
+
+    if (!['GET', 'POST', 'PATCH'].includes(req.method)) {
+        return res.status(405).json({ code: 'METHOD_NOT_ALLOWED', error: 'Method not allowed' });
+    }
+
+    // Check rate limit (sets X-RateLimit-* headers)
+    if (!enforceRateLimit(req.method === 'GET' ? readLimiter : writeLimiter, req, res)) {
+        return;
+    }
+
+    const input = req.method === 'GET' ? req.query : parseBody(req.body);
+    let representative = tracker.parseRepresentative(input.level, input.riding, input.name);
+    if (!representative.ok) {
+        return res.status(400).json({ code: representative.code, error: representative.error });
+    }
+    representative = await checkFederalMp(representative);
+    if (!representative.ok) {
+        return sendLookupFailure(res, representative);
+    }
+    const { key, level, riding, name } = representative;
+
+    try {
+        if (req.method === 'POST') {
+            const parsed = tracker.parseReport(input);
+            if (!parsed.ok) {
+                return res.status(400).json({ code: parsed.code, error: parsed.error });
+            }
+            await tracker.report(key, parsed.report);
+        }
+
+        if (req.method === 'PATCH') {
+            if (!isModerator(req)) {
+                return res.status(401).json({ code: 'UNAUTHORIZED', error: 'A moderation token is required' });
+            }
+            if (!MODERATION_STATUSES.includes(input.status)) {
+                return res.status(400).json({
+                    code: 'INVALID_MODERATION',
+                    error: `Invalid status. Use one of: ${MODERATION_STATUSES.join(', ')}.`
+                });
+            }
+            const updated = await tracker.moderate(key, input.id, input.status);
+            if (!updated) {
+                return res.status(404).json({ code: 'REPORT_NOT_FOUND', error: 'No such report with an excerpt' });
+            }
+        }
+
+        const result = { level, riding, name, ...await tracker.summary(key) };
+        if (req.method === 'GET' && isModerator(req)) {
+            result.reportList = await tracker.list(key);
+            res.setHeader('Cache-Control', 'no-store');
+        } else {
+            res.setHeader('Cache-Control', req.method === 'GET' ? 's-maxage=60, stale-while-revalidate=300' : 'no-store');
+        }
+
+        return res.status(req.method === 'POST' ? 201 : 200).json(result);
+    } catch (error) {
+        console.error('Response tracker error:', error);
+        return res.status(500).json({ code: 'INTERNAL_ERROR', error: 'Could not update the responses' });
+    }
+}
@@ -0,0 +1,69 @@
+/**
+ * Vercel Serverless Function: Manual MP Search
+ *
+ * Searches all sitting federal MPs by name or riding, for when the
+ * automatic postal code lookup fails. Matching is accent insensitive.
+ *
+ * Usage: GET /api/search?q=laurier sainte marie
+ *
+ * Success: { results: [MP record, ...] } (same schema as /api/mp)
+ */
+
+import { createRateLimiter, enforceRateLimit } from '../lib/rate-limit.js';
+import { handleCors } from '../lib/cors.js';
+import {
+    representLookup,
+    sendLookupFailure,
+    setLookupCacheHeaders
+} from '../lib/represent-lookup.js';
+import { toMpRecord } from '../lib/mp-record.js';
+import { searchMps, MIN_QUERY_LENGTH } from '../lib/mp-search.js';
+import { isFederalMp } from '../mp-select.js';
+
+// Search-as-you-type needs a higher limit than lookups (roster is cached)
+const rateLimiter = createRateLimiter({ maxRequests: 60 });
+
+// Longest query we bother matching
+const MAX_QUERY_LENGTH = 100;
+
+/**
+ * Main handler for Vercel serverless function
+ */
+export default async function handler(req, res) {
+    // Callable from partner sites that embed the widget
+    if (handleCors(req, res)) {
+        return;
+    }
+
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({ code: 'METHOD_NOT_ALLOWED', error: 'Method not allowed' });
+    }
+
+    // Check rate limit (sets X-RateLimit-* headers)
+    if (!enforceRateLimit(rateLimiter, req, res)) {
+        return;
+    }
+
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (query.length < MIN_QUERY_LENGTH || query.length > MAX_QUERY_LENGTH) {
+        return res.status(400).json({
+            code: 'INVALID_QUERY',
+            error: `Please enter between ${MIN_QUERY_LENGTH} and ${MAX_QUERY_LENGTH} characters.`
+        });
+    }
+
+    const result = await representLookup.lookupHouseOfCommons();
+    if (!result.ok) {
+        return sendLookupFailure(res, result);
+    }
+
+    setLookupCacheHeaders(res, result);
+
+    const source = result.data.source === 'fallback' ? 'fallback' : 'live';
+    const mps = result.data.representatives_centroid.filter(isFederalMp);
+
+    return res.status(200).json({
+        results: searchMps(mps, query).map(rep => toMpRecord(rep, source))
+    });
+}
@@ -0,0 +1,55 @@
+/**
+ * Vercel Serverless Function: Senators by Province
+ *
+ * Returns the senators for a province or territory from the bundled roster,
+ * offered as optional extra recipients. The list is empty for provinces the
+ * roster doesn't list in full (see lib/senators.js).
+ *
+ * Usage: GET /api/senators?province=ON
+ *
+ * Success: { province, version, senators: [{ name, email, affiliation }] }
+ */
+
+import { createRateLimiter, enforceRateLimit } from '../lib/rate-limit.js';
+import { handleCors } from '../lib/cors.js';
+import { getSenators, PROVINCES, version } from '../lib/senators.js';
+
+// Bundled data, so a generous limit
+const rateLimiter = createRateLimiter({ maxRequests: 60 });
+
+/**
+ * Main handler for Vercel serverless function
+ */
+export default async function handler(req, res) {
+    // Callable from partner sites that embed the widget
+    if (handleCors(req, res)) {
+        return;
+    }
+
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({ code: 'METHOD_NOT_ALLOWED', error: 'Method not allowed' });
+    }
+
+    // Check rate limit (sets X-RateLimit-* headers)
+    if (!enforceRateLimit(rateLimiter, req, res)) {
+        return;
+    }
+
+    const senators = getSenators(req.query.province);
+    if (!senators) {
+        return res.status(400).json({
+            code: 'INVALID_PROVINCE',
+            error: `Invalid province. Use one of: ${PROVINCES.join(', ')}.`
+        });
+    }
+
+    // The roster only changes on deploy
+    res.setHeader('Cache-Control', 's-maxage=86400, stale-while-revalidate=604800');
+
+    return res.status(200).json({
+        province: req.query.province.toUpperCase(),
+        version,
+        senators
+    });
+}
@@ -0,0 +1,69 @@
+/**
+ * A representative's office phone numbers, for calling instead of writing.
+ * Used by the page (window.CallOffices) and tests.
+ *
+ * Numbers come from the `offices` of a normalized record (see
+ * lib/mp-record.js). OpenNorth doesn't publish office hours.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.CallOffices = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Hill (legislature) offices first, then constituency offices
+    const OFFICE_ORDER = ['legislature', 'constituency'];
+
+    /**
+     * tel: link for a North American number written any way,
+     * e.g. "1 613 992-6361" or "(613) 992-6361 ext. 2"
+     * Returns null when it isn't a 10-digit number
+     */
+    function phoneHref(tel) {
+        const [number, extension] = String(tel || '').split(/\s*(?:ext\.?|x)\s*/i);
+        let digits = number.replace(/\D/g, '');
+        if (digits.length === 11 && digits.startsWith('1')) {
+            digits = digits.slice(1);
+        }
+        if (digits.length !== 10) {
+            return null;
+        }
+
+        const extensionDigits = (extension || '').replace(/\D/g, '');
+        return `tel:+1${digits}${extensionDigits ? `;ext=${extensionDigits}` : ''}`;
+    }
+
+    /**
+     * The offices that can be called, Hill office first
+     * Returns [{ type, tel, href, locality }], where locality is the last
+     * line of the office's address (e.g. "Vancouver BC  V5N 4B2"), to tell
+     * several constituency offices apart
+     */
+    function getPhoneOffices(record) {
+        const rank = type => {
+            const index = OFFICE_ORDER.indexOf(type);
+            return index === -1 ? OFFICE_ORDER.length : index;
+        };
+
+        return (record.offices || [])
+            .map(office => ({ office, href: phoneHref(office.tel) }))
+            .filter(({ href }) => href)
+            .sort((a, b) => rank(a.office.type) - rank(b.office.type))
+            .map(({ office, href }) => {
+                const lines = (office.postal || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+                return {
+                    type: office.type,
+                    tel: office.tel,
+                    href,
+                    locality: lines.length ? lines[lines.length - 1] : null
+                };
+            });
+    }
+
+    return { phoneHref, getPhoneOffices };
+});
@@ -0,0 +1,118 @@
+/**
+ * A campaign's letter to one representative.
+ * Used by the page (window.CampaignLetter), the embeddable widget and
+ * tests. Letters are rendered with letter-template.js; salutations come
+ * from the i18n.js messages.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./i18n.js'), require('./letter-template.js'));
+    } else {
+        root.CampaignLetter = factory(root.I18n, root.LetterTemplate);
+    }
+})(typeof document !== 'undefined' && document.currentScript && document.currentScript.dataset.namespace
+    ? self[document.currentScript.dataset.namespace]
+    : typeof self !== 'undefined' ? self : this, function (I18n, LetterTemplate) {
+    'use strict';
+
+    /**
+     * Salutation for a representative, in the letter's language
+     * Mayors, councillors and senators are addressed by title
+     */
+    function getSalutation(rep, language) {
+        const t = (key, params) => I18n.translate(language, key, params);
+
+        if (rep.level === 'senate') {
+            return rep.senators.length === 1
+                ? t('letter.salutationSenator', { name: rep.senators[0].name })
+                : t('letter.salutationSenators');
+        }
+
+        const office = (rep.office || '').toLowerCase();
+        if (rep.level === 'municipal' && (office === 'mayor' || office === 'councillor')) {
+            return t('letter.salutationTitled', { title: rep.office, name: rep.name });
+        }
+        return t('letter.salutation', { name: rep.name });
+    }
+
+    /**
+     * Whether a federal MP belongs to the campaign's governing party
+     */
+    function isInGoverningParty(campaign, rep) {
+        if (rep.level !== 'federal' || !rep.party || !campaign.governingParty) {
+            return false;
+        }
+        return rep.party.toLowerCase().includes(campaign.governingParty.toLowerCase());
+    }
+
+    /**
+     * The campaign's letter in a language, falling back to the
+     * untranslated letter
+     */
+    function getLetter(campaign, language) {
+        const translation = (campaign.translations || {})[language];
+        return translation || campaign;
+    }
+
+    /**
+     * Placeholder values for a campaign's templates
+     */
+    function templateValues(campaign, rep, sender, language) {
+        return {
+            ...sender,
+            salutation: getSalutation(rep, language),
+            name: rep.name,
+            riding: rep.riding,
+            party: rep.party,
+            office: rep.office,
+            level: rep.level,
+            governingParty: campaign.governingParty,
+            inGoverningParty: isInGoverningParty(campaign, rep)
+        };
+    }
+
+    /**
+     * Write the campaign's letter to a representative
+     * `sender` holds the form fields (firstName, lastName, ...) and
+     * `random` picks the variants (see renderTemplate)
+     */
+    function writeLetter(campaign, rep, sender, language, random) {
+        const letter = getLetter(campaign, language);
+        const paragraphs = letter.paragraphs[rep.level] || letter.paragraphs.federal;
+        const options = { random };
+        const values = templateValues(campaign, rep, sender, language);
+
+        // The paragraphs are templates too, so they can have their own variants
+        values.opening = LetterTemplate.renderTemplate(paragraphs.opening, values, options);
+        values.ask = LetterTemplate.renderTemplate(paragraphs.ask, values, options);
+
+        return LetterTemplate.renderTemplate(letter.body, values, options);
+    }
+
+    /**
+     * Write the campaign's call script for phoning a representative
+     * Falls back to the untranslated script, and is empty when the
+     * campaign has none
+     */
+    function writeCallScript(campaign, rep, sender, language, random) {
+        const script = getLetter(campaign, language).callScript || campaign.callScript;
+        if (!script) {
+            return '';
+        }
+        return LetterTemplate.renderTemplate(script, templateValues(campaign, rep, sender, language), { random });
+    }
+
+    /**
+     * Comma-separated CC list for a letter to a level of government
+     * Empty when the campaign doesn't CC that level
+     */
+    function getCcEmails(campaign, level) {
+        if (!campaign.ccLevels.includes(level)) {
+            return '';
+        }
+        return campaign.cc.map(recipient => recipient.email).join(',');
+    }
+
+    return { getSalutation, isInGoverningParty, getLetter, writeLetter, writeCallScript, getCcEmails };
+});
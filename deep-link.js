@@ -0,0 +1,105 @@
+/**
+ * Links that open the tool with a campaign, subject, level, language or
+ * postal code already set, e.g. /?campaign=vigil&subject=...#postcode=K1A0A6
+ * Used by the page (window.DeepLink), the embeddable widget and tests.
+ *
+ * Only these settings are ever read from or written to a link: the
+ * sender's name, address and email never go into one, and links built
+ * for sharing leave out the postal code too.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.DeepLink = api;
+    }
+})(typeof document !== 'undefined' && document.currentScript && document.currentScript.dataset.namespace
+    ? self[document.currentScript.dataset.namespace]
+    : typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const POSTAL_CODE_REGEX = /^[A-Z]\d[A-Z]\d[A-Z]\d$/;
+    // Who to write to, as offered by the level menu
+    const LEVELS = ['federal', 'provincial', 'municipal', 'all'];
+    const LANGUAGE_REGEX = /^[a-z]{2}$/;
+    const MAX_SUBJECT_LENGTH = 200;
+
+    /**
+     * Read the settings from a link's query string and hash
+     * (e.g. location.search and location.hash). The hash wins where both
+     * set one, since it isn't sent to the server. Invalid values are
+     * dropped, except the campaign name, which /api/campaign checks so the
+     * page can say the campaign wasn't found.
+     * Returns { campaign, subject, postalCode, level, language }, each
+     * possibly undefined
+     */
+    function parseDeepLink(search, hash) {
+        const params = new URLSearchParams(search || '');
+        new URLSearchParams((hash || '').replace(/^#/, '')).forEach((value, key) => {
+            params.set(key, value);
+        });
+
+        const result = {};
+
+        const campaign = (params.get('campaign') || '').trim();
+        if (campaign) {
+            result.campaign = campaign;
+        }
+
+        // One line of plain text, as a subject line would be
+        const subject = (params.get('subject') || '').replace(/\s+/g, ' ').trim();
+        if (subject) {
+            result.subject = subject.slice(0, MAX_SUBJECT_LENGTH);
+        }
+
+        const postalCode = (params.get('postcode') || '').replace(/\s+/g, '').toUpperCase();
+        if (POSTAL_CODE_REGEX.test(postalCode)) {
+            result.postalCode = postalCode;
+        }
+
+        const level = params.get('level');
+        if (LEVELS.includes(level)) {
+            result.level = level;
+        }
+
+        const language = params.get('lang');
+        if (LANGUAGE_REGEX.test(language || '')) {
+            result.language = language;
+        }
+
+        return result;
+    }
+
+    /**
+     * Build a link to share a campaign
+     * `settings` is { campaign, subject, level, language }; anything else
+     * (the postal code included) is ignored. The federal level and the
+     * default campaign are left out, as they are what the tool opens with.
+     */
+    function buildShareLink(base, settings = {}) {
+        const url = new URL(base);
+        url.search = '';
+        url.hash = '';
+
+        const params = new URLSearchParams();
+        if (settings.campaign && settings.campaign !== 'default') {
+            params.set('campaign', settings.campaign);
+        }
+        if (settings.subject) {
+            params.set('subject', settings.subject);
+        }
+        if (settings.level && settings.level !== 'federal') {
+            params.set('level', settings.level);
+        }
+        if (settings.language) {
+            params.set('lang', settings.language);
+        }
+
+        const query = params.toString().replace(/\+/g, '%20');
+        return query ? `${url}?${query}` : url.toString();
+    }
+
+    return { LEVELS, parseDeepLink, buildShareLink };
+});
@@ -0,0 +1,139 @@
+/**
+ * What the site remembers on the device: the form and letter of users who
+ * ask to be remembered, and their language and webmail choices.
+ * Used by the pages (window.DraftStorage) and tests.
+ *
+ * Everything stays in this browser's localStorage and is never sent
+ * anywhere. The draft is only written once the user opts in, and
+ * "Forget me" clears every key this site uses.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.DraftStorage = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Every localStorage key the site uses
+    const STORAGE_KEYS = {
+        draft: 'draft',
+        language: 'language',
+        webmailProvider: 'webmailProvider'
+    };
+
+    /**
+     * Serialize a draft: { fields: { name: value }, level, letter }
+     * `letter` is { recipient, subject, body } or null
+     */
+    function serializeDraft(draft) {
+        return JSON.stringify({
+            fields: draft.fields || {},
+            level: draft.level || '',
+            letter: draft.letter || null
+        });
+    }
+
+    /**
+     * Read a serialized draft, keeping only well-formed values
+     * Returns { fields, level, letter }, or null when there is no readable draft
+     */
+    function parseDraft(text) {
+        let draft = null;
+        try {
+            draft = JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+        if (!draft || typeof draft !== 'object') {
+            return null;
+        }
+
+        const fields = {};
+        Object.entries(draft.fields && typeof draft.fields === 'object' ? draft.fields : {}).forEach(([name, value]) => {
+            if (typeof value === 'string') {
+                fields[name] = value;
+            }
+        });
+
+        return {
+            fields,
+            level: typeof draft.level === 'string' ? draft.level : '',
+            letter: draft.letter && typeof draft.letter.body === 'string' ? draft.letter : null
+        };
+    }
+
+    /**
+     * Create the storage for a page
+     * Options: { storage } (defaults to localStorage). Storage may be
+     * unavailable (e.g. private browsing) or full: reads then find
+     * nothing and writes are dropped
+     */
+    function createDraftStorage(options = {}) {
+        // Looked up on each use, inside the try blocks: merely reading
+        // localStorage throws when the browser blocks it
+        function storage() {
+            return options.storage || localStorage;
+        }
+
+        function read(key) {
+            try {
+                return storage().getItem(key);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        function write(key, value) {
+            try {
+                storage().setItem(key, value);
+            } catch (error) {
+                // Unavailable or full
+            }
+        }
+
+        /**
+         * Save the draft, only if the user asked to be remembered
+         */
+        function saveDraft(draft, rememberMe) {
+            if (rememberMe) {
+                write(STORAGE_KEYS.draft, serializeDraft(draft));
+            }
+        }
+
+        /**
+         * The saved draft, or null
+         */
+        function loadDraft() {
+            return parseDraft(read(STORAGE_KEYS.draft));
+        }
+
+        /**
+         * Forget everything the site saved on the device
+         */
+        function clear() {
+            Object.values(STORAGE_KEYS).forEach(key => {
+                try {
+                    storage().removeItem(key);
+                } catch (error) {
+                    // Unavailable
+                }
+            });
+        }
+
+        return {
+            saveDraft,
+            loadDraft,
+            loadLanguage: () => read(STORAGE_KEYS.language),
+            saveLanguage: language => write(STORAGE_KEYS.language, language),
+            loadWebmailProvider: () => read(STORAGE_KEYS.webmailProvider),
+            saveWebmailProvider: provider => write(STORAGE_KEYS.webmailProvider, provider),
+            clear
+        };
+    }
+
+    return { STORAGE_KEYS, serializeDraft, parseDraft, createDraftStorage };
+});
@@ -0,0 +1,857 @@
+/**
+ * Interface translations and language detection.
+ * Used by the browser (window.I18n) and by tests.
+ *
+ * Messages are looked up by key, with {name} placeholders. Missing
+ * translations fall back to English. API errors are translated by their
+ * `code` (see apiErrorMessage); the API's own `error` string is English.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.I18n = api;
+    }
+})(typeof document !== 'undefined' && document.currentScript && document.currentScript.dataset.namespace
+    ? self[document.currentScript.dataset.namespace]
+    : typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_LANGUAGE = 'en';
+
+    // Supported languages, named in their own language for the switcher
+    const LANGUAGES = {
+        en: 'English',
+        fr: 'Français',
+        fa: 'فارسی'
+    };
+
+    // Languages written right to left
+    const RTL_LANGUAGES = ['fa'];
+
+    // Languages a letter can be sent in. Interface languages outside this
+    // list show a translation of the letter beside it instead
+    const LETTER_LANGUAGES = ['en', 'fr'];
+
+    // Postal code first letters for Quebec
+    const QUEBEC_POSTAL_PREFIXES = ['G', 'H', 'J'];
+
+    const MESSAGES = {
+        en: {
+            'page.title': 'Support the People of Iran - Contact Your MP',
+            'page.description': 'Email your Member of Parliament to support the people of Iran. A simple tool for Canadians to contact their representatives.',
+            'header.title': 'Support the People of Iran',
+            'header.intro': 'Use this tool to send a pre-written letter to your Member of Parliament urging cross-partisan support for the people of Iran. Enter your information below to find your MP and generate an email.',
+            'header.noteLabel': 'Note:',
+            'header.note': 'MPs often require your full address to verify you are a constituent.',
+            'language.label': 'Language',
+
+            'form.legend': 'Your Information',
+            'form.firstName': 'First Name',
+            'form.lastName': 'Last Name',
+            'form.email': 'Your Email',
+            'form.emailHint': 'For your reference only - not sent or stored',
+            'form.streetAddress': 'Street Address',
+            'form.city': 'City',
+            'form.province': 'Province',
+            'form.selectProvince': 'Select province',
+            'form.postalCode': 'Postal Code',
+            'form.useLocation': 'Use my location',
+            'form.locationHint': 'Or use your current location to find your MP. It is only used for the lookup.',
+            'form.level': 'Who do you want to write to?',
+            'form.remember': 'Remember my details on this device',
+            'form.rememberHint': 'Your details and letter are saved in this browser only, never sent to us.',
+            'form.forget': 'Forget me',
+            'form.forgotten': 'Your details have been removed from this device.',
+            'form.submit': 'Find My MP',
+            'form.loading': 'Finding...',
+
+            'province.AB': 'Alberta',
+            'province.BC': 'British Columbia',
+            'province.MB': 'Manitoba',
+            'province.NB': 'New Brunswick',
+            'province.NL': 'Newfoundland and Labrador',
+            'province.NS': 'Nova Scotia',
+            'province.NT': 'Northwest Territories',
+            'province.NU': 'Nunavut',
+            'province.ON': 'Ontario',
+            'province.PE': 'Prince Edward Island',
+            'province.QC': 'Quebec',
+            'province.SK': 'Saskatchewan',
+            'province.YT': 'Yukon',
+
+            'level.federal': 'My federal MP',
+            'level.provincial': 'My provincial representative (MPP, MLA, MNA, MHA)',
+            'level.municipal': 'My mayor and councillors',
+            'level.all': 'All of my representatives',
+
+            'validation.firstName': 'First name is required',
+            'validation.lastName': 'Last name is required',
+            'validation.email': 'Email is required',
+            'validation.emailInvalid': 'Please enter a valid email address',
+            'validation.streetAddress': 'Street address is required',
+            'validation.city': 'City is required',
+            'validation.province': 'Please select a province',
+            'validation.postalCode': 'Postal code is required',
+            'validation.postalCodeInvalid': 'Please enter a valid postal code (e.g., A1A 1A1)',
+            'validation.provinceMismatch': 'Postal codes starting with {letter} are in {provinces}. Please check your province or postal code.',
+            'validation.ridingProvinceMismatch': 'The riding we found, {riding}, is in {ridingProvince}, not {province}. Please check your province and postal code.',
+            'validation.cityMismatch': 'Your postal code is in {city}. Please check your city and postal code.',
+            'validation.provincesOr': '{first} or {second}',
+            'validation.useProvince': 'Use {province}',
+
+            'rateLimit.session': 'You have reached the maximum number of lookups. Please refresh the page if you need to continue.',
+            'rateLimit.waitOne': 'Please wait 1 second before trying again.',
+            'rateLimit.waitMany': 'Please wait {seconds} seconds before trying again.',
+
+            'cc.title': 'Emails to {recipients} will also be CC\'d to:',
+            'cc.or': ' or ',
+            'cc.federal': 'your MP',
+            'cc.provincial': 'your provincial representative',
+            'cc.municipal': 'your mayor and councillors',
+            'cc.senate': 'your senators',
+
+            'error.alsoPrefix': 'You can also',
+            'error.parliamentLink': 'find your MP manually on the Parliament website',
+            'error.parliamentUrl': 'https://www.ourcommons.ca/members/en/search',
+            'error.noEmailAtLevel': 'None of your representatives at this level have a published email address.',
+            'error.noMpEmail': 'Could not determine MP email address. Please contact your MP directly.',
+            'error.noRepresentatives': 'Could not find any representatives at this level for this postal code. Try another level, or write to your federal MP.',
+            'error.noMp': 'Could not find a federal MP for this postal code. Please check the postal code, or search for your MP by name or riding below.',
+            'error.lookupFailed': 'Failed to look up your MP. Please try again or use the manual lookup.',
+            'error.locationDenied': 'Location access was denied. Please enter your postal code instead.',
+            'error.locationFailed': 'Could not determine your location. Please enter your postal code instead.',
+            'error.campaignLoad': 'Could not load the letter. Please refresh the page and try again.',
+            'error.campaignInactive': 'This campaign is not currently running, so we\'ve loaded our main letter instead.',
+            'error.campaignNotFound': 'We couldn\'t find that campaign, so we\'ve loaded our main letter instead.',
+
+            'search.summary': 'Can\'t find your MP? Search by name or riding',
+            'search.label': 'MP name or riding',
+            'search.placeholder': 'e.g. Laurier Sainte-Marie',
+            'search.hint': 'Your information above is still needed to sign the letter.',
+            'search.searching': 'Searching...',
+            'search.noResults': 'No MPs or ridings match your search.',
+            'search.failed': 'Search failed. Please try again.',
+            'search.completeForm': 'Please complete your information above first.',
+
+            'picker.title': 'Choose Your Riding',
+            'picker.hint': 'Your postal code may fall in more than one federal riding. Please pick the riding you live in.',
+            'picker.notSure': 'Not sure?',
+            'picker.electionsLink': 'Look up your riding by address on Elections Canada',
+            'picker.electionsUrl': 'https://www.elections.ca/Scripts/vis/FindED?L=e&PAGEID=20',
+
+            'result.title.federal': 'Your Member of Parliament',
+            'result.title.provincial': 'Your Provincial Representative',
+            'result.title.municipal': 'Your Municipal Representative',
+            'result.name': 'Name:',
+            'result.riding': 'Riding:',
+            'result.email': 'Email:',
+            'result.unknownRiding': 'Unknown riding',
+            'result.actionCountOne': '1 constituent in your riding has written',
+            'result.actionCountMany': '{count} constituents in your riding have written',
+            'result.responseRateOne': 'Response rate: {rate}% (1 constituent reported back)',
+            'result.responseRateMany': 'Response rate: {rate}% ({replied} of {reports} constituents who reported back got a reply)',
+            'response.summary': 'Already written? Tell us if you got a reply',
+            'response.question': 'Did they reply to your letter?',
+            'response.yes': 'Yes, they replied',
+            'response.no': 'No reply yet',
+            'response.sentiment': 'How was the reply? (optional)',
+            'response.sentimentNone': 'Rather not say',
+            'response.positive': 'Supportive',
+            'response.neutral': 'Noncommittal',
+            'response.negative': 'Unsupportive',
+            'response.excerpt': 'A short excerpt from the reply (optional)',
+            'response.excerptHint': 'Up to 280 characters. Leave out names, emails and phone numbers: excerpts are only shown after review.',
+            'response.submit': 'Send',
+            'response.privacy': 'Anonymous: nothing about you is sent with your answer.',
+            'response.chooseOne': 'Please say whether they replied.',
+            'response.thanks': 'Thank you! Your answer helps others know what to expect.',
+            'result.fallbackNote': 'The live MP lookup is unavailable, so this result comes from our offline roster. Please double-check it is your MP.',
+            'result.emailGuessed': 'The lookup service had no email address for this MP, so we guessed it from their name. Please check it on the Parliament website before sending.',
+            'result.emailAlternatives': 'Other possible addresses:',
+
+            'recipients.hint': 'You can write to each of your representatives in turn. Choose who to write to next:',
+            'recipients.representative': 'Representative',
+            'recipients.unknownDistrict': 'Unknown district',
+            'recipients.noEmail': ' — no email address available',
+            'recipients.written': ' ✓ Written',
+
+            'editor.title': 'Customize Your Email',
+            'editor.hint': 'Feel free to edit the subject and message below before sending.',
+            'editor.to': 'To:',
+            'editor.cc': 'CC:',
+            'editor.subject': 'Subject',
+            'editor.message': 'Message',
+            'editor.letterLanguage': 'Language of the letter',
+            'editor.translationTitle': 'Translation',
+            'editor.translationHint': 'For your understanding only. The translation is not sent and does not include your edits.',
+
+            'send.noteTitle': 'Why do I have to send it myself?',
+            'send.note': 'Emails sent directly from your own account are more likely to be read by your MP\'s office — bulk messages from campaign tools are often filtered out. It also means we never see or store your information.',
+            'send.emailClient': 'Open in Email Client',
+            'send.gmail': 'Open in Gmail',
+            'send.webmail': 'Open in {provider}',
+            'send.webmailProvider': 'Webmail provider',
+            'send.copy': 'Copy Email Text',
+            'send.copied': 'Email text copied to clipboard!',
+            'send.download': 'Download .eml',
+            'send.downloadHint': 'Save the email as a file your mail program opens as a draft',
+            'send.copyFailed': 'Failed to copy. Please select and copy the text manually.',
+
+            'share.button': 'Share This Campaign',
+            'share.hint': 'The link opens this tool with the same campaign and subject. It never includes your name, address or postal code.',
+            'share.copied': 'Link copied to clipboard!',
+            'share.title': 'Write to your MP',
+
+            'print.button': 'Print Letter',
+            'print.hintFederal': 'Prefer paper? Print the letter, sign it and mail it to your MP\'s office on Parliament Hill. Mail to the House of Commons needs no stamp.',
+            'print.hint': 'Prefer paper? Print the letter, sign it and mail it.',
+            'print.subject': 'Re:',
+
+            'call.title': 'Prefer to Call?',
+            'call.hint': 'A phone call to your representative\'s office is one of the most effective ways to be heard. Offices usually answer on weekdays during business hours; otherwise, leave a voicemail.',
+            'call.officeHill': 'Parliament Hill office',
+            'call.officeLegislature': 'Legislature office',
+            'call.officeConstituency': 'Constituency office',
+            'call.officeOther': 'Office',
+            'call.script': 'What to say (you can edit it)',
+
+            'senators.title': 'Copy Your Senators',
+            'senators.hint': 'Senators represent your whole province or territory. Optionally tick any you\'d like to copy on your letter to your MP:',
+            'senators.senator': 'Senator {name}',
+
+            'letter.salutation': 'Dear {name}',
+            'letter.salutationTitled': 'Dear {title} {name}',
+            'letter.salutationSenator': 'Dear Senator {name}',
+            'letter.salutationSenators': 'Dear Senators',
+
+            'privacy.note': 'We do not store your address; email is generated in your browser.',
+            'footer.notAffiliated': 'Not affiliated with the Government of Canada.',
+            'footer.poweredBy': 'MP lookup powered by',
+            'footer.progress': 'See the campaign\'s progress by riding',
+            'progress.pageTitle': 'Campaign Progress - Support the People of Iran',
+            'progress.description': 'How many letters have been sent to each MP, by riding.',
+            'progress.title': 'Campaign Progress',
+            'progress.intro': 'Letters sent to each MP with this tool, by riding. Ridings with few letters are where outreach can help most.',
+            'progress.back': 'Write to your MP',
+            'progress.province': 'Province or territory',
+            'progress.party': 'Party',
+            'progress.all': 'All',
+            'progress.riding': 'Riding',
+            'progress.provinceColumn': 'Province',
+            'progress.mp': 'MP',
+            'progress.letters': 'Letters',
+            'progress.exportCsv': 'Download CSV',
+            'progress.loading': 'Loading...',
+            'progress.loadFailed': 'Could not load the campaign\'s progress. Please refresh the page and try again.',
+            'progress.totalOne': '1 letter sent so far',
+            'progress.totalMany': '{count} letters sent so far',
+            'progress.showing': 'Showing {shown} of {total} ridings',
+            'progress.empty': 'No ridings match these filters.',
+            'progress.privacy': 'Only anonymous counts are kept: no names, emails or postal codes.',
+
+            'apiError.METHOD_NOT_ALLOWED': 'Method not allowed.',
+            'apiError.RATE_LIMITED': 'Too many requests. Please wait a minute and try again.',
+            'apiError.INVALID_POSTCODE': 'Invalid postal code format. Please provide a valid Canadian postal code (e.g., A1A 1A1).',
+            'apiError.INVALID_COORDINATES': 'Invalid coordinates. Please try again or enter your postal code.',
+            'apiError.OUTSIDE_CANADA': 'Your location appears to be outside Canada. Please use a Canadian location or postal code.',
+            'apiError.NOT_FOUND': 'No results found for this postal code. Please verify the postal code is correct.',
+            'apiError.NO_MP': 'Could not find a federal MP for this postal code.',
+            'apiError.MULTIPLE_RIDINGS': 'This location is in more than one riding.',
+            'apiError.NO_REPRESENTATIVES': 'No representatives found at this level.',
+            'apiError.INVALID_LEVEL': 'Invalid level of government.',
+            'apiError.INVALID_RIDING': 'Invalid riding.',
+            'apiError.INVALID_REPRESENTATIVE': 'Invalid representative.',
+            'apiError.INVALID_REPORT': 'Please check your answer and try again.',
+            'apiError.INVALID_MODERATION': 'Invalid moderation status.',
+            'apiError.REPORT_NOT_FOUND': 'That report could not be found.',
+            'apiError.UNAUTHORIZED': 'You are not allowed to do that.',
+            'apiError.CROSS_ORIGIN_WRITE': 'This can only be done from this site.',
+            'apiError.INVALID_QUERY': 'Please enter between 2 and 100 characters.',
+            'apiError.INVALID_PROVINCE': 'Invalid province.',
+            'apiError.INVALID_CAMPAIGN': 'Invalid campaign name.',
+            'apiError.CAMPAIGN_NOT_FOUND': 'This campaign does not exist.',
+            'apiError.CAMPAIGN_INACTIVE': 'This campaign is not currently running.',
+            'apiError.UPSTREAM_ERROR': 'Unable to reach the MP lookup service. Please try again later.',
+            'apiError.UPSTREAM_UNAVAILABLE': 'The MP lookup service is temporarily unavailable. Please try again in a minute.',
+            'apiError.INTERNAL_ERROR': 'An unexpected error occurred. Please try again later.'
+        },
+
+        fr: {
+            'page.title': 'Soutenez le peuple iranien - Écrivez à votre député',
+            'page.description': 'Écrivez à votre député pour soutenir le peuple iranien. Un outil simple pour communiquer avec vos élus.',
+            'header.title': 'Soutenez le peuple iranien',
+            'header.intro': 'Utilisez cet outil pour envoyer à votre député fédéral une lettre déjà rédigée qui demande un appui de tous les partis au peuple iranien. Entrez vos renseignements ci-dessous pour trouver votre député et générer un courriel.',
+            'header.noteLabel': 'Remarque :',
+            'header.note': 'Les députés demandent souvent votre adresse complète pour vérifier que vous habitez leur circonscription.',
+            'language.label': 'Langue',
+
+            'form.legend': 'Vos renseignements',
+            'form.firstName': 'Prénom',
+            'form.lastName': 'Nom de famille',
+            'form.email': 'Votre courriel',
+            'form.emailHint': 'Pour votre référence seulement : il n\'est ni envoyé ni conservé',
+            'form.streetAddress': 'Adresse',
+            'form.city': 'Ville',
+            'form.province': 'Province',
+            'form.selectProvince': 'Choisissez une province',
+            'form.postalCode': 'Code postal',
+            'form.useLocation': 'Utiliser ma position',
+            'form.locationHint': 'Ou utilisez votre position actuelle pour trouver votre député. Elle ne sert qu\'à la recherche.',
+            'form.level': 'À qui voulez-vous écrire?',
+            'form.remember': 'Mémoriser mes coordonnées sur cet appareil',
+            'form.rememberHint': 'Vos coordonnées et votre lettre sont enregistrées dans ce navigateur seulement, jamais envoyées chez nous.',
+            'form.forget': 'Oublier mes coordonnées',
+            'form.forgotten': 'Vos coordonnées ont été effacées de cet appareil.',
+            'form.submit': 'Trouver mon député',
+            'form.loading': 'Recherche...',
+
+            'province.AB': 'Alberta',
+            'province.BC': 'Colombie-Britannique',
+            'province.MB': 'Manitoba',
+            'province.NB': 'Nouveau-Brunswick',
+            'province.NL': 'Terre-Neuve-et-Labrador',
+            'province.NS': 'Nouvelle-Écosse',
+            'province.NT': 'Territoires du Nord-Ouest',
+            'province.NU': 'Nunavut',
+            'province.ON': 'Ontario',
+            'province.PE': 'Île-du-Prince-Édouard',
+            'province.QC': 'Québec',
+            'province.SK': 'Saskatchewan',
+            'province.YT': 'Yukon',
+
+            'level.federal': 'Mon député fédéral',
+            'level.provincial': 'Mon député provincial (député, MPP, MLA, MHA)',
+            'level.municipal': 'Mon maire et mes conseillers municipaux',
+            'level.all': 'Tous mes élus',
+
+            'validation.firstName': 'Le prénom est obligatoire',
+            'validation.lastName': 'Le nom de famille est obligatoire',
+            'validation.email': 'Le courriel est obligatoire',
+            'validation.emailInvalid': 'Veuillez entrer une adresse courriel valide',
+            'validation.streetAddress': 'L\'adresse est obligatoire',
+            'validation.city': 'La ville est obligatoire',
+            'validation.province': 'Veuillez choisir une province',
+            'validation.postalCode': 'Le code postal est obligatoire',
+            'validation.postalCodeInvalid': 'Veuillez entrer un code postal valide (p. ex. A1A 1A1)',
+            'validation.provinceMismatch': 'Les codes postaux commençant par {letter} correspondent à : {provinces}. Veuillez vérifier votre province ou votre code postal.',
+            'validation.ridingProvinceMismatch': 'La circonscription trouvée, {riding}, correspond à : {ridingProvince} (et non {province}). Veuillez vérifier votre province et votre code postal.',
+            'validation.cityMismatch': 'Votre code postal correspond à : {city}. Veuillez vérifier votre ville et votre code postal.',
+            'validation.provincesOr': '{first} ou {second}',
+            'validation.useProvince': 'Choisir {province}',
+
+            'rateLimit.session': 'Vous avez atteint le nombre maximal de recherches. Actualisez la page si vous devez continuer.',
+            'rateLimit.waitOne': 'Veuillez patienter 1 seconde avant de réessayer.',
+            'rateLimit.waitMany': 'Veuillez patienter {seconds} secondes avant de réessayer.',
+
+            'cc.title': 'Une copie des courriels à {recipients} sera aussi envoyée à :',
+            'cc.or': ' ou ',
+            'cc.federal': 'votre député',
+            'cc.provincial': 'votre député provincial',
+            'cc.municipal': 'votre maire et vos conseillers',
+            'cc.senate': 'vos sénateurs',
+
+            'error.alsoPrefix': 'Vous pouvez aussi',
+            'error.parliamentLink': 'trouver votre député sur le site Web du Parlement',
+            'error.parliamentUrl': 'https://www.noscommunes.ca/members/fr/search',
+            'error.noEmailAtLevel': 'Aucun de vos élus à ce palier n\'a d\'adresse courriel publique.',
+            'error.noMpEmail': 'Impossible de déterminer l\'adresse courriel du député. Veuillez communiquer directement avec votre député.',
+            'error.noRepresentatives': 'Aucun élu trouvé à ce palier pour ce code postal. Essayez un autre palier ou écrivez à votre député fédéral.',
+            'error.noMp': 'Aucun député fédéral trouvé pour ce code postal. Vérifiez le code postal ou cherchez votre député par nom ou par circonscription ci-dessous.',
+            'error.lookupFailed': 'La recherche de votre député a échoué. Veuillez réessayer ou utiliser la recherche manuelle.',
+            'error.locationDenied': 'L\'accès à votre position a été refusé. Veuillez plutôt entrer votre code postal.',
+            'error.locationFailed': 'Impossible de déterminer votre position. Veuillez plutôt entrer votre code postal.',
+            'error.campaignLoad': 'Impossible de charger la lettre. Veuillez actualiser la page et réessayer.',
+            'error.campaignInactive': 'Cette campagne n\'est pas en cours; nous avons donc chargé notre lettre principale.',
+            'error.campaignNotFound': 'Cette campagne est introuvable; nous avons donc chargé notre lettre principale.',
+
+            'search.summary': 'Vous ne trouvez pas votre député? Cherchez par nom ou par circonscription',
+            'search.label': 'Nom du député ou circonscription',
+            'search.placeholder': 'p. ex. Laurier—Sainte-Marie',
+            'search.hint': 'Vos renseignements ci-dessus servent toujours à signer la lettre.',
+            'search.searching': 'Recherche...',
+            'search.noResults': 'Aucun député ni aucune circonscription ne correspond à votre recherche.',
+            'search.failed': 'La recherche a échoué. Veuillez réessayer.',
+            'search.completeForm': 'Veuillez d\'abord remplir vos renseignements ci-dessus.',
+
+            'picker.title': 'Choisissez votre circonscription',
+            'picker.hint': 'Votre code postal peut chevaucher plusieurs circonscriptions fédérales. Veuillez choisir celle où vous habitez.',
+            'picker.notSure': 'Vous hésitez?',
+            'picker.electionsLink': 'Trouvez votre circonscription par adresse sur le site d\'Élections Canada',
+            'picker.electionsUrl': 'https://www.elections.ca/Scripts/vis/FindED?L=f&PAGEID=20',
+
+            'result.title.federal': 'Votre député fédéral',
+            'result.title.provincial': 'Votre député provincial',
+            'result.title.municipal': 'Votre élu municipal',
+            'result.name': 'Nom :',
+            'result.riding': 'Circonscription :',
+            'result.email': 'Courriel :',
+            'result.unknownRiding': 'Circonscription inconnue',
+            'result.actionCountOne': '1 personne de votre circonscription a écrit',
+            'result.actionCountMany': '{count} personnes de votre circonscription ont écrit',
+            'result.responseRateOne': 'Taux de réponse : {rate} % (1 personne a donné des nouvelles)',
+            'result.responseRateMany': 'Taux de réponse : {rate} % ({replied} des {reports} personnes qui ont donné des nouvelles ont reçu une réponse)',
+            'response.summary': 'Vous avez déjà écrit? Dites-nous si vous avez reçu une réponse',
+            'response.question': 'Vous a-t-on répondu?',
+            'response.yes': 'Oui, j\'ai reçu une réponse',
+            'response.no': 'Pas encore de réponse',
+            'response.sentiment': 'Comment était la réponse? (facultatif)',
+            'response.sentimentNone': 'Je préfère ne pas le dire',
+            'response.positive': 'Favorable',
+            'response.neutral': 'Sans engagement',
+            'response.negative': 'Défavorable',
+            'response.excerpt': 'Un court extrait de la réponse (facultatif)',
+            'response.excerptHint': '280 caractères au plus. N\'indiquez ni nom, ni courriel, ni numéro de téléphone : les extraits ne sont affichés qu\'après vérification.',
+            'response.submit': 'Envoyer',
+            'response.privacy': 'Anonyme : rien sur vous n\'est envoyé avec votre réponse.',
+            'response.chooseOne': 'Veuillez indiquer si vous avez reçu une réponse.',
+            'response.thanks': 'Merci! Votre réponse aide les autres à savoir à quoi s\'attendre.',
+            'result.fallbackNote': 'La recherche en direct est indisponible; ce résultat provient donc de notre liste hors ligne. Veuillez vérifier qu\'il s\'agit bien de votre député.',
+            'result.emailGuessed': 'Le service de recherche n\'avait pas d\'adresse courriel pour ce député; nous l\'avons donc déduite de son nom. Veuillez la vérifier sur le site du Parlement avant l\'envoi.',
+            'result.emailAlternatives': 'Autres adresses possibles :',
+
+            'recipients.hint': 'Vous pouvez écrire à chacun de vos élus tour à tour. Choisissez à qui écrire ensuite :',
+            'recipients.representative': 'Élu',
+            'recipients.unknownDistrict': 'District inconnu',
+            'recipients.noEmail': ' — aucune adresse courriel disponible',
+            'recipients.written': ' ✓ Écrit',
+
+            'editor.title': 'Personnalisez votre courriel',
+            'editor.hint': 'N\'hésitez pas à modifier l\'objet et le message ci-dessous avant l\'envoi.',
+            'editor.to': 'À :',
+            'editor.cc': 'Cc :',
+            'editor.subject': 'Objet',
+            'editor.message': 'Message',
+            'editor.letterLanguage': 'Langue de la lettre',
+            'editor.translationTitle': 'Traduction',
+            'editor.translationHint': 'Pour votre compréhension seulement. La traduction n\'est pas envoyée et ne reflète pas vos modifications.',
+
+            'send.noteTitle': 'Pourquoi dois-je l\'envoyer moi-même?',
+            'send.note': 'Les courriels envoyés de votre propre compte ont plus de chances d\'être lus par le bureau de votre député — les envois massifs des outils de campagne sont souvent filtrés. Cela signifie aussi que nous ne voyons ni ne conservons jamais vos renseignements.',
+            'send.emailClient': 'Ouvrir dans le logiciel de courriel',
+            'send.gmail': 'Ouvrir dans Gmail',
+            'send.webmail': 'Ouvrir dans {provider}',
+            'send.webmailProvider': 'Service de courriel Web',
+            'send.copy': 'Copier le texte du courriel',
+            'send.copied': 'Texte du courriel copié dans le presse-papiers!',
+            'send.download': 'Télécharger le .eml',
+            'send.downloadHint': 'Enregistrer le courriel dans un fichier que votre logiciel de courriel ouvre comme brouillon',
+            'send.copyFailed': 'La copie a échoué. Veuillez sélectionner et copier le texte manuellement.',
+
+            'share.button': 'Partager cette campagne',
+            'share.hint': 'Le lien ouvre cet outil avec la même campagne et le même objet. Il ne contient jamais votre nom, votre adresse ni votre code postal.',
+            'share.copied': 'Lien copié dans le presse-papiers!',
+            'share.title': 'Écrivez à votre député',
+
+            'print.button': 'Imprimer la lettre',
+            'print.hintFederal': 'Vous préférez le papier? Imprimez la lettre, signez-la et postez-la au bureau de votre député sur la Colline du Parlement. Le courrier adressé à la Chambre des communes n\'a pas besoin de timbre.',
+            'print.hint': 'Vous préférez le papier? Imprimez la lettre, signez-la et postez-la.',
+            'print.subject': 'Objet :',
+
+            'call.title': 'Vous préférez appeler?',
+            'call.hint': 'Un appel au bureau de votre représentant est l\'un des moyens les plus efficaces de vous faire entendre. Les bureaux répondent habituellement en semaine pendant les heures de bureau; sinon, laissez un message vocal.',
+            'call.officeHill': 'Bureau de la Colline du Parlement',
+            'call.officeLegislature': 'Bureau à l\'assemblée législative',
+            'call.officeConstituency': 'Bureau de circonscription',
+            'call.officeOther': 'Bureau',
+            'call.script': 'Quoi dire (vous pouvez le modifier)',
+
+            'senators.title': 'Mettez vos sénateurs en copie',
+            'senators.hint': 'Les sénateurs représentent l\'ensemble de votre province ou territoire. Si vous le souhaitez, cochez ceux que vous aimeriez mettre en copie de votre lettre à votre député :',
+            'senators.senator': 'L\'hon. {name}',
+
+            'letter.salutation': 'Bonjour {name}',
+            'letter.salutationTitled': 'Bonjour {name}',
+            'letter.salutationSenator': 'Bonjour {name}',
+            'letter.salutationSenators': 'Mesdames et Messieurs les sénateurs',
+
+            'privacy.note': 'Nous ne conservons pas votre adresse; le courriel est généré dans votre navigateur.',
+            'footer.notAffiliated': 'Non affilié au gouvernement du Canada.',
+            'footer.poweredBy': 'Recherche des députés fournie par',
+            'footer.progress': 'Voir les progrès de la campagne par circonscription',
+            'progress.pageTitle': 'Progrès de la campagne - Soutenez le peuple iranien',
+            'progress.description': 'Nombre de lettres envoyées à chaque député, par circonscription.',
+            'progress.title': 'Progrès de la campagne',
+            'progress.intro': 'Lettres envoyées à chaque député avec cet outil, par circonscription. C\'est dans les circonscriptions qui ont reçu peu de lettres que la mobilisation peut le plus aider.',
+            'progress.back': 'Écrire à votre député',
+            'progress.province': 'Province ou territoire',
+            'progress.party': 'Parti',
+            'progress.all': 'Tous',
+            'progress.riding': 'Circonscription',
+            'progress.provinceColumn': 'Province',
+            'progress.mp': 'Député',
+            'progress.letters': 'Lettres',
+            'progress.exportCsv': 'Télécharger le CSV',
+            'progress.loading': 'Chargement...',
+            'progress.loadFailed': 'Impossible de charger les progrès de la campagne. Veuillez actualiser la page et réessayer.',
+            'progress.totalOne': '1 lettre envoyée jusqu\'ici',
+            'progress.totalMany': '{count} lettres envoyées jusqu\'ici',
+            'progress.showing': '{shown} circonscriptions sur {total}',
+            'progress.empty': 'Aucune circonscription ne correspond à ces filtres.',
+            'progress.privacy': 'Seuls des décomptes anonymes sont conservés : aucun nom, courriel ni code postal.',
+
+            'apiError.METHOD_NOT_ALLOWED': 'Méthode non autorisée.',
+            'apiError.RATE_LIMITED': 'Trop de requêtes. Veuillez patienter une minute et réessayer.',
+            'apiError.INVALID_POSTCODE': 'Format de code postal invalide. Veuillez entrer un code postal canadien valide (p. ex. A1A 1A1).',
+            'apiError.INVALID_COORDINATES': 'Coordonnées invalides. Veuillez réessayer ou entrer votre code postal.',
+            'apiError.OUTSIDE_CANADA': 'Votre position semble être à l\'extérieur du Canada. Veuillez utiliser une position ou un code postal canadien.',
+            'apiError.NOT_FOUND': 'Aucun résultat pour ce code postal. Veuillez vérifier qu\'il est exact.',
+            'apiError.NO_MP': 'Aucun député fédéral trouvé pour ce code postal.',
+            'apiError.MULTIPLE_RIDINGS': 'Cette position se trouve dans plus d\'une circonscription.',
+            'apiError.NO_REPRESENTATIVES': 'Aucun élu trouvé à ce palier.',
+            'apiError.INVALID_LEVEL': 'Palier de gouvernement invalide.',
+            'apiError.INVALID_RIDING': 'Circonscription invalide.',
+            'apiError.INVALID_REPRESENTATIVE': 'Élu invalide.',
+            'apiError.INVALID_REPORT': 'Veuillez vérifier votre réponse et réessayer.',
+            'apiError.INVALID_MODERATION': 'Statut de modération invalide.',
+            'apiError.REPORT_NOT_FOUND': 'Ce signalement est introuvable.',
+            'apiError.UNAUTHORIZED': 'Vous n\'êtes pas autorisé à faire cela.',
+            'apiError.CROSS_ORIGIN_WRITE': 'Cette action n\'est possible que depuis ce site.',
+            'apiError.INVALID_QUERY': 'Veuillez entrer entre 2 et 100 caractères.',
+            'apiError.INVALID_PROVINCE': 'Province invalide.',
+            'apiError.INVALID_CAMPAIGN': 'Nom de campagne invalide.',
+            'apiError.CAMPAIGN_NOT_FOUND': 'Cette campagne n\'existe pas.',
+            'apiError.CAMPAIGN_INACTIVE': 'Cette campagne n\'est pas en cours.',
+            'apiError.UPSTREAM_ERROR': 'Impossible de joindre le service de recherche des députés. Veuillez réessayer plus tard.',
+            'apiError.UPSTREAM_UNAVAILABLE': 'Le service de recherche des députés est temporairement indisponible. Veuillez réessayer dans une minute.',
+            'apiError.INTERNAL_ERROR': 'Une erreur inattendue s\'est produite. Veuillez réessayer plus tard.'
+        },
+        fa: {
+            'page.title': 'حمایت از مردم ایران - با نماینده خود تماس بگیرید',
+            'page.description': 'برای حمایت از مردم ایران به نماینده پارلمان خود ایمیل بزنید. ابزاری ساده برای تماس کانادایی‌ها با نمایندگانشان.',
+            'header.title': 'حمایت از مردم ایران',
+            'header.intro': 'با این ابزار می‌توانید نامه‌ای آماده را برای نماینده پارلمان خود بفرستید و از او بخواهید از مردم ایران فراتر از مرزهای حزبی حمایت کند. اطلاعات خود را در زیر وارد کنید تا نماینده‌تان پیدا شود و ایمیل ساخته شود.',
+            'header.noteLabel': 'توجه:',
+            'header.note': 'نمایندگان معمولاً نشانی کامل شما را می‌خواهند تا مطمئن شوند در حوزه انتخابیه آن‌ها ساکن هستید.',
+            'language.label': 'زبان',
+
+            'form.legend': 'اطلاعات شما',
+            'form.firstName': 'نام',
+            'form.lastName': 'نام خانوادگی',
+            'form.email': 'ایمیل شما',
+            'form.emailHint': 'فقط برای اطلاع خودتان - نه فرستاده می‌شود و نه ذخیره',
+            'form.streetAddress': 'نشانی خیابان',
+            'form.city': 'شهر',
+            'form.province': 'استان',
+            'form.selectProvince': 'استان را انتخاب کنید',
+            'form.postalCode': 'کد پستی',
+            'form.useLocation': 'استفاده از موقعیت من',
+            'form.locationHint': 'یا از موقعیت فعلی خود برای یافتن نماینده‌تان استفاده کنید. موقعیت شما فقط برای همین جستجو به کار می‌رود.',
+            'form.level': 'می‌خواهید به چه کسی نامه بنویسید؟',
+            'form.remember': 'اطلاعات مرا در این دستگاه به خاطر بسپار',
+            'form.rememberHint': 'اطلاعات و نامهٔ شما فقط در همین مرورگر ذخیره می‌شود و هرگز برای ما فرستاده نمی‌شود.',
+            'form.forget': 'فراموشم کن',
+            'form.forgotten': 'اطلاعات شما از این دستگاه پاک شد.',
+            'form.submit': 'یافتن نماینده من',
+            'form.loading': 'در حال جستجو...',
+
+            'province.AB': 'آلبرتا',
+            'province.BC': 'بریتیش کلمبیا',
+            'province.MB': 'منیتوبا',
+            'province.NB': 'نیوبرانزویک',
+            'province.NL': 'نیوفاندلند و لابرادور',
+            'province.NS': 'نوا اسکوشیا',
+            'province.NT': 'سرزمین‌های شمال غربی',
+            'province.NU': 'نوناووت',
+            'province.ON': 'انتاریو',
+            'province.PE': 'جزیره پرنس ادوارد',
+            'province.QC': 'کبک',
+            'province.SK': 'ساسکاچوان',
+            'province.YT': 'یوکان',
+
+            'level.federal': 'نماینده پارلمان فدرال من',
+            'level.provincial': 'نماینده استانی من (MPP، MLA، MNA، MHA)',
+            'level.municipal': 'شهردار و اعضای شورای شهر من',
+            'level.all': 'همه نمایندگان من',
+
+            'validation.firstName': 'وارد کردن نام الزامی است',
+            'validation.lastName': 'وارد کردن نام خانوادگی الزامی است',
+            'validation.email': 'وارد کردن ایمیل الزامی است',
+            'validation.emailInvalid': 'لطفاً یک نشانی ایمیل معتبر وارد کنید',
+            'validation.streetAddress': 'وارد کردن نشانی خیابان الزامی است',
+            'validation.city': 'وارد کردن شهر الزامی است',
+            'validation.province': 'لطفاً استان را انتخاب کنید',
+            'validation.postalCode': 'وارد کردن کد پستی الزامی است',
+            'validation.postalCodeInvalid': 'لطفاً یک کد پستی معتبر وارد کنید (مثلاً A1A 1A1)',
+            'validation.provinceMismatch': 'کدهای پستی که با {letter} شروع می‌شوند در {provinces} هستند. لطفاً استان یا کد پستی خود را بررسی کنید.',
+            'validation.ridingProvinceMismatch': 'حوزهٔ انتخاباتی پیداشده، {riding}، در {ridingProvince} است، نه {province}. لطفاً استان و کد پستی خود را بررسی کنید.',
+            'validation.cityMismatch': 'کد پستی شما در {city} است. لطفاً شهر و کد پستی خود را بررسی کنید.',
+            'validation.provincesOr': '{first} یا {second}',
+            'validation.useProvince': 'انتخاب {province}',
+
+            'rateLimit.session': 'به حداکثر تعداد جستجو رسیده‌اید. اگر لازم است ادامه دهید، صفحه را دوباره بارگذاری کنید.',
+            'rateLimit.waitOne': 'لطفاً ۱ ثانیه صبر کنید و دوباره تلاش کنید.',
+            'rateLimit.waitMany': 'لطفاً {seconds} ثانیه صبر کنید و دوباره تلاش کنید.',
+
+            'cc.title': 'رونوشت ایمیل‌ها به {recipients} برای این افراد هم فرستاده می‌شود:',
+            'cc.or': ' یا ',
+            'cc.federal': 'نماینده پارلمان شما',
+            'cc.provincial': 'نماینده استانی شما',
+            'cc.municipal': 'شهردار و اعضای شورای شهر شما',
+            'cc.senate': 'سناتورهای شما',
+
+            'error.alsoPrefix': 'همچنین می‌توانید',
+            'error.parliamentLink': 'نماینده خود را در وب‌سایت پارلمان پیدا کنید',
+            'error.parliamentUrl': 'https://www.ourcommons.ca/members/en/search',
+            'error.noEmailAtLevel': 'هیچ‌یک از نمایندگان شما در این سطح نشانی ایمیل عمومی ندارند.',
+            'error.noMpEmail': 'نشانی ایمیل نماینده پیدا نشد. لطفاً مستقیماً با نماینده خود تماس بگیرید.',
+            'error.noRepresentatives': 'برای این کد پستی نماینده‌ای در این سطح پیدا نشد. سطح دیگری را امتحان کنید یا به نماینده پارلمان فدرال خود نامه بنویسید.',
+            'error.noMp': 'برای این کد پستی نماینده پارلمان فدرال پیدا نشد. کد پستی را بررسی کنید یا در پایین نماینده خود را با نام یا حوزه انتخابیه جستجو کنید.',
+            'error.lookupFailed': 'یافتن نماینده شما ناموفق بود. لطفاً دوباره تلاش کنید یا از جستجوی دستی استفاده کنید.',
+            'error.locationDenied': 'اجازه دسترسی به موقعیت داده نشد. لطفاً به جای آن کد پستی خود را وارد کنید.',
+            'error.locationFailed': 'موقعیت شما مشخص نشد. لطفاً به جای آن کد پستی خود را وارد کنید.',
+            'error.campaignLoad': 'نامه بارگذاری نشد. لطفاً صفحه را دوباره بارگذاری کنید و دوباره تلاش کنید.',
+            'error.campaignInactive': 'این کارزار در حال حاضر فعال نیست، برای همین نامه اصلی ما را بارگذاری کردیم.',
+            'error.campaignNotFound': 'این کارزار پیدا نشد، برای همین نامه اصلی ما را بارگذاری کردیم.',
+
+            'search.summary': 'نماینده خود را پیدا نمی‌کنید؟ با نام یا حوزه انتخابیه جستجو کنید',
+            'search.label': 'نام نماینده یا حوزه انتخابیه',
+            'search.placeholder': 'مثلاً Laurier Sainte-Marie',
+            'search.hint': 'اطلاعات شما در بالا همچنان برای امضای نامه لازم است.',
+            'search.searching': 'در حال جستجو...',
+            'search.noResults': 'هیچ نماینده یا حوزه انتخابیه‌ای با جستجوی شما مطابقت ندارد.',
+            'search.failed': 'جستجو ناموفق بود. لطفاً دوباره تلاش کنید.',
+            'search.completeForm': 'لطفاً ابتدا اطلاعات خود را در بالا کامل کنید.',
+
+            'picker.title': 'حوزه انتخابیه خود را انتخاب کنید',
+            'picker.hint': 'کد پستی شما ممکن است در بیش از یک حوزه انتخابیه فدرال باشد. لطفاً حوزه‌ای را که در آن زندگی می‌کنید انتخاب کنید.',
+            'picker.notSure': 'مطمئن نیستید؟',
+            'picker.electionsLink': 'حوزه انتخابیه خود را با نشانی در وب‌سایت Elections Canada پیدا کنید',
+            'picker.electionsUrl': 'https://www.elections.ca/Scripts/vis/FindED?L=e&PAGEID=20',
+
+            'result.title.federal': 'نماینده پارلمان شما',
+            'result.title.provincial': 'نماینده استانی شما',
+            'result.title.municipal': 'نماینده شهری شما',
+            'result.name': 'نام:',
+            'result.riding': 'حوزه انتخابیه:',
+            'result.email': 'ایمیل:',
+            'result.unknownRiding': 'حوزه انتخابیه نامشخص',
+            'result.actionCountOne': '۱ نفر از ساکنان حوزه انتخابیه شما نامه نوشته است',
+            'result.actionCountMany': '{count} نفر از ساکنان حوزه انتخابیه شما نامه نوشته‌اند',
+            'result.responseRateOne': 'نرخ پاسخ‌گویی: {rate}٪ (۱ نفر نتیجه را گزارش کرده است)',
+            'result.responseRateMany': 'نرخ پاسخ‌گویی: {rate}٪ ({replied} نفر از {reports} نفری که نتیجه را گزارش کرده‌اند پاسخ گرفته‌اند)',
+            'response.summary': 'قبلاً نامه نوشته‌اید؟ به ما بگویید پاسخی گرفتید یا نه',
+            'response.question': 'آیا به نامه شما پاسخ دادند؟',
+            'response.yes': 'بله، پاسخ دادند',
+            'response.no': 'هنوز پاسخی نیامده',
+            'response.sentiment': 'پاسخ چگونه بود؟ (اختیاری)',
+            'response.sentimentNone': 'ترجیح می‌دهم نگویم',
+            'response.positive': 'حمایت‌آمیز',
+            'response.neutral': 'بدون تعهد',
+            'response.negative': 'مخالف',
+            'response.excerpt': 'بخش کوتاهی از پاسخ (اختیاری)',
+            'response.excerptHint': 'حداکثر ۲۸۰ نویسه. نام، ایمیل و شماره تلفن ننویسید: بخش‌ها فقط پس از بررسی نمایش داده می‌شوند.',
+            'response.submit': 'ارسال',
+            'response.privacy': 'ناشناس: هیچ اطلاعاتی درباره شما همراه پاسختان فرستاده نمی‌شود.',
+            'response.chooseOne': 'لطفاً بگویید که آیا پاسخ دادند یا نه.',
+            'response.thanks': 'سپاس! پاسخ شما به دیگران کمک می‌کند بدانند چه انتظاری داشته باشند.',
+            'result.fallbackNote': 'جستجوی زنده نمایندگان در دسترس نیست، برای همین این نتیجه از فهرست آفلاین ما آمده است. لطفاً بررسی کنید که واقعاً نماینده شما باشد.',
+            'result.emailGuessed': 'سرویس جستجو نشانی ایمیلی برای این نماینده نداشت، برای همین آن را از روی نامش حدس زدیم. لطفاً پیش از فرستادن آن را در وب‌سایت پارلمان بررسی کنید.',
+            'result.emailAlternatives': 'نشانی‌های احتمالی دیگر:',
+
+            'recipients.hint': 'می‌توانید به نوبت به هر یک از نمایندگان خود نامه بنویسید. انتخاب کنید نامه بعدی به چه کسی باشد:',
+            'recipients.representative': 'نماینده',
+            'recipients.unknownDistrict': 'حوزه نامشخص',
+            'recipients.noEmail': ' — نشانی ایمیلی در دسترس نیست',
+            'recipients.written': ' ✓ نوشته شد',
+
+            'editor.title': 'ایمیل خود را ویرایش کنید',
+            'editor.hint': 'پیش از فرستادن، موضوع و متن پیام را در صورت تمایل ویرایش کنید.',
+            'editor.to': 'به:',
+            'editor.cc': 'رونوشت:',
+            'editor.subject': 'موضوع',
+            'editor.message': 'پیام',
+            'editor.letterLanguage': 'نامه به چه زبانی نوشته شود؟',
+            'editor.translationTitle': 'ترجمه فارسی',
+            'editor.translationHint': 'فقط برای درک شما. این ترجمه فرستاده نمی‌شود و تغییرات شما را در بر نمی‌گیرد.',
+
+            'send.noteTitle': 'چرا باید خودم آن را بفرستم؟',
+            'send.note': 'ایمیل‌هایی که مستقیماً از حساب خودتان فرستاده می‌شوند، احتمال بیشتری دارد که در دفتر نماینده خوانده شوند — پیام‌های انبوه ابزارهای کارزار اغلب فیلتر می‌شوند. همچنین به این معناست که ما هرگز اطلاعات شما را نمی‌بینیم و ذخیره نمی‌کنیم.',
+            'send.emailClient': 'باز کردن در برنامه ایمیل',
+            'send.gmail': 'باز کردن در Gmail',
+            'send.webmail': 'باز کردن در {provider}',
+            'send.webmailProvider': 'سرویس ایمیل تحت وب',
+            'send.copy': 'کپی متن ایمیل',
+            'send.copied': 'متن ایمیل کپی شد!',
+            'send.download': 'دریافت فایل .eml',
+            'send.downloadHint': 'ایمیل را در فایلی ذخیره کنید که برنامهٔ ایمیل شما آن را به‌صورت پیش‌نویس باز می‌کند',
+            'send.copyFailed': 'کپی ناموفق بود. لطفاً متن را خودتان انتخاب و کپی کنید.',
+
+            'share.button': 'هم‌رسانی این کارزار',
+            'share.hint': 'این پیوند همین ابزار را با همان کارزار و موضوع باز می‌کند و هرگز نام، نشانی یا کد پستی شما را در بر ندارد.',
+            'share.copied': 'پیوند کپی شد!',
+            'share.title': 'به نماینده‌تان نامه بنویسید',
+
+            'print.button': 'چاپ نامه',
+            'print.hintFederal': 'نامهٔ کاغذی را ترجیح می‌دهید؟ نامه را چاپ و امضا کنید و به دفتر نمایندهٔ خود در پارلمان بفرستید. نامه به مجلس عوام کانادا تمبر لازم ندارد.',
+            'print.hint': 'نامهٔ کاغذی را ترجیح می‌دهید؟ نامه را چاپ و امضا کنید و بفرستید.',
+            'print.subject': 'موضوع:',
+
+            'call.title': 'ترجیح می‌دهید تماس بگیرید؟',
+            'call.hint': 'تماس تلفنی با دفتر نماینده‌تان یکی از مؤثرترین راه‌ها برای شنیده شدن است. دفترها معمولاً در روزهای کاری و ساعات اداری پاسخ می‌دهند؛ در غیر این صورت پیام صوتی بگذارید.',
+            'call.officeHill': 'دفتر پارلمان',
+            'call.officeLegislature': 'دفتر مجلس',
+            'call.officeConstituency': 'دفتر حوزهٔ انتخاباتی',
+            'call.officeOther': 'دفتر',
+            'call.script': 'چه بگویید (می‌توانید ویرایشش کنید)',
+
+            'senators.title': 'رونوشت برای سناتورهای شما',
+            'senators.hint': 'سناتورها نماینده کل استان یا سرزمین شما هستند. در صورت تمایل، هر کدام را که می‌خواهید رونوشت نامهٔ شما به نمایندهٔ مجلس را دریافت کند علامت بزنید:',
+            'senators.senator': 'سناتور {name}',
+
+            'letter.salutation': '{name} گرامی',
+            'letter.salutationTitled': '{title} {name} گرامی',
+            'letter.salutationSenator': 'سناتور {name} گرامی',
+            'letter.salutationSenators': 'سناتورهای گرامی',
+
+            'privacy.note': 'ما نشانی شما را ذخیره نمی‌کنیم؛ ایمیل در مرورگر خود شما ساخته می‌شود.',
+            'footer.notAffiliated': 'وابسته به دولت کانادا نیست.',
+            'footer.poweredBy': 'جستجوی نمایندگان با استفاده از',
+            'footer.progress': 'پیشرفت کارزار را به تفکیک حوزه انتخابیه ببینید',
+            'progress.pageTitle': 'پیشرفت کارزار - حمایت از مردم ایران',
+            'progress.description': 'تعداد نامه‌هایی که برای هر نماینده فرستاده شده، به تفکیک حوزه انتخابیه.',
+            'progress.title': 'پیشرفت کارزار',
+            'progress.intro': 'نامه‌هایی که با این ابزار برای هر نماینده فرستاده شده، به تفکیک حوزه انتخابیه. حوزه‌هایی که نامه کمی دریافت کرده‌اند جایی هستند که اطلاع‌رسانی بیشترین کمک را می‌کند.',
+            'progress.back': 'به نماینده خود نامه بنویسید',
+            'progress.province': 'استان یا قلمرو',
+            'progress.party': 'حزب',
+            'progress.all': 'همه',
+            'progress.riding': 'حوزه انتخابیه',
+            'progress.provinceColumn': 'استان',
+            'progress.mp': 'نماینده',
+            'progress.letters': 'نامه‌ها',
+            'progress.exportCsv': 'دانلود CSV',
+            'progress.loading': 'در حال بارگذاری...',
+            'progress.loadFailed': 'بارگذاری پیشرفت کارزار ممکن نشد. لطفاً صفحه را تازه کنید و دوباره تلاش کنید.',
+            'progress.totalOne': 'تاکنون ۱ نامه فرستاده شده است',
+            'progress.totalMany': 'تاکنون {count} نامه فرستاده شده است',
+            'progress.showing': '{shown} حوزه از {total} حوزه',
+            'progress.empty': 'هیچ حوزه‌ای با این فیلترها مطابقت ندارد.',
+            'progress.privacy': 'فقط شمارش‌های ناشناس نگه داشته می‌شود: نه نام، نه ایمیل و نه کد پستی.',
+
+            'apiError.METHOD_NOT_ALLOWED': 'این روش مجاز نیست.',
+            'apiError.RATE_LIMITED': 'تعداد درخواست‌ها زیاد است. لطفاً یک دقیقه صبر کنید و دوباره تلاش کنید.',
+            'apiError.INVALID_POSTCODE': 'قالب کد پستی نامعتبر است. لطفاً یک کد پستی معتبر کانادایی وارد کنید (مثلاً A1A 1A1).',
+            'apiError.INVALID_COORDINATES': 'مختصات نامعتبر است. لطفاً دوباره تلاش کنید یا کد پستی خود را وارد کنید.',
+            'apiError.OUTSIDE_CANADA': 'به نظر می‌رسد موقعیت شما خارج از کانادا است. لطفاً از یک موقعیت یا کد پستی کانادایی استفاده کنید.',
+            'apiError.NOT_FOUND': 'برای این کد پستی نتیجه‌ای پیدا نشد. لطفاً درستی کد پستی را بررسی کنید.',
+            'apiError.NO_MP': 'برای این کد پستی نماینده پارلمان فدرال پیدا نشد.',
+            'apiError.MULTIPLE_RIDINGS': 'این موقعیت در بیش از یک حوزه انتخابیه قرار دارد.',
+            'apiError.NO_REPRESENTATIVES': 'در این سطح نماینده‌ای پیدا نشد.',
+            'apiError.INVALID_LEVEL': 'سطح حکومتی نامعتبر است.',
+            'apiError.INVALID_RIDING': 'حوزهٔ انتخاباتی نامعتبر است.',
+            'apiError.INVALID_REPRESENTATIVE': 'نماینده نامعتبر است.',
+            'apiError.INVALID_REPORT': 'لطفاً پاسخ خود را بررسی کنید و دوباره تلاش کنید.',
+            'apiError.INVALID_MODERATION': 'وضعیت بازبینی نامعتبر است.',
+            'apiError.REPORT_NOT_FOUND': 'این گزارش پیدا نشد.',
+            'apiError.UNAUTHORIZED': 'شما اجازه انجام این کار را ندارید.',
+            'apiError.CROSS_ORIGIN_WRITE': 'این کار فقط از همین سایت امکان‌پذیر است.',
+            'apiError.INVALID_QUERY': 'لطفاً بین ۲ تا ۱۰۰ نویسه وارد کنید.',
+            'apiError.INVALID_PROVINCE': 'استان نامعتبر است.',
+            'apiError.INVALID_CAMPAIGN': 'نام کارزار نامعتبر است.',
+            'apiError.CAMPAIGN_NOT_FOUND': 'این کارزار وجود ندارد.',
+            'apiError.CAMPAIGN_INACTIVE': 'این کارزار در حال حاضر فعال نیست.',
+            'apiError.UPSTREAM_ERROR': 'دسترسی به سرویس جستجوی نمایندگان ممکن نیست. لطفاً بعداً دوباره تلاش کنید.',
+            'apiError.UPSTREAM_UNAVAILABLE': 'سرویس جستجوی نمایندگان موقتاً در دسترس نیست. لطفاً یک دقیقه دیگر دوباره تلاش کنید.',
+            'apiError.INTERNAL_ERROR': 'خطای غیرمنتظره‌ای رخ داد. لطفاً بعداً دوباره تلاش کنید.'
+        }
+    };
+
+    /**
+     * Whether a language is supported
+     */
+    function isSupported(language) {
+        return Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+    }
+
+    /**
+     * Text direction for a language: 'rtl' or 'ltr'
+     */
+    function direction(language) {
+        return RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * Language to write the letter in for an interface language
+     * The interface language when letters can be sent in it, otherwise
+     * French for Quebec postal codes and English elsewhere
+     */
+    function letterLanguage(language, postalCode) {
+        if (LETTER_LANGUAGES.includes(language)) {
+            return language;
+        }
+        return languageForPostalCode(postalCode) || DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * Translate a message key, filling {name} placeholders from params
+     * Falls back to English, then to the key itself
+     */
+    function translate(language, key, params = {}) {
+        const messages = MESSAGES[language] || MESSAGES[DEFAULT_LANGUAGE];
+        const message = messages[key] !== undefined ? messages[key] : MESSAGES[DEFAULT_LANGUAGE][key];
+        if (message === undefined) {
+            return key;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined ? String(params[name]) : match
+        );
+    }
+
+    /**
+     * Translated message for an API error code
+     * Returns the fallback (usually the API's English message) for unknown codes
+     */
+    function apiErrorMessage(language, code, fallback) {
+        const key = `apiError.${code}`;
+        return code && MESSAGES[DEFAULT_LANGUAGE][key] ? translate(language, key) : fallback;
+    }
+
+    /**
+     * Language suggested by a postal code: French for Quebec, otherwise null
+     */
+    function languageForPostalCode(postalCode) {
+        const first = (postalCode || '').trim().charAt(0).toUpperCase();
+        return QUEBEC_POSTAL_PREFIXES.includes(first) ? 'fr' : null;
+    }
+
+    /**
+     * Pick the interface language
+     * An explicit choice wins, then a Quebec postal code, then the
+     * browser's preferred languages, then English
+     * Options: { chosen, postalCode, preferred: ['fr-CA', 'en'] }
+     */
+    function detectLanguage(options = {}) {
+        if (isSupported(options.chosen)) {
+            return options.chosen;
+        }
+
+        const fromPostalCode = languageForPostalCode(options.postalCode);
+        if (fromPostalCode) {
+            return fromPostalCode;
+        }
+
+        const preferred = (options.preferred || [])
+            .map(tag => String(tag).toLowerCase().split('-')[0])
+            .find(isSupported);
+
+        return preferred || DEFAULT_LANGUAGE;
+    }
+
+    return {
+        DEFAULT_LANGUAGE,
+        LANGUAGES,
+        LETTER_LANGUAGES,
+        MESSAGES,
+        isSupported,
+        direction,
+        letterLanguage,
+        translate,
+        apiErrorMessage,
+        languageForPostalCode,
+        detectLanguage
+    };
+});
@@ -0,0 +1,191 @@
+/**
+ * Letter template mini-language.
+ * Used by the browser (window.LetterTemplate) to write letters, and by
+ * the API and tests to validate campaign templates.
+ *
+ *   {{name}}                               placeholder
+ *   {{#if inGoverningParty}}...{{/if}}     conditional block
+ *   {{#if party}}...{{else}}...{{/if}}     conditional block with else
+ *   {{#variants}}A{{or}}B{{or}}C{{/variants}}
+ *                                          one variant, chosen at random
+ *
+ * Blocks can be nested. Unknown placeholders are left in the letter as
+ * typed, so a misspelt name is easy to spot in the editor.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.LetterTemplate = api;
+    }
+})(typeof document !== 'undefined' && document.currentScript && document.currentScript.dataset.namespace
+    ? self[document.currentScript.dataset.namespace]
+    : typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Any {{...}} tag
+    const TAG_REGEX = /\{\{\s*([#/]?)\s*(\w+)(?:\s+(\w+))?\s*\}\}/g;
+
+    /**
+     * Create a template syntax error
+     */
+    function templateError(message, index) {
+        const error = new Error(`${message} (at character ${index})`);
+        error.name = 'TemplateError';
+        return error;
+    }
+
+    /**
+     * Parse a template into a tree of nodes
+     * Throws a TemplateError when blocks are malformed
+     */
+    function parseTemplate(template) {
+        const rootNode = { type: 'root', children: [] };
+        const stack = [rootNode];
+        let last = 0;
+        let match;
+
+        // The list new nodes go into: the current branch of the innermost block
+        const current = () => {
+            const node = stack[stack.length - 1];
+            if (node.type === 'if') return node.else || node.then;
+            if (node.type === 'variants') return node.options[node.options.length - 1];
+            return node.children;
+        };
+
+        TAG_REGEX.lastIndex = 0;
+        while ((match = TAG_REGEX.exec(template)) !== null) {
+            const [tag, sigil, name, argument] = match;
+            const open = stack[stack.length - 1];
+
+            if (match.index > last) {
+                current().push({ type: 'text', value: template.slice(last, match.index) });
+            }
+            last = match.index + tag.length;
+
+            if (sigil === '#' && name === 'if') {
+                if (!argument) {
+                    throw templateError('{{#if}} needs a value to test', match.index);
+                }
+                const node = { type: 'if', name: argument, then: [], else: null };
+                current().push(node);
+                stack.push(node);
+            } else if (sigil === '#' && name === 'variants') {
+                const node = { type: 'variants', options: [[]] };
+                current().push(node);
+                stack.push(node);
+            } else if (sigil === '/') {
+                if (stack.length === 1 || open.type !== name) {
+                    throw templateError(`Unexpected {{/${name}}}`, match.index);
+                }
+                stack.pop();
+            } else if (sigil === '' && name === 'else') {
+                if (open.type !== 'if' || open.else) {
+                    throw templateError('Unexpected {{else}}', match.index);
+                }
+                open.else = [];
+            } else if (sigil === '' && name === 'or') {
+                if (open.type !== 'variants') {
+                    throw templateError('Unexpected {{or}}', match.index);
+                }
+                open.options.push([]);
+            } else if (sigil === '' && !argument) {
+                current().push({ type: 'value', name, raw: tag });
+            } else {
+                throw templateError(`Unknown tag ${tag}`, match.index);
+            }
+        }
+
+        if (stack.length > 1) {
+            throw templateError(`Missing {{/${stack[stack.length - 1].type}}}`, template.length);
+        }
+
+        if (last < template.length) {
+            current().push({ type: 'text', value: template.slice(last) });
+        }
+
+        return rootNode;
+    }
+
+    /**
+     * Render parsed nodes
+     */
+    function renderNodes(nodes, values, random) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                    return node.value;
+                case 'value':
+                    return Object.prototype.hasOwnProperty.call(values, node.name) &&
+                        values[node.name] !== null && values[node.name] !== undefined
+                        ? String(values[node.name])
+                        : node.raw;
+                case 'if':
+                    return renderNodes(values[node.name] ? node.then : (node.else || []), values, random);
+                case 'variants': {
+                    const index = Math.min(Math.floor(random() * node.options.length), node.options.length - 1);
+                    return renderNodes(node.options[index], values, random);
+                }
+                default:
+                    return '';
+            }
+        }).join('');
+    }
+
+    /**
+     * Render a template with values
+     * Options: { random } (defaults to Math.random, injectable for tests)
+     *
+     * Blank lines left by empty blocks are collapsed, so a conditional
+     * paragraph can sit on its own line
+     */
+    function renderTemplate(template, values, options = {}) {
+        const random = options.random || Math.random;
+
+        return renderNodes(parseTemplate(template).children, values, random)
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Number of options in each {{#variants}} block, in template order
+     * Two templates with the same counts pick matching variants from the
+     * same random numbers, which keeps a letter and its translation in step
+     */
+    function variantCounts(template) {
+        const counts = [];
+        const walk = nodes => nodes.forEach(node => {
+            if (node.type === 'if') {
+                walk(node.then);
+                walk(node.else || []);
+            } else if (node.type === 'variants') {
+                counts.push(node.options.length);
+                node.options.forEach(walk);
+            }
+        });
+
+        walk(parseTemplate(template).children);
+        return counts;
+    }
+
+    /**
+     * Validate a template
+     * Returns an error message, or null when the template is valid
+     */
+    function validateTemplate(template) {
+        try {
+            parseTemplate(template);
+            return null;
+        } catch (error) {
+            if (error.name !== 'TemplateError') {
+                throw error;
+            }
+            return error.message;
+        }
+    }
+
+    return { parseTemplate, renderTemplate, validateTemplate, variantCounts };
+});
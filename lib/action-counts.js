@@ -0,0 +1,222 @@
+/**
+ * Anonymous counts of letters sent, per campaign, riding and day, for
+ * /api/count.
+ *
+ * Only the campaign, the riding name and the UTC day are recorded: never
+ * an IP address, name, email or postal code. Only federal ridings are
+ * counted, since only they can be checked against a roster (the House of
+ * Commons, see api/count.js).
+ *
+ * Serverless instances don't share a filesystem, so counts are kept in the
+ * KV store when KV_REST_API_URL and KV_REST_API_TOKEN are set (see
+ * lib/kv.js), and in a JSON file otherwise, for local runs. Anything
+ * implementing the store interface below can be passed instead.
+ *
+ *   increment(key, day) -> Promise
+ *   get(key)            -> Promise of { [day]: count }
+ *   all()               -> Promise of { [key]: { [day]: count } }
+ */
+
+const os = require('os');
+const path = require('path');
+
+const { createJsonFile } = require('./json-file.js');
+const { kvConfigFromEnv, createKvClient } = require('./kv.js');
+
+// Levels whose ridings are counted
+const COUNTED_LEVELS = ['federal'];
+
+const MAX_RIDING_LENGTH = 100;
+
+// Default file for local runs (override with ACTION_COUNT_FILE)
+const DEFAULT_FILE = path.join(os.tmpdir(), 'mp-action-counts.json');
+
+/**
+ * Store backed by a Map, for tests and single-process runs
+ */
+function createMemoryStore() {
+    const counts = new Map();
+
+    return {
+        async increment(key, day) {
+            const days = counts.get(key) || {};
+            days[day] = (days[day] || 0) + 1;
+            counts.set(key, days);
+        },
+        async get(key) {
+            return { ...(counts.get(key) || {}) };
+        },
+        async all() {
+            const result = {};
+            counts.forEach((days, key) => {
+                result[key] = { ...days };
+            });
+            return result;
+        }
+    };
+}
+
+/**
+ * Store backed by a JSON file: { "counts": { key: { day: count } } }
+ * (see lib/json-file.js)
+ */
+function createFileStore(filePath = process.env.ACTION_COUNT_FILE || DEFAULT_FILE) {
+    const file = createJsonFile(filePath);
+
+    return {
+        async increment(key, day) {
+            await file.update(data => {
+                data.counts = data.counts || {};
+                const days = data.counts[key] || {};
+                days[day] = (days[day] || 0) + 1;
+                data.counts[key] = days;
+            });
+        },
+        async get(key) {
+            const data = await file.read();
+            return { ...((data.counts || {})[key] || {}) };
+        },
+        async all() {
+            const data = await file.read();
+            return data.counts || {};
+        }
+    };
+}
+
+/**
+ * Store in a Redis-compatible KV store: a hash of day counts per key, and
+ * a set of every key so they can be listed
+ * Options: { client (see lib/kv.js), prefix }
+ */
+function createKvStore(options) {
+    const { client } = options;
+    const prefix = options.prefix || 'action-counts';
+    const keysSet = `${prefix}:keys`;
+
+    function days(fields) {
+        const result = {};
+        for (let i = 0; i < (fields || []).length; i += 2) {
+            result[fields[i]] = Number(fields[i + 1]);
+        }
+        return result;
+    }
+
+    return {
+        async increment(key, day) {
+            await client.pipeline([
+                ['SADD', keysSet, key],
+                ['HINCRBY', `${prefix}:${key}`, day, 1]
+            ]);
+        },
+        async get(key) {
+            const [fields] = await client.pipeline([['HGETALL', `${prefix}:${key}`]]);
+            return days(fields);
+        },
+        async all() {
+            const [keys] = await client.pipeline([['SMEMBERS', keysSet]]);
+            const results = await client.pipeline(keys.map(key => ['HGETALL', `${prefix}:${key}`]));
+            const counts = {};
+            keys.forEach((key, index) => {
+                counts[key] = days(results[index]);
+            });
+            return counts;
+        }
+    };
+}
+
+/**
+ * The shared KV store when one is configured, else the file store
+ */
+function createDefaultStore() {
+    const config = kvConfigFromEnv();
+    return config ? createKvStore({ client: createKvClient(config) }) : createFileStore();
+}
+
+/**
+ * Sum of a { [day]: count } map
+ */
+function total(days) {
+    return Object.values(days).reduce((sum, value) => sum + value, 0);
+}
+
+/**
+ * Normalize a riding name, or return null if it isn't a plausible one
+ */
+function normalizeRiding(riding) {
+    if (typeof riding !== 'string') {
+        return null;
+    }
+    const normalized = riding.replace(/\s+/g, ' ').trim();
+    if (!normalized || normalized.length > MAX_RIDING_LENGTH || /[\u0000-\u001f<>]/.test(normalized)) {
+        return null;
+    }
+    return normalized;
+}
+
+/**
+ * Create an action counter
+ * Options: { store, now }
+ */
+function createActionCounter(options = {}) {
+    const store = options.store || createDefaultStore();
+    const now = options.now || Date.now;
+
+    /**
+     * Validate a level and riding, counted for a campaign (a campaign name
+     * checked by the caller, see lib/campaign.js)
+     * Returns { ok: true, key, campaign, level, riding } or { ok: false, code, error }
+     */
+    function parse(campaign, level, riding) {
+        if (!COUNTED_LEVELS.includes(level)) {
+            return { ok: false, code: 'INVALID_LEVEL', error: `Invalid level. Use one of: ${COUNTED_LEVELS.join(', ')}.` };
+        }
+        const normalized = normalizeRiding(riding);
+        if (!normalized) {
+            return { ok: false, code: 'INVALID_RIDING', error: 'Invalid riding' };
+        }
+        return { ok: true, key: `${campaign}:${level}:${normalized}`, campaign, level, riding: normalized };
+    }
+
+    /**
+     * Total letters sent to a riding's representative at a level
+     */
+    async function count(key) {
+        return total(await store.get(key));
+    }
+
+    /**
+     * Totals for every riding with letters in a campaign at a level:
+     * { [riding]: count }
+     */
+    async function totals(campaign, level) {
+        const prefix = `${campaign}:${level}:`;
+        const counts = await store.all();
+        const result = {};
+        Object.entries(counts).forEach(([key, days]) => {
+            if (key.startsWith(prefix)) {
+                result[key.slice(prefix.length)] = total(days);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Record a letter sent today, and return the new total
+     */
+    async function record(key) {
+        const day = new Date(now()).toISOString().slice(0, 10);
+        await store.increment(key, day);
+        return count(key);
+    }
+
+    return { parse, count, totals, record };
+}
+
+module.exports = {
+    createActionCounter,
+    COUNTED_LEVELS,
+    createMemoryStore,
+    createFileStore,
+    createKvStore,
+    normalizeRiding
+};
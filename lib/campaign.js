@@ -0,0 +1,251 @@
+/**
+ * Letter-writing campaigns configured as JSON files in campaigns/.
+ *
+ * Each campaigns/<name>.json is validated against campaigns/schema.json
+ * when loaded. Invalid files are skipped (and logged) rather than served.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateTemplate, variantCounts } = require('../letter-template.js');
+
+const CAMPAIGNS_DIR = path.join(__dirname, '..', 'campaigns');
+const SCHEMA_FILE = 'schema.json';
+const DEFAULT_CAMPAIGN = 'default';
+
+// Campaign names are file names, so keep them to a safe alphabet
+const CAMPAIGN_NAME_REGEX = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+// String formats used by the schema
+const FORMATS = {
+    date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+};
+
+/**
+ * Type name of a JSON value, as used by JSON Schema
+ */
+function jsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used by
+ * campaigns/schema.json (type, required, properties, additionalProperties,
+ * items, enum, minLength, maxLength, format and local $ref)
+ * Returns a list of error messages, empty when valid
+ */
+function validateSchema(value, schema, root = schema, at = 'campaign') {
+    if (schema.$ref) {
+        const target = schema.$ref.replace(/^#\//, '').split('/')
+            .reduce((node, key) => node[key], root);
+        return validateSchema(value, target, root, at);
+    }
+
+    const type = jsonType(value);
+    if (schema.type && schema.type !== type) {
+        return [`${at} must be of type ${schema.type}`];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${at} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${at} must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            errors.push(`${at} must be a valid ${schema.format}`);
+        }
+    }
+
+    if (type === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateSchema(item, schema.items, root, `${at}[${index}]`));
+        });
+    }
+
+    if (type === 'object') {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push(`${at}.${key} is required`);
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            if (properties[key]) {
+                errors.push(...validateSchema(value[key], properties[key], root, `${at}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}.${key} is not allowed`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a campaign against the schema, plus the rules a schema
+ * can't express: date order, template syntax, and translations having
+ * the same variants as the letter (so a translation shown beside the
+ * letter picks the same ones)
+ */
+function validateCampaign(campaign, schema) {
+    const errors = validateSchema(campaign, schema);
+    if (errors.length) {
+        return errors;
+    }
+
+    if (campaign.startDate && campaign.endDate && campaign.startDate > campaign.endDate) {
+        errors.push('campaign.endDate must not be before campaign.startDate');
+    }
+
+    // The letter itself, and its translations
+    const letters = { campaign };
+    Object.entries(campaign.translations || {}).forEach(([language, letter]) => {
+        letters[`campaign.translations.${language}`] = letter;
+    });
+
+    const templates = {};
+    Object.entries(letters).forEach(([at, letter]) => {
+        templates[`${at}.body`] = letter.body;
+        if (letter.callScript) {
+            templates[`${at}.callScript`] = letter.callScript;
+        }
+        Object.entries(letter.paragraphs).forEach(([level, paragraphs]) => {
+            templates[`${at}.paragraphs.${level}.opening`] = paragraphs.opening;
+            templates[`${at}.paragraphs.${level}.ask`] = paragraphs.ask;
+        });
+    });
+
+    Object.entries(templates).forEach(([at, template]) => {
+        const error = validateTemplate(template);
+        if (error) {
+            errors.push(`${at}: ${error}`);
+        }
+    });
+    if (errors.length) {
+        return errors;
+    }
+
+    Object.entries(templates).forEach(([at, template]) => {
+        const originalAt = at.replace(/^campaign\.translations\.\w+/, 'campaign');
+        if (originalAt === at || !(originalAt in templates)) {
+            return;
+        }
+
+        const expected = variantCounts(templates[originalAt]).join(', ');
+        const actual = variantCounts(template).join(', ');
+        if (actual !== expected) {
+            errors.push(`${at}: {{#variants}} options must match the letter (${expected || 'none'}), not (${actual || 'none'})`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Whether a campaign is running on a given day
+ * Dates are inclusive and compared in UTC
+ */
+function isCampaignActive(campaign, now = Date.now()) {
+    const today = new Date(now).toISOString().slice(0, 10);
+
+    return (
+        campaign.active &&
+        (!campaign.startDate || campaign.startDate <= today) &&
+        (!campaign.endDate || campaign.endDate >= today)
+    );
+}
+
+/**
+ * Load and validate every campaign in a directory
+ * Returns a Map of campaign name to campaign
+ */
+function loadCampaigns(dir = CAMPAIGNS_DIR) {
+    const schema = JSON.parse(fs.readFileSync(path.join(dir, SCHEMA_FILE), 'utf8'));
+    const campaigns = new Map();
+
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json') && file !== SCHEMA_FILE)
+        .forEach(file => {
+            const name = file.slice(0, -'.json'.length);
+            if (!CAMPAIGN_NAME_REGEX.test(name)) {
+                console.error(`Skipping campaign ${file}: invalid name`);
+                return;
+            }
+
+            let campaign;
+            try {
+                campaign = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            } catch (error) {
+                console.error(`Skipping campaign ${file}: ${error.message}`);
+                return;
+            }
+
+            const errors = validateCampaign(campaign, schema);
+            if (errors.length) {
+                console.error(`Skipping campaign ${file}: ${errors.join('; ')}`);
+                return;
+            }
+
+            const { $schema, ...config } = campaign;
+            campaigns.set(name, { name, ...config });
+        });
+
+    return campaigns;
+}
+
+/**
+ * Look up a campaign by name (the default campaign when omitted), running
+ * or not, e.g. for results that stay readable after a campaign ends
+ * Returns { ok: true, campaign } or { ok: false, status, code, error }
+ */
+function findCampaign(campaigns, name) {
+    const campaignName = name || DEFAULT_CAMPAIGN;
+
+    if (!CAMPAIGN_NAME_REGEX.test(campaignName)) {
+        return { ok: false, status: 400, code: 'INVALID_CAMPAIGN', error: 'Invalid campaign name.' };
+    }
+
+    const campaign = campaigns.get(campaignName);
+    if (!campaign) {
+        return { ok: false, status: 404, code: 'CAMPAIGN_NOT_FOUND', error: 'This campaign does not exist.' };
+    }
+
+    return { ok: true, campaign };
+}
+
+/**
+ * Look up a running campaign by name (the default campaign when omitted)
+ * Returns { ok: true, campaign } or { ok: false, status, code, error }
+ */
+function getCampaign(campaigns, name, now = Date.now()) {
+    const result = findCampaign(campaigns, name);
+
+    if (result.ok && !isCampaignActive(result.campaign, now)) {
+        return { ok: false, status: 410, code: 'CAMPAIGN_INACTIVE', error: 'This campaign is not currently running.' };
+    }
+
+    return result;
+}
+
+module.exports = {
+    validateSchema,
+    validateCampaign,
+    isCampaignActive,
+    loadCampaigns,
+    findCampaign,
+    getCampaign,
+    DEFAULT_CAMPAIGN
+};
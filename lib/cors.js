@@ -0,0 +1,68 @@
+/**
+ * Cross-origin access to the API, so partner sites can embed the widget
+ * (widget.js) and call this site's endpoints from their own pages.
+ *
+ * Reads are public and use no cookies, so every origin is allowed. Writes
+ * (POST /api/count, POST and PATCH /api/responses) are same-origin only:
+ * only this site's own pages record letters and reports, and a write that
+ * comes from another site is refused before the handler runs.
+ */
+
+// Writes are left out on purpose, so browsers refuse cross-origin preflights
+const ALLOWED_METHODS = 'GET, OPTIONS';
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const PREFLIGHT_MAX_AGE = 86400; // 1 day
+
+// Response headers the widget may read (see enforceRateLimit)
+const EXPOSED_HEADERS = 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset';
+
+/**
+ * Whether a request was sent by a page on another site
+ * Browsers send Origin on every cross-origin POST, including the simple
+ * ones (such as sendBeacon) that skip the preflight; requests without it
+ * don't come from a web page.
+ */
+function isCrossOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) {
+        return false;
+    }
+    const host = req.headers['x-forwarded-host'] || req.headers.host;
+    try {
+        return new URL(origin).host !== host;
+    } catch (error) {
+        // "null" from sandboxed frames and file:// pages
+        return true;
+    }
+}
+
+/**
+ * Set the CORS headers on a response
+ * Answers preflight (OPTIONS) requests and refuses cross-origin writes.
+ * Returns true when it did either, in which case the handler has nothing
+ * more to do
+ */
+function handleCors(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', ALLOWED_METHODS);
+    res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS);
+
+    if (!READ_METHODS.includes(req.method) && isCrossOrigin(req)) {
+        res.status(403).json({ code: 'CROSS_ORIGIN_WRITE', error: 'Writes are only accepted from this site' });
+        return true;
+    }
+
+    if (req.method !== 'OPTIONS') {
+        return false;
+    }
+
+    const requestedHeaders = req.headers['access-control-request-headers'];
+    if (requestedHeaders) {
+        res.setHeader('Access-Control-Allow-Headers', requestedHeaders);
+    }
+    res.setHeader('Access-Control-Max-Age', PREFLIGHT_MAX_AGE);
+    res.status(204).end();
+    return true;
+}
+
+module.exports = { handleCors };
@@ -0,0 +1,78 @@
+/**
+ * Offline MP lookup backed by the bundled roster in data/.
+ *
+ * Used by the API proxy when the OpenNorth Represent API is unreachable.
+ * Responses mimic the shape of an OpenNorth postcode response so the
+ * client can keep using the same selection logic, and are marked with
+ * `source: "fallback"`.
+ */
+
+const defaultRoster = require('../data/mp-roster.json');
+const defaultFsaIndex = require('../data/fsa-ridings.json');
+
+/**
+ * Convert a roster riding into an OpenNorth-style representative
+ */
+function toRepresentative(riding) {
+    return {
+        name: riding.mp.name,
+        elected_office: 'MP',
+        representative_set_name: 'House of Commons',
+        district_name: riding.name,
+        province: riding.province || null,
+        party_name: riding.mp.party || '',
+        email: riding.mp.email || '',
+        offices: riding.mp.offices || []
+    };
+}
+
+/**
+ * Create a fallback lookup over a roster and FSA index
+ * Defaults to the bundled datasets
+ */
+function createFallbackLookup(roster = defaultRoster, fsaIndex = defaultFsaIndex) {
+    const ridingsById = new Map(roster.ridings.map(riding => [riding.id, riding]));
+
+    /**
+     * Look up a normalized postal code
+     * Returns an OpenNorth-style payload, or null if the FSA is unknown
+     */
+    function lookup(postcode) {
+        const fsa = postcode.substring(0, 3);
+        const ridingIds = fsaIndex.fsa[fsa] || [];
+        const ridings = ridingIds
+            .map(id => ridingsById.get(id))
+            .filter(Boolean);
+
+        if (ridings.length === 0) {
+            return null;
+        }
+
+        return {
+            code: postcode,
+            source: 'fallback',
+            fallback_version: roster.version,
+            candidate_ridings: ridings.map(riding => ({
+                id: riding.id,
+                name: riding.name,
+                province: riding.province
+            })),
+            representatives_centroid: ridings.map(toRepresentative)
+        };
+    }
+
+    /**
+     * Every MP in the roster, as an OpenNorth-style payload
+     */
+    function all() {
+        return {
+            source: 'fallback',
+            fallback_version: roster.version,
+            representatives_centroid: roster.ridings.map(toRepresentative)
+        };
+    }
+
+    return { lookup, all, version: roster.version };
+}
+
+module.exports = { createFallbackLookup };
@@ -0,0 +1,57 @@
+/**
+ * A JSON file that several requests in one process can update safely,
+ * for the file-based stores used on local runs (see lib/action-counts.js
+ * and lib/mp-responses.js).
+ *
+ * Updates are queued so concurrent requests don't overwrite each other,
+ * and written through a temporary file so a crash can't truncate it.
+ */
+
+const fs = require('fs');
+
+/**
+ * Open a JSON file holding an object (missing until the first update)
+ * Returns { read(), update(change) }, where change(data) edits the data
+ * in place and its return value is passed back
+ */
+function createJsonFile(filePath) {
+    let queue = Promise.resolve();
+
+    async function load() {
+        try {
+            const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            return data && typeof data === 'object' ? data : {};
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    async function save(data) {
+        const temporary = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temporary, JSON.stringify(data));
+        await fs.promises.rename(temporary, filePath);
+    }
+
+    return {
+        async read() {
+            await queue;
+            return load();
+        },
+        update(change) {
+            const task = queue.then(async () => {
+                const data = await load();
+                const result = change(data);
+                await save(data);
+                return result;
+            });
+            // Keep the queue going after a failed write
+            queue = task.catch(() => {});
+            return task;
+        }
+    };
+}
+
+module.exports = { createJsonFile };
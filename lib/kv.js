@@ -0,0 +1,59 @@
+/**
+ * Minimal client for a Redis-compatible REST store (Vercel KV or Upstash),
+ * for the stores that must be shared by every serverless instance (see
+ * lib/action-counts.js and lib/mp-responses.js).
+ *
+ * Configured with KV_REST_API_URL and KV_REST_API_TOKEN, the variables
+ * the Vercel KV and Upstash integrations set. Commands are sent as one
+ * pipeline per call: POST <url>/pipeline [["HINCRBY", "k", "f", 1], ...]
+ */
+
+/**
+ * KV settings from the environment, or null when no store is configured
+ */
+function kvConfigFromEnv(env = process.env) {
+    if (!env.KV_REST_API_URL || !env.KV_REST_API_TOKEN) {
+        return null;
+    }
+    return { url: env.KV_REST_API_URL.replace(/\/+$/, ''), token: env.KV_REST_API_TOKEN };
+}
+
+/**
+ * Create a client
+ * Options: { url, token, fetch }
+ * Returns { pipeline(commands) }, resolving with each command's result in
+ * order and rejecting if the store or any command fails
+ */
+function createKvClient(options) {
+    const fetchImpl = options.fetch || fetch;
+
+    async function pipeline(commands) {
+        if (commands.length === 0) {
+            return [];
+        }
+
+        const response = await fetchImpl(`${options.url}/pipeline`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${options.token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(commands)
+        });
+        if (!response.ok) {
+            throw new Error(`KV store error: ${response.status} ${response.statusText}`);
+        }
+
+        const results = await response.json();
+        return results.map(({ result, error }) => {
+            if (error) {
+                throw new Error(`KV command failed: ${error}`);
+            }
+            return result;
+        });
+    }
+
+    return { pipeline };
+}
+
+module.exports = { kvConfigFromEnv, createKvClient };
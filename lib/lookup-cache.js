@@ -0,0 +1,124 @@
+/**
+ * In-process LRU cache for Represent API lookups.
+ *
+ * Entries are keyed by the normalized postal code. Successful lookups are
+ * kept for `ttlMs`; "not found" results are cached for the shorter
+ * `negativeTtlMs` so a burst of typos doesn't hammer the upstream API.
+ *
+ * Storage is pluggable: anything implementing the store interface below can
+ * replace the default Map-backed store (e.g. a shared Redis/KV store).
+ *
+ *   get(key)        -> entry | undefined   (may return a Promise)
+ *   set(key, entry)                        (may return a Promise)
+ *   delete(key)                            (may return a Promise)
+ *   keys()          -> iterable of keys, least recently used first
+ *   size            -> number of entries
+ */
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_NEGATIVE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Default store backed by a Map (insertion order doubles as LRU order)
+ */
+function createMapStore() {
+    const map = new Map();
+
+    return {
+        get(key) {
+            return map.get(key);
+        },
+        set(key, entry) {
+            // Re-insert so the key moves to the most recently used position
+            map.delete(key);
+            map.set(key, entry);
+        },
+        delete(key) {
+            map.delete(key);
+        },
+        keys() {
+            return map.keys();
+        },
+        get size() {
+            return map.size;
+        }
+    };
+}
+
+/**
+ * Create a lookup cache
+ * Options: { ttlMs, negativeTtlMs, maxEntries, store, now }
+ */
+function createLookupCache(options = {}) {
+    const ttlMs = options.ttlMs ?? DEFAULT_TTL_MS;
+    const negativeTtlMs = options.negativeTtlMs ?? DEFAULT_NEGATIVE_TTL_MS;
+    const maxEntries = options.maxEntries ?? DEFAULT_MAX_ENTRIES;
+    const store = options.store || createMapStore();
+    const now = options.now || Date.now;
+
+    const stats = { hits: 0, misses: 0 };
+
+    /**
+     * Evict least recently used entries until within maxEntries
+     */
+    async function evict() {
+        while (store.size > maxEntries) {
+            const oldest = store.keys().next();
+            if (oldest.done) {
+                return;
+            }
+            await store.delete(oldest.value);
+        }
+    }
+
+    /**
+     * Get a cached lookup
+     * Returns { found: true, data } or { found: false } for a cached 404,
+     * or null on a miss
+     */
+    async function get(key) {
+        const entry = await store.get(key);
+
+        if (!entry || entry.expiresAt <= now()) {
+            if (entry) {
+                await store.delete(key);
+            }
+            stats.misses++;
+            return null;
+        }
+
+        // Touch the entry so it becomes most recently used
+        await store.set(key, entry);
+        stats.hits++;
+
+        return entry.found ? { found: true, data: entry.data } : { found: false };
+    }
+
+    /**
+     * Cache a successful lookup
+     */
+    async function set(key, data) {
+        await store.set(key, { found: true, data, expiresAt: now() + ttlMs });
+        await evict();
+    }
+
+    /**
+     * Cache a "not found" result
+     */
+    async function setNotFound(key) {
+        await store.set(key, { found: false, expiresAt: now() + negativeTtlMs });
+        await evict();
+    }
+
+    return {
+        get,
+        set,
+        setNotFound,
+        stats() {
+            return { hits: stats.hits, misses: stats.misses, size: store.size };
+        }
+    };
+}
+
+module.exports = { createLookupCache, createMapStore };
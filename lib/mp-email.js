@@ -0,0 +1,134 @@
+/**
+ * Guess a federal MP's email address from their name.
+ *
+ * House of Commons addresses are first.last@parl.gc.ca, lowercased and
+ * without accents, spaces or apostrophes ("Seamus O'Regan" is
+ * seamus.oregan). Names of more than two words are ambiguous: the extra
+ * words can belong to the surname ("Ginette Petitpas Taylor" is
+ * ginette.petitpastaylor, "Tako Van Popta" is tako.vanpopta) or to the
+ * given name (senator Mary Jane McCallum is maryjane.mccallum), so several
+ * candidates are returned, most likely first.
+ *
+ * MPs whose published address doesn't follow the pattern are listed in
+ * data/mp-email-overrides.json.
+ */
+
+const defaultOverrides = require('../data/mp-email-overrides.json');
+
+const DOMAIN = 'parl.gc.ca';
+
+// Titles and post-nominals that are never part of the address
+const HONORIFICS = new Set([
+    'hon', 'honourable', 'right', 'rt', 'dr', 'mr', 'mrs', 'ms', 'mme', 'm',
+    'pc', 'mp', 'jr', 'sr', 'ii', 'iii'
+]);
+
+// Surname particles: "Van Popta", "De Bellefeuille", "St-Onge"
+const PARTICLES = new Set([
+    'van', 'von', 'der', 'den', 'de', 'du', 'des', 'da', 'di', 'del', 'della',
+    'dos', 'la', 'le', 'st', 'ste', 'saint', 'sainte', 'al', 'el', 'bin', 'ben'
+]);
+
+/**
+ * Normalize one word of a name for an address: strip accents and
+ * apostrophes, lowercase, and keep only letters and hyphens
+ */
+function normalizeNamePart(part) {
+    return part
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['\u2019]/g, '')
+        .replace(/[^a-z-]/g, '')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Split a name into normalized words, dropping titles and nicknames
+ * (in quotes or parentheses)
+ */
+function nameParts(name) {
+    return (name || '')
+        .replace(/\([^)]*\)|"[^"]*"|\u201c[^\u201d]*\u201d/g, ' ')
+        .split(/[\s,]+/)
+        .filter(word => !HONORIFICS.has(word.replace(/\./g, '').toLowerCase()))
+        .map(normalizeNamePart)
+        .filter(Boolean);
+}
+
+/**
+ * Candidate addresses for a name, most likely first
+ * Returns an empty list when the name has fewer than two words
+ */
+function emailCandidates(name) {
+    const parts = nameParts(name);
+    if (parts.length < 2) {
+        return [];
+    }
+
+    const [first, ...rest] = parts;
+    const last = rest[rest.length - 1];
+
+    // Where the surname starts if it's a particle surname ("van popta")
+    let surnameStart = rest.length - 1;
+    while (surnameStart > 0 && PARTICLES.has(rest[surnameStart - 1])) {
+        surnameStart--;
+    }
+
+    const pairs = [];
+    if (surnameStart < rest.length - 1) {
+        pairs.push([first, rest.slice(surnameStart).join('')]);
+    }
+    pairs.push([first, rest.join('')]);
+    if (surnameStart === rest.length - 1) {
+        pairs.push([[first, ...rest.slice(0, -1)].join(''), last]);
+    }
+    pairs.push([first, last], [first, rest.join('-')]);
+
+    return [...new Set(pairs.map(([given, surname]) => `${given}.${surname}@${DOMAIN}`))];
+}
+
+/**
+ * Key used to match a name against the override table: accent, case
+ * and punctuation insensitive
+ */
+function overrideKey(name) {
+    return nameParts(name).join(' ');
+}
+
+/**
+ * Derive an MP's email address
+ * Returns { email, source, candidates } or null when no address can be
+ * made from the name. `source` is 'override' when the address comes
+ * from the override table, or 'derived' when it was guessed, in which
+ * case `candidates` lists every guess, best first
+ */
+function deriveEmail(name, overrides = defaultOverrides) {
+    const key = overrideKey(name);
+    const override = overrides.overrides.find(entry => overrideKey(entry.name) === key);
+    if (key && override) {
+        return { email: override.email, source: 'override', candidates: [override.email] };
+    }
+
+    const candidates = emailCandidates(name);
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    return { email: candidates[0], source: 'derived', candidates };
+}
+
+/**
+ * Most likely address for a name, or null
+ */
+function deriveEmailFromName(name, overrides = defaultOverrides) {
+    const derived = deriveEmail(name, overrides);
+    return derived ? derived.email : null;
+}
+
+module.exports = {
+    deriveEmail,
+    deriveEmailFromName,
+    emailCandidates,
+    version: defaultOverrides.version
+};
@@ -0,0 +1,74 @@
+/**
+ * Normalized representative records returned by /api/mp and
+ * /api/representatives.
+ *
+ * Trims an OpenNorth representative down to a stable schema so clients
+ * don't depend on the shape of the upstream payload.
+ */
+
+const { deriveEmail } = require('./mp-email.js');
+const { provinceFromBoundaryUrl } = require('../provinces.js');
+
+/**
+ * Trim an office entry to the fields clients use
+ */
+function toOffice(office) {
+    return {
+        type: office.type || null,
+        postal: office.postal || null,
+        tel: office.tel || null,
+        fax: office.fax || null
+    };
+}
+
+/**
+ * Build a normalized MP record from an OpenNorth representative
+ *
+ * Schema: { name, riding, province, email, email_source, email_candidates,
+ *           party, photo, offices, source }
+ * - province is the riding's province or territory code (e.g. 'ON') for
+ *   federal ridings, or null when unknown
+ * - email_source is 'api' when OpenNorth supplied the address, 'override'
+ *   when it came from data/mp-email-overrides.json, 'derived' when it was
+ *   guessed from the name, or null when none of these worked
+ * - email_candidates lists every guess, best first, when email_source is
+ *   'derived' (email is the first); otherwise it is empty
+ * - source is 'live' or 'fallback'
+ */
+function toMpRecord(rep, source) {
+    const derived = rep.email ? null : deriveEmail(rep.name);
+
+    return {
+        name: rep.name,
+        riding: rep.district_name || null,
+        province: rep.province || provinceFromBoundaryUrl((rep.related || {}).boundary_url),
+        email: rep.email || (derived ? derived.email : null),
+        email_source: rep.email ? 'api' : (derived ? derived.source : null),
+        email_candidates: derived && derived.source === 'derived' ? derived.candidates : [],
+        party: rep.party_name || null,
+        photo: rep.photo_url || null,
+        offices: (rep.offices || []).map(toOffice),
+        source
+    };
+}
+
+/**
+ * Build a normalized record for a representative at any level
+ *
+ * Same schema as toMpRecord, plus `level` and `office` (e.g. "MPP").
+ * Emails are only derived for federal MPs: the parl.gc.ca pattern doesn't
+ * apply to provincial or municipal representatives.
+ */
+function toRepresentativeRecord(rep, level, source) {
+    const record = toMpRecord(rep, source);
+
+    if (level !== 'federal' && record.email_source !== 'api') {
+        record.email = null;
+        record.email_source = null;
+        record.email_candidates = [];
+    }
+
+    return { ...record, level, office: rep.elected_office || null };
+}
+
+module.exports = { toMpRecord, toRepresentativeRecord };
@@ -0,0 +1,297 @@
+/**
+ * Anonymous reports of whether representatives reply, for /api/responses.
+ *
+ * Constituents report back after writing: whether their MP replied,
+ * optionally how the reply felt and a short excerpt. Reports are kept per
+ * representative (level, riding and name) with the UTC day, and never an
+ * IP address or anything about the sender. Only federal MPs are tracked,
+ * since only they can be checked against a roster (the House of Commons,
+ * see api/responses.js).
+ *
+ * Excerpts are free text, so they're held for moderation: none is shown
+ * until a moderator approves it, and excerpts that look like they contain
+ * contact details or links are flagged for a closer look.
+ *
+ * Storage works like lib/action-counts.js: the shared KV store when one is
+ * configured, a JSON file otherwise, or anything implementing:
+ *
+ *   add(key, report)         -> Promise
+ *   list(key)                -> Promise of [report]
+ *   update(key, id, changes) -> Promise of the updated report, or null
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+
+const { normalizeRiding } = require('./action-counts.js');
+const { createJsonFile } = require('./json-file.js');
+const { kvConfigFromEnv, createKvClient } = require('./kv.js');
+
+// Levels whose representatives' replies are tracked
+const TRACKED_LEVELS = ['federal'];
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const MODERATION_STATUSES = ['pending', 'approved', 'hidden'];
+const MAX_EXCERPT_LENGTH = 280;
+
+// Excerpts shown with a summary, newest first
+const MAX_SHOWN_EXCERPTS = 5;
+
+// Default file for local runs (override with MP_RESPONSE_FILE)
+const DEFAULT_FILE = path.join(os.tmpdir(), 'mp-responses.json');
+
+// What a moderator should check an excerpt for
+const MODERATION_CHECKS = {
+    email: /[^\s@]+@[^\s@]+\.[a-z]{2,}/i,
+    phone: /\d{3}\D{0,2}\d{3}\D?\d{4}/,
+    'postal-code': /\b[a-z]\d[a-z] ?\d[a-z]\d\b/i,
+    link: /https?:\/\/|www\./i
+};
+
+/**
+ * Store backed by a Map, for tests and single-process runs
+ */
+function createMemoryStore() {
+    const reports = new Map();
+
+    return {
+        async add(key, report) {
+            reports.set(key, [...(reports.get(key) || []), report]);
+        },
+        async list(key) {
+            return (reports.get(key) || []).map(report => ({ ...report }));
+        },
+        async update(key, id, changes) {
+            const report = (reports.get(key) || []).find(candidate => candidate.id === id);
+            if (!report) {
+                return null;
+            }
+            Object.assign(report, changes);
+            return { ...report };
+        }
+    };
+}
+
+/**
+ * Store backed by a JSON file: { "responses": { key: [report] } }
+ * (see lib/json-file.js)
+ */
+function createFileStore(filePath = process.env.MP_RESPONSE_FILE || DEFAULT_FILE) {
+    const file = createJsonFile(filePath);
+
+    return {
+        async add(key, report) {
+            await file.update(data => {
+                data.responses = data.responses || {};
+                data.responses[key] = [...(data.responses[key] || []), report];
+            });
+        },
+        async list(key) {
+            const data = await file.read();
+            return (data.responses || {})[key] || [];
+        },
+        update(key, id, changes) {
+            return file.update(data => {
+                const report = ((data.responses || {})[key] || []).find(candidate => candidate.id === id);
+                if (!report) {
+                    return null;
+                }
+                Object.assign(report, changes);
+                return { ...report };
+            });
+        }
+    };
+}
+
+/**
+ * Store in a Redis-compatible KV store: a list of JSON reports per key
+ * Options: { client (see lib/kv.js), prefix }
+ */
+function createKvStore(options) {
+    const { client } = options;
+    const prefix = options.prefix || 'mp-responses';
+
+    async function list(key) {
+        const [items] = await client.pipeline([['LRANGE', `${prefix}:${key}`, 0, -1]]);
+        return items.map(item => JSON.parse(item));
+    }
+
+    return {
+        async add(key, report) {
+            await client.pipeline([['RPUSH', `${prefix}:${key}`, JSON.stringify(report)]]);
+        },
+        list,
+        async update(key, id, changes) {
+            const reports = await list(key);
+            const index = reports.findIndex(candidate => candidate.id === id);
+            if (index === -1) {
+                return null;
+            }
+            const report = { ...reports[index], ...changes };
+            await client.pipeline([['LSET', `${prefix}:${key}`, index, JSON.stringify(report)]]);
+            return report;
+        }
+    };
+}
+
+/**
+ * The shared KV store when one is configured, else the file store
+ */
+function createDefaultStore() {
+    const config = kvConfigFromEnv();
+    return config ? createKvStore({ client: createKvClient(config) }) : createFileStore();
+}
+
+/**
+ * Reasons an excerpt needs a closer look from a moderator, e.g. ['email']
+ */
+function moderationFlags(excerpt) {
+    return Object.keys(MODERATION_CHECKS).filter(flag => MODERATION_CHECKS[flag].test(excerpt));
+}
+
+/**
+ * Create a response tracker
+ * Options: { store, now, id }
+ */
+function createResponseTracker(options = {}) {
+    const store = options.store || createDefaultStore();
+    const now = options.now || Date.now;
+    const newId = options.id || (() => crypto.randomUUID());
+
+    /**
+     * Validate the representative a report is about
+     * Returns { ok: true, key, level, riding, name } or { ok: false, code, error }
+     */
+    function parseRepresentative(level, riding, name) {
+        if (!TRACKED_LEVELS.includes(level)) {
+            return { ok: false, code: 'INVALID_LEVEL', error: `Invalid level. Use one of: ${TRACKED_LEVELS.join(', ')}.` };
+        }
+        const normalizedRiding = normalizeRiding(riding);
+        if (!normalizedRiding) {
+            return { ok: false, code: 'INVALID_RIDING', error: 'Invalid riding' };
+        }
+        // Representatives' names follow the same rules as riding names
+        const normalizedName = normalizeRiding(name);
+        if (!normalizedName) {
+            return { ok: false, code: 'INVALID_REPRESENTATIVE', error: 'Invalid representative name' };
+        }
+        return {
+            ok: true,
+            key: `${level}:${normalizedRiding}:${normalizedName}`,
+            level,
+            riding: normalizedRiding,
+            name: normalizedName
+        };
+    }
+
+    /**
+     * Validate a report: { replied, sentiment, excerpt }
+     * Sentiment and excerpt are optional, and only allowed with a reply
+     * Returns { ok: true, report } or { ok: false, code, error }
+     */
+    function parseReport(input) {
+        const invalid = error => ({ ok: false, code: 'INVALID_REPORT', error });
+
+        if (typeof input.replied !== 'boolean') {
+            return invalid('replied must be true or false');
+        }
+        const sentiment = input.sentiment || null;
+        if (sentiment !== null && !SENTIMENTS.includes(sentiment)) {
+            return invalid(`Invalid sentiment. Use one of: ${SENTIMENTS.join(', ')}.`);
+        }
+        if (input.excerpt !== undefined && input.excerpt !== null && typeof input.excerpt !== 'string') {
+            return invalid('excerpt must be text');
+        }
+        const excerpt = (input.excerpt || '').replace(/\s+/g, ' ').trim() || null;
+        if (excerpt && excerpt.length > MAX_EXCERPT_LENGTH) {
+            return invalid(`The excerpt can be at most ${MAX_EXCERPT_LENGTH} characters`);
+        }
+        if (!input.replied && (sentiment || excerpt)) {
+            return invalid('Only a reply can have a sentiment or excerpt');
+        }
+
+        return { ok: true, report: { replied: input.replied, sentiment, excerpt } };
+    }
+
+    /**
+     * Record a report, returning it as stored
+     * Excerpts start out pending moderation
+     */
+    async function report(key, { replied, sentiment, excerpt }) {
+        const stored = {
+            id: newId(),
+            day: new Date(now()).toISOString().slice(0, 10),
+            replied,
+            sentiment,
+            excerpt,
+            moderation: excerpt ? { status: 'pending', flags: moderationFlags(excerpt) } : null
+        };
+        await store.add(key, stored);
+        return stored;
+    }
+
+    /**
+     * Aggregate the reports about a representative
+     * Returns { reports, replied, responseRate (0 to 1, null with no
+     * reports), sentiment: { positive, neutral, negative }, excerpts }
+     * where excerpts are the latest approved ones: [{ excerpt, sentiment, day }]
+     */
+    async function summary(key) {
+        const reports = await store.list(key);
+        const replies = reports.filter(entry => entry.replied);
+
+        const sentiment = {};
+        SENTIMENTS.forEach(value => {
+            sentiment[value] = replies.filter(entry => entry.sentiment === value).length;
+        });
+
+        const excerpts = replies
+            .filter(entry => entry.excerpt && entry.moderation && entry.moderation.status === 'approved')
+            .slice(-MAX_SHOWN_EXCERPTS)
+            .reverse()
+            .map(entry => ({ excerpt: entry.excerpt, sentiment: entry.sentiment, day: entry.day }));
+
+        return {
+            reports: reports.length,
+            replied: replies.length,
+            responseRate: reports.length ? replies.length / reports.length : null,
+            sentiment,
+            excerpts
+        };
+    }
+
+    /**
+     * Every report about a representative, for moderators
+     */
+    function list(key) {
+        return store.list(key);
+    }
+
+    /**
+     * Approve or hide a report's excerpt
+     * Returns the updated report, or null when there's no such excerpt
+     */
+    async function moderate(key, id, status) {
+        const reports = await store.list(key);
+        const existing = reports.find(entry => entry.id === id);
+        if (!existing || !existing.moderation) {
+            return null;
+        }
+        return store.update(key, id, { moderation: { ...existing.moderation, status } });
+    }
+
+    return { parseRepresentative, parseReport, report, summary, list, moderate };
+}
+
+module.exports = {
+    TRACKED_LEVELS,
+    SENTIMENTS,
+    MODERATION_STATUSES,
+    MAX_EXCERPT_LENGTH,
+    createResponseTracker,
+    createMemoryStore,
+    createFileStore,
+    createKvStore,
+    moderationFlags
+};
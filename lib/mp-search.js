@@ -0,0 +1,86 @@
+/**
+ * Search federal MPs by name or riding.
+ *
+ * Matching is accent, case and punctuation insensitive, so
+ * "laurier sainte marie" finds "Laurier—Sainte-Marie" and
+ * "st johns" finds "St. John's East".
+ */
+
+const MIN_QUERY_LENGTH = 2;
+const DEFAULT_LIMIT = 10;
+
+/**
+ * Normalize text for matching: strip accents, lowercase, drop apostrophes
+ * and turn any other punctuation (hyphens, em dashes, periods) into spaces
+ */
+function normalizeSearchText(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['\u2019]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Rank a representative against the normalized query
+ * Returns a score (lower is better) or -1 when it doesn't match
+ */
+function rank(rep, query, tokens) {
+    const name = normalizeSearchText(rep.name);
+    const riding = normalizeSearchText(rep.district_name);
+    const words = `${name} ${riding}`.split(' ');
+
+    // Every query token must be the start of a word in the name or riding
+    const matches = tokens.every(token => words.some(word => word.startsWith(token)));
+    if (!matches) {
+        return -1;
+    }
+
+    if (riding === query || name === query) {
+        return 0;
+    }
+    if (riding.startsWith(query) || name.startsWith(query)) {
+        return 1;
+    }
+    return 2;
+}
+
+/**
+ * Search representatives by name or riding
+ * Returns at most `limit` matches, best first
+ */
+function searchMps(reps, rawQuery, limit = DEFAULT_LIMIT) {
+    const query = normalizeSearchText(rawQuery);
+    if (query.length < MIN_QUERY_LENGTH) {
+        return [];
+    }
+
+    const tokens = query.split(' ');
+
+    return reps
+        .map(rep => ({ rep, score: rank(rep, query, tokens) }))
+        .filter(result => result.score >= 0)
+        .sort((a, b) =>
+            a.score - b.score ||
+            (a.rep.district_name || '').localeCompare(b.rep.district_name || '')
+        )
+        .slice(0, limit)
+        .map(result => result.rep);
+}
+
+/**
+ * Find the representative sitting for a riding, matching the name like
+ * the search does ("Laurier-Sainte-Marie" finds "Laurier—Sainte-Marie")
+ * Returns the representative, or null when nobody sits for that riding
+ */
+function findByRiding(reps, riding) {
+    const key = normalizeSearchText(riding);
+    if (!key) {
+        return null;
+    }
+    return reps.find(rep => normalizeSearchText(rep.district_name) === key) || null;
+}
+
+module.exports = { searchMps, findByRiding, normalizeSearchText, MIN_QUERY_LENGTH };
@@ -0,0 +1,46 @@
+/**
+ * Campaign progress per federal riding, for /api/progress.
+ *
+ * Joins the sitting MPs (from lookupHouseOfCommons in
+ * lib/represent-lookup.js, which falls back to the bundled roster when
+ * OpenNorth is down) with a campaign's letters-sent totals from
+ * lib/action-counts.js. Riding names are matched like the manual search
+ * matches them, so "Laurier-Sainte-Marie" from one source finds
+ * "Laurier—Sainte-Marie" in the other.
+ */
+
+const { normalizeSearchText } = require('./mp-search.js');
+const { isFederalMp } = require('../mp-select.js');
+const { provinceFromBoundaryUrl } = require('../provinces.js');
+
+/**
+ * Build the progress table from totals ({ [riding]: count }) and an
+ * OpenNorth-style House of Commons payload
+ * Returns { source, total, ridings: [{ riding, province, mp, party, count }] }
+ * with every riding that has an MP (count 0 when nobody has written).
+ * Totals for ridings without one are left out, so nothing but roster
+ * riding names is ever published
+ */
+function buildProgress(totals, roster) {
+    const counted = new Map();
+    Object.entries(totals).forEach(([riding, count]) => {
+        const key = normalizeSearchText(riding);
+        counted.set(key, (counted.get(key) || 0) + count);
+    });
+
+    const ridings = roster.representatives_centroid.filter(isFederalMp).map(rep => ({
+        riding: rep.district_name,
+        province: rep.province || provinceFromBoundaryUrl((rep.related || {}).boundary_url),
+        mp: rep.name,
+        party: rep.party_name || null,
+        count: counted.get(normalizeSearchText(rep.district_name)) || 0
+    }));
+
+    return {
+        source: roster.source === 'fallback' ? 'fallback' : 'live',
+        total: ridings.reduce((sum, riding) => sum + riding.count, 0),
+        ridings
+    };
+}
+
+module.exports = { buildProgress };
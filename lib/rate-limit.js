@@ -0,0 +1,102 @@
+/**
+ * Per-IP fixed-window rate limiting for the API endpoints.
+ *
+ * The store is in memory and resets when the function cold starts.
+ * Note: In serverless, this provides partial protection as instances may vary
+ */
+
+const DEFAULT_WINDOW_MS = 60 * 1000; // 1 minute
+const DEFAULT_MAX_REQUESTS = 10; // max 10 requests per minute per IP
+
+/**
+ * Create a rate limiter
+ * Options: { windowMs, maxRequests, now }
+ */
+function createRateLimiter(options = {}) {
+    const windowMs = options.windowMs ?? DEFAULT_WINDOW_MS;
+    const maxRequests = options.maxRequests ?? DEFAULT_MAX_REQUESTS;
+    const now = options.now || Date.now;
+    const store = new Map();
+
+    /**
+     * Clean up old rate limit entries
+     */
+    function cleanup() {
+        const time = now();
+        for (const [key, data] of store.entries()) {
+            if (time - data.windowStart > windowMs) {
+                store.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Check rate limit for an IP
+     * Returns { allowed: boolean, remaining: number, resetIn: number }
+     */
+    function check(ip) {
+        const time = now();
+
+        // Clean up periodically
+        if (store.size > 1000) {
+            cleanup();
+        }
+
+        let data = store.get(ip);
+
+        // New window or expired window
+        if (!data || time - data.windowStart > windowMs) {
+            data = { windowStart: time, count: 0 };
+        }
+
+        data.count++;
+        store.set(ip, data);
+
+        const remaining = Math.max(0, maxRequests - data.count);
+        const resetIn = Math.ceil((data.windowStart + windowMs - time) / 1000);
+
+        return {
+            allowed: data.count <= maxRequests,
+            remaining,
+            resetIn
+        };
+    }
+
+    return { check, maxRequests };
+}
+
+/**
+ * Get client IP from request
+ */
+function getClientIp(req) {
+    // Vercel provides the real IP in x-forwarded-for
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) {
+        return forwarded.split(',')[0].trim();
+    }
+    return req.headers['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Check the limiter for a request and set the rate limit headers
+ * Sends a 429 and returns false when the client is over the limit
+ */
+function enforceRateLimit(limiter, req, res) {
+    const rateLimit = limiter.check(getClientIp(req));
+
+    res.setHeader('X-RateLimit-Limit', limiter.maxRequests);
+    res.setHeader('X-RateLimit-Remaining', rateLimit.remaining);
+    res.setHeader('X-RateLimit-Reset', rateLimit.resetIn);
+
+    if (!rateLimit.allowed) {
+        res.status(429).json({
+            code: 'RATE_LIMITED',
+            error: `Too many requests. Please try again in ${rateLimit.resetIn} seconds.`
+        });
+        return false;
+    }
+
+    return true;
+}
+
+module.exports = { createRateLimiter, getClientIp, enforceRateLimit };
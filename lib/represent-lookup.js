@@ -0,0 +1,313 @@
+/**
+ * Postal code and point lookups against the OpenNorth Represent API.
+ *
+ * Shared by the API endpoints. Combines the lookup cache, the resilient
+ * upstream fetch with its circuit breaker, and the bundled offline roster.
+ */
+
+const { createLookupCache } = require('./lookup-cache.js');
+const { createCircuitBreaker, fetchUpstream } = require('./upstream.js');
+const { createFallbackLookup } = require('./fallback.js');
+
+// Canadian postal code regex (no spaces, uppercase)
+const POSTAL_CODE_REGEX = /^[A-Z]\d[A-Z]\d[A-Z]\d$/;
+
+// Bounding box for Canada (generous, rejects obviously foreign coordinates)
+const CANADA_BOUNDS = { minLat: 41.6, maxLat: 83.2, minLng: -141.1, maxLng: -52.5 };
+
+// Coordinates are rounded to 4 decimal places (~11 m) before lookup and caching
+const COORDINATE_PRECISION = 4;
+
+// OpenNorth Represent API base URL (overridable to point at a local fake upstream)
+const REPRESENT_API_BASE = process.env.REPRESENT_API_BASE || 'https://represent.opennorth.ca';
+
+// Upstream resilience configuration
+const UPSTREAM_TIMEOUT_MS = 5000; // per attempt
+const UPSTREAM_RETRIES = 2; // retries on 5xx / network errors
+const BREAKER_FAILURE_THRESHOLD = 5; // consecutive failed lookups before opening
+const BREAKER_COOLDOWN_MS = 30 * 1000; // fail fast for 30 seconds once open
+
+// Lookup cache configuration (override via environment)
+const CACHE_TTL_MS = Number(process.env.LOOKUP_CACHE_TTL_MS) || 60 * 60 * 1000; // 1 hour
+const CACHE_NEGATIVE_TTL_MS = Number(process.env.LOOKUP_CACHE_NEGATIVE_TTL_MS) || 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Validate and normalize postal code
+ */
+function normalizePostalCode(code) {
+    if (!code || typeof code !== 'string') {
+        return null;
+    }
+    // Remove spaces and uppercase
+    const normalized = code.replace(/\s+/g, '').toUpperCase();
+
+    // Validate format
+    if (!POSTAL_CODE_REGEX.test(normalized)) {
+        return null;
+    }
+
+    return normalized;
+}
+
+/**
+ * Validate and normalize a latitude/longitude pair
+ * Returns { point: { lat, lng } } or { code, error } when invalid
+ */
+function normalizePoint(lat, lng) {
+    const isNumeric = value => typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim());
+    if (!isNumeric(lat) || !isNumeric(lng)) {
+        return {
+            code: 'INVALID_COORDINATES',
+            error: 'Invalid coordinates. Please provide numeric lat and lng values.'
+        };
+    }
+
+    const round = value => Number(Number(value).toFixed(COORDINATE_PRECISION));
+    const point = { lat: round(lat), lng: round(lng) };
+
+    if (
+        point.lat < CANADA_BOUNDS.minLat || point.lat > CANADA_BOUNDS.maxLat ||
+        point.lng < CANADA_BOUNDS.minLng || point.lng > CANADA_BOUNDS.maxLng
+    ) {
+        return {
+            code: 'OUTSIDE_CANADA',
+            error: 'These coordinates are outside Canada. Please use a Canadian location or postal code.'
+        };
+    }
+
+    return { point };
+}
+
+/**
+ * Whether an upstream error means OpenNorth is unavailable
+ * (as opposed to a bug on our side)
+ */
+function isUpstreamUnavailable(error) {
+    return (
+        error.name === 'CircuitOpenError' ||
+        error.name === 'UpstreamError' ||
+        error.name === 'TimeoutError' ||
+        (error.name === 'TypeError' && error.message.includes('fetch'))
+    );
+}
+
+/**
+ * Create a lookup failure result
+ */
+function failure(status, code, error, props = {}) {
+    return { ok: false, status, code, error, ...props };
+}
+
+/**
+ * Create a Represent API lookup
+ * Options: { baseUrl, cache, breaker, fallback, fetch }
+ */
+function createRepresentLookup(options = {}) {
+    const baseUrl = options.baseUrl || REPRESENT_API_BASE;
+    const cache = options.cache || createLookupCache({
+        ttlMs: CACHE_TTL_MS,
+        negativeTtlMs: CACHE_NEGATIVE_TTL_MS
+    });
+    const breaker = options.breaker || createCircuitBreaker({
+        failureThreshold: BREAKER_FAILURE_THRESHOLD,
+        cooldownMs: BREAKER_COOLDOWN_MS
+    });
+    const fallback = options.fallback || createFallbackLookup();
+
+    /**
+     * Fetch a Represent API path through the cache, upstream and fallback
+     *
+     * Resolves with { ok: true, data, cache: 'HIT' | 'MISS' | 'BYPASS' } where
+     * data is the OpenNorth payload (or the fallback payload, marked with
+     * source: 'fallback'), or { ok: false, status, code, error, retryAfter? }
+     *
+     * Options: { notFoundError, invalidCode, invalidError, transform, fallback }
+     */
+    async function lookup(cacheKey, path, lookupOptions) {
+        const notFound = () => failure(404, 'NOT_FOUND', lookupOptions.notFoundError);
+
+        // Serve from cache when possible
+        const cached = await cache.get(cacheKey);
+        if (cached) {
+            return cached.found ? { ok: true, data: cached.data, cache: 'HIT' } : notFound();
+        }
+
+        try {
+            const response = await fetchUpstream(`${baseUrl}${path}`, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json',
+                    'User-Agent': 'Canada-Supports-Iran/1.0'
+                }
+            }, {
+                timeoutMs: UPSTREAM_TIMEOUT_MS,
+                retries: UPSTREAM_RETRIES,
+                breaker,
+                fetch: options.fetch
+            });
+
+            // Handle API errors
+            if (!response.ok) {
+                if (response.status === 404) {
+                    await cache.setNotFound(cacheKey);
+                    return notFound();
+                }
+
+                if (response.status === 400) {
+                    return failure(400, lookupOptions.invalidCode, lookupOptions.invalidError);
+                }
+
+                // Log unexpected errors server-side
+                console.error(`OpenNorth API error: ${response.status} ${response.statusText}`);
+
+                return failure(502, 'UPSTREAM_ERROR', 'Unable to reach the MP lookup service. Please try again later.');
+            }
+
+            const payload = await response.json();
+            const data = lookupOptions.transform ? lookupOptions.transform(payload) : payload;
+            await cache.set(cacheKey, data);
+
+            return { ok: true, data, cache: 'MISS' };
+        } catch (error) {
+            // Serve the bundled roster when OpenNorth is down
+            if (isUpstreamUnavailable(error) && lookupOptions.fallback) {
+                const fallbackData = lookupOptions.fallback();
+                if (fallbackData) {
+                    return { ok: true, data: fallbackData, cache: 'BYPASS' };
+                }
+            }
+
+            // Upstream is known to be down: fail fast without logging noise
+            if (error.name === 'CircuitOpenError') {
+                return failure(
+                    503,
+                    'UPSTREAM_UNAVAILABLE',
+                    `The MP lookup service is temporarily unavailable. Please try again in ${error.retryAfter} seconds.`,
+                    { retryAfter: error.retryAfter }
+                );
+            }
+
+            console.error('Error calling OpenNorth API:', error);
+
+            // Upstream kept returning 5xx after retries
+            if (error.name === 'UpstreamError') {
+                return failure(502, 'UPSTREAM_ERROR', 'Unable to reach the MP lookup service. Please try again later.');
+            }
+
+            // Handle network errors and timeouts
+            if (isUpstreamUnavailable(error)) {
+                return failure(503, 'UPSTREAM_UNAVAILABLE', 'Unable to connect to the MP lookup service. Please try again later.');
+            }
+
+            return failure(500, 'INTERNAL_ERROR', 'An unexpected error occurred. Please try again later.');
+        }
+    }
+
+    /**
+     * Look up representatives for a normalized postal code
+     */
+    function lookupPostcode(postcode) {
+        return lookup(postcode, `/postcodes/${postcode}/`, {
+            notFoundError: 'No results found for this postal code. Please verify the postal code is correct.',
+            invalidCode: 'INVALID_POSTCODE',
+            invalidError: 'Invalid postal code format.',
+            fallback: () => fallback.lookup(postcode)
+        });
+    }
+
+    /**
+     * Look up representatives for a normalized { lat, lng } point
+     * The payload is reshaped like a postcode response so the same
+     * selection logic applies
+     */
+    function lookupPoint(point) {
+        const coordinates = `${point.lat},${point.lng}`;
+
+        return lookup(`point:${coordinates}`, `/representatives/?point=${coordinates}&limit=100`, {
+            notFoundError: 'No representatives found for this location.',
+            invalidCode: 'INVALID_COORDINATES',
+            invalidError: 'Invalid coordinates.',
+            transform: payload => ({
+                point: { lat: point.lat, lng: point.lng },
+                representatives_centroid: payload.objects || []
+            })
+        });
+    }
+
+    /**
+     * Look up every sitting federal MP
+     * Falls back to the bundled roster when OpenNorth is down
+     */
+    function lookupHouseOfCommons() {
+        return lookup('roster:house-of-commons', '/representatives/house-of-commons/?limit=1000', {
+            notFoundError: 'The MP roster is currently unavailable.',
+            invalidCode: 'INTERNAL_ERROR',
+            invalidError: 'The MP roster is currently unavailable.',
+            transform: payload => ({ representatives_centroid: payload.objects || [] }),
+            fallback: () => fallback.all()
+        });
+    }
+
+    /**
+     * Validate the request query and look up by postal code or by lat/lng
+     * Query: { postcode } or { lat, lng }
+     */
+    function lookupQuery(query) {
+        if (query.lat !== undefined || query.lng !== undefined) {
+            const result = normalizePoint(query.lat, query.lng);
+            if (!result.point) {
+                return Promise.resolve(failure(400, result.code, result.error));
+            }
+            return lookupPoint(result.point);
+        }
+
+        const normalizedPostcode = normalizePostalCode(query.postcode);
+        if (!normalizedPostcode) {
+            return Promise.resolve(failure(
+                400,
+                'INVALID_POSTCODE',
+                'Invalid postal code format. Please provide a valid Canadian postal code (e.g., A1A1A1).'
+            ));
+        }
+        return lookupPostcode(normalizedPostcode);
+    }
+
+    return { lookupPostcode, lookupPoint, lookupQuery, lookupHouseOfCommons, cache, breaker };
+}
+
+/**
+ * Send a failed lookup as a JSON error response
+ */
+function sendLookupFailure(res, result) {
+    if (result.retryAfter) {
+        res.setHeader('Retry-After', result.retryAfter);
+    }
+    return res.status(result.status).json({ code: result.code, error: result.error });
+}
+
+/**
+ * Set the response cache headers for a successful lookup
+ */
+function setLookupCacheHeaders(res, result) {
+    res.setHeader('X-Cache', result.cache);
+
+    if (result.data.source === 'fallback') {
+        // Never let shared caches hold on to fallback data
+        res.setHeader('Cache-Control', 'no-store');
+    } else {
+        // Cache for 1 hour, stale-while-revalidate for 24 hours
+        res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate=86400');
+    }
+}
+
+// Lookup shared by all endpoints on this instance
+const representLookup = createRepresentLookup();
+
+module.exports = {
+    createRepresentLookup,
+    representLookup,
+    normalizePostalCode,
+    normalizePoint,
+    sendLookupFailure,
+    setLookupCacheHeaders
+};
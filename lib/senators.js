@@ -0,0 +1,40 @@
+/**
+ * Bundled roster of senators by province or territory.
+ *
+ * Senators represent a whole province or territory rather than a riding,
+ * so they are looked up by the province the user selects in the form.
+ * The roster is partial, so only the provinces it lists in full
+ * (completeProvinces) are offered: writing to a few of a province's
+ * senators as if they were all of them would mislead the sender.
+ */
+
+const defaultRoster = require('../data/senators.json');
+
+// Province and territory codes, as used by the form's province select
+const { PROVINCES } = require('../provinces.js');
+
+/**
+ * Senators for a province code, sorted by name
+ * Empty for provinces the roster doesn't list in full (the form then
+ * hides the senators option). Returns null for unknown province codes
+ */
+function getSenators(province, roster = defaultRoster) {
+    const code = typeof province === 'string' ? province.toUpperCase() : '';
+    if (!PROVINCES.includes(code)) {
+        return null;
+    }
+    if (!(roster.completeProvinces || []).includes(code)) {
+        return [];
+    }
+
+    return roster.senators
+        .filter(senator => senator.province === code)
+        .map(senator => ({
+            name: senator.name,
+            email: senator.email || null,
+            affiliation: senator.affiliation || null
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = { getSenators, PROVINCES, version: defaultRoster.version };
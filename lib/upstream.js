@@ -0,0 +1,197 @@
+/**
+ * Resilient fetch helpers for calling the OpenNorth Represent API.
+ *
+ * - Per-attempt timeouts via AbortController
+ * - Bounded retries with jittered exponential backoff on 5xx and network errors
+ * - A circuit breaker that fails fast while the upstream is down
+ */
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BASE_DELAY_MS = 200;
+const DEFAULT_MAX_DELAY_MS = 2000;
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_COOLDOWN_MS = 30 * 1000;
+
+/**
+ * Create an error with a name the caller can branch on
+ */
+function createError(name, message, props = {}) {
+    const error = new Error(message);
+    error.name = name;
+    return Object.assign(error, props);
+}
+
+/**
+ * Create a circuit breaker
+ *
+ * closed    - requests flow normally; consecutive failures are counted
+ * open      - requests fail fast until the cooldown elapses
+ * half-open - a single trial request is let through; success closes the
+ *             breaker, failure re-opens it
+ *
+ * Options: { failureThreshold, cooldownMs, now }
+ */
+function createCircuitBreaker(options = {}) {
+    const failureThreshold = options.failureThreshold ?? DEFAULT_FAILURE_THRESHOLD;
+    const cooldownMs = options.cooldownMs ?? DEFAULT_COOLDOWN_MS;
+    const now = options.now || Date.now;
+
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+    let trialInFlight = false;
+
+    function refresh() {
+        if (state === 'open' && now() - openedAt >= cooldownMs) {
+            state = 'half-open';
+            trialInFlight = false;
+        }
+    }
+
+    function open() {
+        state = 'open';
+        openedAt = now();
+        trialInFlight = false;
+    }
+
+    return {
+        /**
+         * Whether a request may be attempted right now
+         */
+        canRequest() {
+            refresh();
+            if (state === 'closed') {
+                return true;
+            }
+            if (state === 'half-open' && !trialInFlight) {
+                trialInFlight = true;
+                return true;
+            }
+            return false;
+        },
+
+        recordSuccess() {
+            state = 'closed';
+            failures = 0;
+            trialInFlight = false;
+        },
+
+        recordFailure() {
+            failures++;
+            if (state === 'half-open' || failures >= failureThreshold) {
+                open();
+            }
+        },
+
+        /**
+         * Snapshot of the breaker state
+         * Returns { state, failures, retryAfter } (retryAfter in seconds, 0 when
+         * closed; while half-open, callers turned away during the trial are
+         * told to come back in a second)
+         */
+        getState() {
+            refresh();
+            let retryAfter = 0;
+            if (state === 'open') {
+                retryAfter = Math.max(1, Math.ceil((openedAt + cooldownMs - now()) / 1000));
+            } else if (state === 'half-open') {
+                retryAfter = 1;
+            }
+            return { state, failures, retryAfter };
+        }
+    };
+}
+
+/**
+ * Fetch with a timeout enforced by AbortController
+ */
+async function fetchWithTimeout(url, init = {}, timeoutMs = DEFAULT_TIMEOUT_MS, fetchImpl = fetch) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        return await fetchImpl(url, { ...init, signal: controller.signal });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw createError('TimeoutError', `Request timed out after ${timeoutMs}ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Backoff delay for a retry attempt (full jitter)
+ */
+function backoffDelay(attempt, baseDelayMs, maxDelayMs, random = Math.random) {
+    const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.floor(random() * cap);
+}
+
+/**
+ * Fetch from the upstream with timeouts, retries and a circuit breaker
+ *
+ * Resolves with the Response for 2xx/4xx statuses. Rejects with:
+ * - CircuitOpenError (error.retryAfter seconds) when the breaker is open
+ * - UpstreamError (error.status) when retries are exhausted on 5xx
+ * - TimeoutError or the underlying network error otherwise
+ *
+ * Options: { timeoutMs, retries, baseDelayMs, maxDelayMs, breaker, fetch, sleep, random }
+ */
+async function fetchUpstream(url, init = {}, options = {}) {
+    const timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    const retries = options.retries ?? DEFAULT_RETRIES;
+    const baseDelayMs = options.baseDelayMs ?? DEFAULT_BASE_DELAY_MS;
+    const maxDelayMs = options.maxDelayMs ?? DEFAULT_MAX_DELAY_MS;
+    const breaker = options.breaker;
+    const fetchImpl = options.fetch || fetch;
+    const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    if (breaker && !breaker.canRequest()) {
+        throw createError('CircuitOpenError', 'Upstream circuit breaker is open', {
+            retryAfter: breaker.getState().retryAfter
+        });
+    }
+
+    let lastError;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        if (attempt > 0) {
+            await sleep(backoffDelay(attempt - 1, baseDelayMs, maxDelayMs, options.random));
+        }
+
+        try {
+            const response = await fetchWithTimeout(url, init, timeoutMs, fetchImpl);
+
+            if (response.status < 500) {
+                if (breaker) {
+                    breaker.recordSuccess();
+                }
+                return response;
+            }
+
+            lastError = createError(
+                'UpstreamError',
+                `Upstream returned ${response.status} ${response.statusText}`,
+                { status: response.status }
+            );
+        } catch (error) {
+            lastError = error;
+        }
+    }
+
+    if (breaker) {
+        breaker.recordFailure();
+    }
+    throw lastError;
+}
+
+module.exports = {
+    createCircuitBreaker,
+    fetchWithTimeout,
+    fetchUpstream,
+    backoffDelay
+};
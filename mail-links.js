@@ -0,0 +1,214 @@
+/**
+ * Links and text for sending a letter from the user's own mail account.
+ * Used by the page (window.MailLinks), the embeddable widget and tests.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.MailLinks = api;
+    }
+})(typeof document !== 'undefined' && document.currentScript && document.currentScript.dataset.namespace
+    ? self[document.currentScript.dataset.namespace]
+    : typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Generate mailto link
+     * Several recipients are given comma-separated
+     * Note: mailto links need %20 for spaces, not + (which URLSearchParams uses)
+     */
+    function generateMailtoLink(toEmail, subject, body, cc) {
+        // Use \r\n for line breaks — some mail clients ignore bare \n
+        const mailBody = body.replace(/\r?\n/g, '\r\n');
+
+        const params = new URLSearchParams();
+        params.set('subject', subject);
+        params.set('body', mailBody);
+        if (cc) {
+            params.set('cc', cc);
+        }
+
+        // Replace + with %20 for proper mailto encoding
+        const queryString = params.toString().replace(/\+/g, '%20');
+
+        // Several recipients are separated by unencoded commas
+        const to = toEmail.split(',').map(encodeURIComponent).join(',');
+        return `mailto:${to}?${queryString}`;
+    }
+
+    /**
+     * Generate Gmail compose URL (desktop only, like the other webmail links)
+     */
+    function generateGmailLink(toEmail, subject, body, cc) {
+        const params = new URLSearchParams();
+        params.set('view', 'cm');
+        params.set('fs', '1');
+        params.set('to', toEmail);
+        if (cc) {
+            params.set('cc', cc);
+        }
+        params.set('su', subject);
+        params.set('body', body);
+
+        const queryString = params.toString().replace(/\+/g, '%20');
+        return `https://mail.google.com/mail/?${queryString}`;
+    }
+
+    /**
+     * Generate Outlook.com (and Hotmail) compose URL
+     */
+    function generateOutlookLink(toEmail, subject, body, cc) {
+        const params = new URLSearchParams();
+        params.set('to', toEmail);
+        if (cc) {
+            params.set('cc', cc);
+        }
+        params.set('subject', subject);
+        params.set('body', body);
+
+        const queryString = params.toString().replace(/\+/g, '%20');
+        return `https://outlook.live.com/mail/0/deeplink/compose?${queryString}`;
+    }
+
+    /**
+     * Generate Yahoo Mail compose URL
+     */
+    function generateYahooLink(toEmail, subject, body, cc) {
+        const params = new URLSearchParams();
+        params.set('to', toEmail);
+        if (cc) {
+            params.set('cc', cc);
+        }
+        params.set('subject', subject);
+        params.set('body', body);
+
+        const queryString = params.toString().replace(/\+/g, '%20');
+        return `https://compose.mail.yahoo.com/?${queryString}`;
+    }
+
+    // Webmail providers offered beside the email client, by key
+    const WEBMAIL_PROVIDERS = {
+        gmail: { name: 'Gmail', generateLink: generateGmailLink },
+        outlook: { name: 'Outlook.com', generateLink: generateOutlookLink },
+        yahoo: { name: 'Yahoo Mail', generateLink: generateYahooLink }
+    };
+
+    /**
+     * Generate a compose URL for a webmail provider (a WEBMAIL_PROVIDERS key)
+     */
+    function generateWebmailLink(provider, toEmail, subject, body, cc) {
+        if (!Object.prototype.hasOwnProperty.call(WEBMAIL_PROVIDERS, provider)) {
+            throw new Error(`Unknown webmail provider: ${provider}`);
+        }
+        return WEBMAIL_PROVIDERS[provider].generateLink(toEmail, subject, body, cc);
+    }
+
+    /**
+     * Generate full email text for copying
+     */
+    function generateFullEmailText(toEmail, subject, body, cc) {
+        let text = `To: ${toEmail}\n`;
+        if (cc) {
+            text += `CC: ${cc}\n`;
+        }
+        text += `Subject: ${subject}\n\n`;
+        text += body;
+        return text;
+    }
+
+    // Base64 lines in the .eml body, and the longest encoded-word (RFC 2047)
+    const BASE64_LINE_LENGTH = 76;
+    const ENCODED_WORD_MAX_BYTES = 45; // 60 base64 characters
+
+    /**
+     * Base64 of a string's UTF-8 bytes (browser and Node)
+     */
+    function utf8ToBase64(text) {
+        const bytes = new TextEncoder().encode(text);
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    /**
+     * Encode a header value as RFC 2047 encoded-words when it isn't plain
+     * ASCII, e.g. =?UTF-8?B?...?=, folded so no line gets too long.
+     * Words never split a character's bytes.
+     */
+    function encodeHeader(value) {
+        if (/^[\x20-\x7e]*$/.test(value)) {
+            return value;
+        }
+
+        const encoder = new TextEncoder();
+        const words = [];
+        let chunk = '';
+        for (const char of value) {
+            if (chunk && encoder.encode(chunk + char).length > ENCODED_WORD_MAX_BYTES) {
+                words.push(chunk);
+                chunk = '';
+            }
+            chunk += char;
+        }
+        words.push(chunk);
+
+        return words.map(word => `=?UTF-8?B?${utf8ToBase64(word)}?=`).join('\r\n ');
+    }
+
+    /**
+     * Generate an .eml file (RFC 5322) that desktop mail clients open as a
+     * draft ready to send. The body is UTF-8, base64-encoded.
+     * Options: { from, date } (the date defaults to now)
+     */
+    function generateEml(toEmail, subject, body, cc, options = {}) {
+        const date = options.date || new Date();
+        const headers = [];
+        if (options.from) {
+            headers.push(`From: ${options.from}`);
+        }
+        headers.push(`To: ${toEmail.split(',').join(', ')}`);
+        if (cc) {
+            headers.push(`Cc: ${cc.split(',').join(', ')}`);
+        }
+        headers.push(
+            `Subject: ${encodeHeader(subject)}`,
+            `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+            // Outlook opens messages with this header as unsent drafts
+            'X-Unsent: 1',
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=UTF-8',
+            'Content-Transfer-Encoding: base64'
+        );
+
+        const encodedBody = utf8ToBase64(body.replace(/\r?\n/g, '\r\n'));
+        const lines = encodedBody.match(new RegExp(`.{1,${BASE64_LINE_LENGTH}}`, 'g')) || [];
+
+        return `${headers.join('\r\n')}\r\n\r\n${lines.join('\r\n')}\r\n`;
+    }
+
+    /**
+     * Whether the user is on a mobile device, where mailto works better
+     * than Gmail's web compose (it offers the mail app chooser)
+     */
+    function isMobile(userAgent) {
+        return /Android|iPhone|iPad|iPod|webOS|BlackBerry|IEMobile|Opera Mini/i.test(userAgent || '');
+    }
+
+    return {
+        WEBMAIL_PROVIDERS,
+        generateMailtoLink,
+        generateGmailLink,
+        generateOutlookLink,
+        generateYahooLink,
+        generateWebmailLink,
+        generateFullEmailText,
+        generateEml,
+        encodeHeader,
+        isMobile
+    };
+});
@@ -10,8 +10,7 @@
     // Constants
     // ============================================
 
-    const CC_EMAILS = 'pm@pm.gc.ca,anita.anand@international.gc.ca';
-    const DEFAULT_EMAIL_SUBJECT = 'Human Rights for the People of Iran';
+    const DEFAULT_WEBMAIL_PROVIDER = 'gmail';
 
     const POSTAL_CODE_REGEX = /^[A-Z]\d[A-Z]\d[A-Z]\d$/;
 
@@ -24,14 +23,63 @@
     // ============================================
 
     const form = document.getElementById('mp-form');
+    const languageSwitcher = document.getElementById('languageSwitcher');
     const findMpBtn = document.getElementById('findMpBtn');
+    const rememberMeCheckbox = document.getElementById('rememberMe');
+    const forgetMeBtn = document.getElementById('forgetMeBtn');
+    const forgetFeedback = document.getElementById('forgetFeedback');
+    const provinceSuggestion = document.getElementById('provinceSuggestion');
+    const useLocationBtn = document.getElementById('useLocationBtn');
+    const levelSelect = document.getElementById('level');
     const errorSection = document.getElementById('error-section');
     const errorMessage = document.getElementById('error-message');
     const mpResult = document.getElementById('mp-result');
+    const mpResultTitle = document.getElementById('mpResultTitle');
+    const recipientList = document.getElementById('recipient-list');
+    const recipientOptions = document.getElementById('recipientOptions');
+    const ccRow = document.getElementById('ccRow');
+    const previewCc = document.getElementById('previewCc');
+    const ccInfo = document.getElementById('ccInfo');
+    const ccInfoTitle = document.getElementById('ccInfoTitle');
+    const ccList = document.getElementById('ccList');
+    const senatorOptions = document.getElementById('senator-options');
+    const senatorList = document.getElementById('senatorList');
+    const ridingPicker = document.getElementById('riding-picker');
+    const ridingOptions = document.getElementById('ridingOptions');
+    const fallbackNote = document.getElementById('fallbackNote');
+    const emailGuessNote = document.getElementById('emailGuessNote');
+    const emailAlternatives = document.getElementById('emailAlternatives');
+    const manualSearch = document.getElementById('manual-search');
+    const mpSearchInput = document.getElementById('mpSearch');
+    const mpSearchStatus = document.getElementById('mpSearchStatus');
+    const mpSearchResults = document.getElementById('mpSearchResults');
     const openEmailBtn = document.getElementById('openEmailBtn');
-    const openGmailBtn = document.getElementById('openGmailBtn');
+    const webmail = document.getElementById('webmail');
+    const openWebmailBtn = document.getElementById('openWebmailBtn');
+    const webmailProviderSelect = document.getElementById('webmailProvider');
     const copyEmailBtn = document.getElementById('copyEmailBtn');
     const copyFeedback = document.getElementById('copyFeedback');
+    const downloadEmlBtn = document.getElementById('downloadEmlBtn');
+    const printOption = document.getElementById('printOption');
+    const printHint = document.getElementById('printHint');
+    const printLetterBtn = document.getElementById('printLetterBtn');
+    const printedLetter = document.getElementById('printedLetter');
+    const actionCount = document.getElementById('actionCount');
+    const responseRate = document.getElementById('responseRate');
+    const responseReport = document.getElementById('responseReport');
+    const responseForm = document.getElementById('responseForm');
+    const responseDetails = document.getElementById('responseDetails');
+    const responseSentiment = document.getElementById('responseSentiment');
+    const responseExcerpt = document.getElementById('responseExcerpt');
+    const responseSubmitBtn = document.getElementById('responseSubmitBtn');
+    const responseFeedback = document.getElementById('responseFeedback');
+    const callOption = document.getElementById('callOption');
+    const callOffices = document.getElementById('callOffices');
+    const callScriptRow = document.getElementById('callScriptRow');
+    const callScriptField = document.getElementById('callScript');
+    const shareCampaignBtn = document.getElementById('shareCampaignBtn');
+    const shareFeedback = document.getElementById('shareFeedback');
+    const progressLink = document.getElementById('progressLink');
 
     // Form fields
     const fields = {
@@ -48,6 +96,7 @@
     const display = {
         mpName: document.getElementById('mpName'),
         mpRiding: document.getElementById('mpRiding'),
+        mpRidingLabel: document.getElementById('mpRidingLabel'),
         mpEmail: document.getElementById('mpEmail'),
         previewTo: document.getElementById('previewTo')
     };
@@ -55,10 +104,83 @@
     // Email editor fields
     const emailSubjectField = document.getElementById('emailSubject');
     const emailBodyField = document.getElementById('emailBody');
+    const letterLanguageRow = document.getElementById('letterLanguageRow');
+    const letterLanguageSelect = document.getElementById('letterLanguage');
 
-    // Current MP data
+    // Read-only translation of the letter
+    const letterColumns = document.getElementById('letterColumns');
+    const letterTranslation = document.getElementById('letterTranslation');
+    const letterTranslationSubject = document.getElementById('letterTranslationSubject');
+    const letterTranslationBody = document.getElementById('letterTranslationBody');
+
+    // Interface language, and whether the user picked it
+    let language = I18n.DEFAULT_LANGUAGE;
+    let languageChosen = false;
+
+    // What is remembered on this device (see draft-storage.js)
+    const store = DraftStorage.createDraftStorage();
+
+    // Webmail provider the webmail button opens (a MailLinks.WEBMAIL_PROVIDERS key)
+    let webmailProvider = loadWebmailProvider();
+
+    // A remembered letter ({ recipient, subject, body }), put back when the
+    // user next looks up the same recipient
+    let savedLetter = null;
+
+    // Settings from the link the page was opened with (see deep-link.js)
+    const deepLink = DeepLink.parseDeepLink(window.location.search, window.location.hash);
+
+    // This site's API (see api-client.js), with errors in the interface language
+    const api = ApiClient.createApiClient({ language: () => language });
+
+    // Language the letter is written in (English or French), and the one
+    // the user picked for it when the interface is in another language
+    let currentLetterLanguage = I18n.DEFAULT_LANGUAGE;
+    let chosenLetterLanguage = null;
+
+    // Campaign from /api/campaign (subject, letter template, CC list),
+    // and the promise that resolves once it has loaded
+    let campaign = null;
+    let campaignReady = null;
+
+    // Current MP data, and the record it was built from
     let currentMp = null;
+    let currentRecord = null;
+
+    // The letter as generated, to tell whether the user has edited it
     let currentEmailBody = '';
+    let currentEmailSubject = '';
+
+    // Random numbers used to pick the letter's variants, replayed so its
+    // translation picks the same ones
+    let currentLetterDraws = [];
+
+    // Representatives found by a provincial/municipal/all lookup, and the
+    // ones the user has already written to this session
+    let currentRecipients = [];
+    let currentUserData = null;
+    const contactedRecipients = new Set();
+
+    // Recipients whose letter has been counted this session (see
+    // recordLetterSent), and the count lookup the panel is waiting for
+    const countedLetters = new Set();
+    let actionCountRequest = null;
+
+    // Replies reported by constituents for the current recipient (see
+    // /api/responses), the lookup the card is waiting for, and the
+    // recipients the user has reported on this session
+    let currentResponses = null;
+    let responsesRequest = null;
+    const reportedResponses = new Set();
+
+    // Senators offered as optional CCs on the letter to the MP
+    let senatorProvince = '';
+    let currentSenators = [];
+
+    // Manual search state
+    const SEARCH_DEBOUNCE_MS = 300;
+    let searchTimer = null;
+    let latestSearch = '';
 
     // Rate limiting state
     let lastRequestTime = 0;
@@ -68,6 +190,13 @@
     // Utility Functions
     // ============================================
 
+    /**
+     * Translate a message key into the current language
+     */
+    function t(key, params) {
+        return I18n.translate(language, key, params);
+    }
+
     /**
      * Normalize postal code: remove spaces and uppercase
      */
@@ -101,7 +230,7 @@
         if (requestCount >= RATE_LIMIT_MAX_PER_SESSION) {
             return {
                 allowed: false,
-                message: 'You have reached the maximum number of lookups. Please refresh the page if you need to continue.'
+                message: t('rateLimit.session')
             };
         }
 
@@ -111,7 +240,7 @@
             const waitTime = Math.ceil((RATE_LIMIT_COOLDOWN_MS - timeSinceLastRequest) / 1000);
             return {
                 allowed: false,
-                message: `Please wait ${waitTime} second${waitTime > 1 ? 's' : ''} before trying again.`
+                message: waitTime > 1 ? t('rateLimit.waitMany', { seconds: waitTime }) : t('rateLimit.waitOne')
             };
         }
 
@@ -126,48 +255,6 @@
         requestCount++;
     }
 
-    /**
-     * Derive MP email from name using standard pattern
-     * Pattern: first.last@parl.gc.ca (lowercase, spaces removed)
-     */
-    function deriveEmailFromName(name) {
-        // Split name into parts
-        const parts = name.trim().split(/\s+/);
-        if (parts.length < 2) {
-            return null;
-        }
-
-        // First name is first part, last name is last part
-        let firstName = parts[0].toLowerCase();
-        let lastName = parts[parts.length - 1].toLowerCase();
-
-        // Handle hyphens: keep them but lowercase
-        // Remove accents and special characters except hyphens
-        firstName = firstName
-            .normalize('NFD')
-            .replace(/[\u0300-\u036f]/g, '')
-            .replace(/[^a-z-]/g, '');
-
-        lastName = lastName
-            .normalize('NFD')
-            .replace(/[\u0300-\u036f]/g, '')
-            .replace(/[^a-z-]/g, '');
-
-        if (!firstName || !lastName) {
-            return null;
-        }
-
-        return `${firstName}.${lastName}@parl.gc.ca`;
-    }
-
-    /**
-     * Get last name from full name
-     */
-    function getLastName(fullName) {
-        const parts = fullName.trim().split(/\s+/);
-        return parts[parts.length - 1];
-    }
-
     /**
      * Show error message
      */
@@ -175,6 +262,7 @@
         errorMessage.textContent = message;
         errorSection.classList.remove('hidden');
         mpResult.classList.add('hidden');
+        hideRidingPicker();
         errorSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
 
@@ -185,6 +273,23 @@
         errorSection.classList.add('hidden');
     }
 
+    /**
+     * Hide the list of representatives to write to
+     */
+    function hideRecipientList() {
+        currentRecipients = [];
+        recipientList.classList.add('hidden');
+        recipientOptions.textContent = '';
+    }
+
+    /**
+     * Hide riding picker
+     */
+    function hideRidingPicker() {
+        ridingPicker.classList.add('hidden');
+        ridingOptions.textContent = '';
+    }
+
     /**
      * Show field error
      */
@@ -227,6 +332,7 @@
             findMpBtn.classList.remove('loading');
             findMpBtn.disabled = false;
         }
+        useLocationBtn.disabled = isLoading;
     }
 
     // ============================================
@@ -235,109 +341,146 @@
 
     /**
      * Validate all form fields
+     * The postal code may be left empty when looking up by location
      * Returns true if valid, false otherwise
      */
-    function validateForm() {
+    function validateForm(options = {}) {
+        const requirePostalCode = options.requirePostalCode !== false;
         let isValid = true;
         clearAllFieldErrors();
 
         // First name
         if (!fields.firstName.value.trim()) {
-            showFieldError(fields.firstName, 'First name is required');
+            showFieldError(fields.firstName, t('validation.firstName'));
             isValid = false;
         }
 
         // Last name
         if (!fields.lastName.value.trim()) {
-            showFieldError(fields.lastName, 'Last name is required');
+            showFieldError(fields.lastName, t('validation.lastName'));
             isValid = false;
         }
 
         // Email
         if (!fields.email.value.trim()) {
-            showFieldError(fields.email, 'Email is required');
+            showFieldError(fields.email, t('validation.email'));
             isValid = false;
         } else if (!isValidEmail(fields.email.value.trim())) {
-            showFieldError(fields.email, 'Please enter a valid email address');
+            showFieldError(fields.email, t('validation.emailInvalid'));
             isValid = false;
         }
 
         // Street address
         if (!fields.streetAddress.value.trim()) {
-            showFieldError(fields.streetAddress, 'Street address is required');
+            showFieldError(fields.streetAddress, t('validation.streetAddress'));
             isValid = false;
         }
 
         // City
         if (!fields.city.value.trim()) {
-            showFieldError(fields.city, 'City is required');
+            showFieldError(fields.city, t('validation.city'));
             isValid = false;
         }
 
         // Province
         if (!fields.province.value) {
-            showFieldError(fields.province, 'Please select a province');
+            showFieldError(fields.province, t('validation.province'));
             isValid = false;
         }
 
         // Postal code
         const normalizedPostal = normalizePostalCode(fields.postalCode.value);
         if (!normalizedPostal) {
-            showFieldError(fields.postalCode, 'Postal code is required');
-            isValid = false;
+            if (requirePostalCode) {
+                showFieldError(fields.postalCode, t('validation.postalCode'));
+                isValid = false;
+            }
         } else if (!isValidPostalCode(normalizedPostal)) {
-            showFieldError(fields.postalCode, 'Please enter a valid postal code (e.g., A1A 1A1)');
+            showFieldError(fields.postalCode, t('validation.postalCodeInvalid'));
+            isValid = false;
+        } else if (!Provinces.postalCodeMatchesProvince(normalizedPostal, fields.province.value)) {
+            // The postal code and province must agree
+            const provinces = Provinces.provincesForPostalCode(normalizedPostal).map(provinceName);
+            showFieldError(fields.province, t('validation.provinceMismatch', {
+                letter: normalizedPostal.charAt(0),
+                provinces: provinces.length === 2
+                    ? t('validation.provincesOr', { first: provinces[0], second: provinces[1] })
+                    : provinces[0]
+            }));
             isValid = false;
         }
 
         return isValid;
     }
 
-    // ============================================
-    // API Functions
-    // ============================================
-
     /**
-     * Fetch MP data from proxy endpoint
+     * A province's name in the interface language
      */
-    async function fetchMpData(postalCode) {
-        const response = await fetch(`/api/represent?postcode=${encodeURIComponent(postalCode)}`);
+    function provinceName(code) {
+        return t(`province.${code}`);
+    }
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.error || `Failed to fetch MP data (status ${response.status})`);
+    /**
+     * Offer to select a province (null hides the offer)
+     */
+    function renderProvinceSuggestion(province) {
+        const show = Boolean(province) && province !== fields.province.value;
+        provinceSuggestion.classList.toggle('hidden', !show);
+        if (show) {
+            provinceSuggestion.dataset.province = province;
+            provinceSuggestion.textContent = t('validation.useProvince', { province: provinceName(province) });
         }
-
-        return response.json();
     }
 
     /**
-     * Select the federal MP from response
-     * Prefer House of Commons representative
+     * Offer the province a complete postal code is in, when it's not the
+     * one selected (X postal codes could be either territory, so they
+     * aren't offered)
      */
-    function selectFederalMp(data) {
-        if (!data || !data.representatives_centroid) {
-            return null;
-        }
+    function suggestProvinceFromPostalCode() {
+        const normalized = normalizePostalCode(fields.postalCode.value);
+        const provinces = isValidPostalCode(normalized) ? Provinces.provincesForPostalCode(normalized) : [];
+        renderProvinceSuggestion(provinces.length === 1 ? provinces[0] : null);
+    }
 
-        const reps = data.representatives_centroid;
+    /**
+     * Select the offered province
+     */
+    function handleProvinceSuggestion() {
+        trackEvent('use-suggested-province');
+        fields.province.value = provinceSuggestion.dataset.province;
+        clearFieldError(fields.province);
+        renderProvinceSuggestion(null);
+        saveDraft();
+    }
 
-        // Look for federal MP (House of Commons)
-        const mp = reps.find(rep => {
-            const office = (rep.elected_office || '').toLowerCase();
-            const district = (rep.district_name || '').toLowerCase();
-            const repSet = (rep.representative_set_name || '').toLowerCase();
+    /**
+     * Warn when the riding the lookup found is in another province than
+     * the one selected (only federal records know their province)
+     */
+    function checkRidingProvince(record) {
+        const selected = fields.province.value;
+        if (!record.province || !selected || record.province === selected) {
+            return;
+        }
 
-            // Check for House of Commons indicators
-            return (
-                office === 'mp' ||
-                office.includes('member of parliament') ||
-                repSet.includes('house of commons') ||
-                repSet.includes('chambre des communes')
-            );
-        });
+        showFieldError(fields.province, t('validation.ridingProvinceMismatch', {
+            riding: record.riding,
+            ridingProvince: provinceName(record.province),
+            province: provinceName(selected)
+        }));
+        renderProvinceSuggestion(record.province);
+    }
 
-        return mp || null;
+    /**
+     * Warn when the postal code is in another city than the one entered
+     * (only postal code lookups know the city)
+     */
+    function checkCity(city) {
+        if (Provinces.cityMatches(fields.city.value, city)) {
+            return;
+        }
+        showFieldError(fields.city, t('validation.cityMismatch', { city }));
     }
 
     // ============================================
@@ -345,86 +488,92 @@
     // ============================================
 
     /**
-     * Generate default email body text
+     * Language to write the letter in
+     * Letters are only sent in English or French, so other interface
+     * languages use the user's pick, or follow the postal code
      */
-    function generateEmailBody(mpName, userData) {
-        return `Dear ${mpName},
-
-I am writing as a constituent to encourage a clear, cross-partisan show of support for the people of Iran who continue to protest for basic rights and freedoms.
-
-Amnesty International and UN human rights experts have documented lethal violence against largely peaceful protesters. Independent reporting indicates tens of thousands may have been killed or injured, with internet shutdowns and reports of security forces targeting hospitals further obscuring the scale of abuses.
-
-These are serious human rights concerns. A unified message from Canadian leaders would send a powerful signal of Canada's commitment to democratic values.
-
-Thank you for your time and service.
-
-Sincerely,
-${userData.firstName} ${userData.lastName}
-${userData.streetAddress}
-${userData.city}, ${userData.province} ${userData.postalCode}`;
+    function getLetterLanguage() {
+        if (chosenLetterLanguage && !I18n.LETTER_LANGUAGES.includes(language)) {
+            return chosenLetterLanguage;
+        }
+        return I18n.letterLanguage(language, currentUserData ? currentUserData.postalCode : fields.postalCode.value);
     }
 
     /**
-     * Generate mailto link
-     * Note: mailto links need %20 for spaces, not + (which URLSearchParams uses)
+     * Write the campaign's letter to a representative (see campaign-letter.js)
+     * `random` picks the variants (see renderTemplate)
      */
-    function generateMailtoLink(toEmail, subject, body, cc) {
-        // Use \r\n for line breaks — some mail clients ignore bare \n
-        const mailBody = body.replace(/\r?\n/g, '\r\n');
+    function generateEmailBody(rep, userData, letterLanguage, random) {
+        return CampaignLetter.writeLetter(campaign, rep, userData, letterLanguage, random);
+    }
 
-        const params = new URLSearchParams();
-        params.set('subject', subject);
-        params.set('body', mailBody);
-        if (cc) {
-            params.set('cc', cc);
-        }
+    // ============================================
+    // Display Functions
+    // ============================================
 
-        // Replace + with %20 for proper mailto encoding
-        const queryString = params.toString().replace(/\+/g, '%20');
-        return `mailto:${encodeURIComponent(toEmail)}?${queryString}`;
+    /**
+     * CC list for the current recipient: the campaign's CCs for its level
+     * and, on a letter to an MP, the senators the user ticked
+     */
+    function getCcEmails() {
+        if (!currentMp) {
+            return '';
+        }
+        const senators = currentMp.level === 'federal' ? selectedSenators().map(senator => senator.email) : [];
+        return [CampaignLetter.getCcEmails(campaign, currentMp.level), ...senators].filter(Boolean).join(',');
     }
 
     /**
-     * Generate full email text for copying
+     * Show the letter's CC list, hidden when there is none
      */
-    function generateFullEmailText(toEmail, subject, body, cc) {
-        let text = `To: ${toEmail}\n`;
-        if (cc) {
-            text += `CC: ${cc}\n`;
-        }
-        text += `Subject: ${subject}\n\n`;
-        text += body;
-        return text;
+    function renderCcPreview() {
+        const cc = getCcEmails();
+        previewCc.textContent = cc.split(',').join(', ');
+        ccRow.classList.toggle('hidden', !cc);
     }
 
     /**
-     * Check if user is on a mobile device
+     * Show who the campaign CCs, before the user looks up their MP
      */
-    function isMobile() {
-        return /Android|iPhone|iPad|iPod|webOS|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+    function renderCcInfo() {
+        ccList.textContent = '';
+        campaign.cc.forEach(recipient => {
+            const item = document.createElement('li');
+            const label = (recipient.labels || {})[language] || recipient.label;
+            item.textContent = `${label} (${recipient.email})`;
+            ccList.appendChild(item);
+        });
+
+        const levels = campaign.ccLevels.map(level => t(`cc.${level}`)).join(t('cc.or'));
+        ccInfoTitle.textContent = t('cc.title', { recipients: levels });
+        ccInfo.classList.toggle('hidden', campaign.cc.length === 0 || campaign.ccLevels.length === 0);
     }
 
     /**
-     * Generate Gmail compose URL (desktop only)
+     * Load the campaign named in the URL (?campaign=...), falling back to
+     * the default campaign when it doesn't exist or isn't running
      */
-    function generateGmailLink(toEmail, subject, body, cc) {
-        const params = new URLSearchParams();
-        params.set('view', 'cm');
-        params.set('fs', '1');
-        params.set('to', toEmail);
-        if (cc) {
-            params.set('cc', cc);
+    async function loadCampaign() {
+        const name = deepLink.campaign;
+
+        try {
+            campaign = await api.fetchCampaign(name);
+        } catch (error) {
+            if (!name) {
+                throw error;
+            }
+            console.error('Error loading campaign:', error);
+            showError(error.code === 'CAMPAIGN_INACTIVE' ? t('error.campaignInactive') : t('error.campaignNotFound'));
+            campaign = await api.fetchCampaign('');
         }
-        params.set('su', subject);
-        params.set('body', body);
 
-        const queryString = params.toString().replace(/\+/g, '%20');
-        return `https://mail.google.com/mail/?${queryString}`;
-    }
+        renderCcInfo();
 
-    // ============================================
-    // Display Functions
-    // ============================================
+        // The progress page shows this campaign's letters
+        progressLink.href = DeepLink.buildShareLink(new URL('progress.html', window.location.href).href, {
+            campaign: campaign.name
+        });
+    }
 
     /**
      * Update email links based on current editor values
@@ -436,230 +585,1426 @@ ${userData.city}, ${userData.province} ${userData.postalCode}`;
         const body = emailBodyField.value;
 
         // Update mailto link
-        const mailtoLink = generateMailtoLink(
+        const mailtoLink = MailLinks.generateMailtoLink(
             currentMp.email,
             subject,
             body,
-            CC_EMAILS
+            getCcEmails()
         );
         openEmailBtn.href = mailtoLink;
 
-        // Update Gmail link
-        const gmailLink = generateGmailLink(
+        // Update webmail link
+        const webmailLink = MailLinks.generateWebmailLink(
+            webmailProvider,
             currentMp.email,
             subject,
             body,
-            CC_EMAILS
+            getCcEmails()
         );
-        openGmailBtn.href = gmailLink;
+        openWebmailBtn.href = webmailLink;
     }
 
     /**
-     * Display MP result and email editor
+     * The webmail provider the user last picked, or Gmail
      */
-    function displayMpResult(mp, userData) {
-        // Get MP email (from API or derive from name)
-        let mpEmail = mp.email;
-        if (!mpEmail && mp.name) {
-            mpEmail = deriveEmailFromName(mp.name);
-        }
-
-        if (!mpEmail) {
-            showError('Could not determine MP email address. Please contact your MP directly.');
-            return;
-        }
-
-        currentMp = {
-            name: mp.name,
-            riding: mp.district_name || mp.riding || 'Unknown riding',
-            email: mpEmail
-        };
+    function loadWebmailProvider() {
+        const stored = store.loadWebmailProvider();
+        return Object.prototype.hasOwnProperty.call(MailLinks.WEBMAIL_PROVIDERS, stored)
+            ? stored
+            : DEFAULT_WEBMAIL_PROVIDER;
+    }
 
-        // Generate default email body
-        const defaultBody = generateEmailBody(currentMp.name, userData);
+    /**
+     * Offer each webmail provider in the chooser
+     */
+    function renderWebmailOptions() {
+        Object.entries(MailLinks.WEBMAIL_PROVIDERS).forEach(([key, provider]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = provider.name;
+            webmailProviderSelect.appendChild(option);
+        });
+        webmailProviderSelect.value = webmailProvider;
+    }
 
-        // Update display
-        display.mpName.textContent = currentMp.name;
-        display.mpRiding.textContent = currentMp.riding;
-        display.mpEmail.textContent = currentMp.email;
-        display.previewTo.textContent = currentMp.email;
+    /**
+     * Label and colour the webmail button for the chosen provider
+     */
+    function renderWebmailButton() {
+        openWebmailBtn.textContent = t('send.webmail', { provider: MailLinks.WEBMAIL_PROVIDERS[webmailProvider].name });
+        openWebmailBtn.className = `btn btn-${webmailProvider}`;
+    }
 
-        // Populate editable fields
-        emailSubjectField.value = DEFAULT_EMAIL_SUBJECT;
-        emailBodyField.value = defaultBody;
+    /**
+     * Switch webmail provider, remembering the choice
+     */
+    function handleWebmailProviderChange() {
+        webmailProvider = webmailProviderSelect.value;
+        trackEvent(`choose-webmail-${webmailProvider}`);
+        store.saveWebmailProvider(webmailProvider);
 
-        // Generate initial mailto link
+        renderWebmailButton();
         updateEmailLinks();
-
-        // Show result section
-        hideError();
-        mpResult.classList.remove('hidden');
-        mpResult.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
 
-    // ============================================
-    // Event Handlers
-    // ============================================
-
     /**
-     * Handle form submission
+     * Render MP records as a list of buttons showing riding, name and party
+     * `decorate(mp, button)` may adjust each button (e.g. mark it selected)
      */
-    async function handleFormSubmit(e) {
-        e.preventDefault();
-
-        // Check client-side rate limit first
-        const rateLimitCheck = checkClientRateLimit();
-        if (!rateLimitCheck.allowed) {
-            showError(rateLimitCheck.message);
-            return;
-        }
+    function renderMpOptions(list, mps, onChoose, decorate) {
+        list.textContent = '';
+
+        mps.forEach(mp => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-option';
+
+            const riding = document.createElement('span');
+            riding.textContent = mp.riding || t('result.unknownRiding');
+            const detail = document.createElement('span');
+            detail.className = 'option-detail';
+            detail.textContent = mp.party ? `${mp.name} (${mp.party})` : mp.name;
+
+            button.appendChild(riding);
+            button.appendChild(detail);
+            button.addEventListener('click', function () {
+                onChoose(mp);
+            });
 
-        // Validate form
-        if (!validateForm()) {
-            // Focus first invalid field
-            const firstInvalid = form.querySelector('.invalid');
-            if (firstInvalid) {
-                firstInvalid.focus();
+            if (decorate) {
+                decorate(mp, button);
             }
-            return;
-        }
 
-        // Get form data
-        const normalizedPostal = normalizePostalCode(fields.postalCode.value);
-        const userData = {
-            firstName: fields.firstName.value.trim(),
-            lastName: fields.lastName.value.trim(),
-            email: fields.email.value.trim(),
-            streetAddress: fields.streetAddress.value.trim(),
-            city: fields.city.value.trim(),
-            province: fields.province.value,
-            postalCode: normalizedPostal
-        };
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+    }
 
-        // Set loading state
-        setLoading(true);
+    /**
+     * Let the user pick their MP when a postal code maps to several ridings
+     */
+    function showRidingPicker(candidates, userData) {
         hideError();
         mpResult.classList.add('hidden');
 
-        // Record this request for rate limiting
-        recordRequest();
+        renderMpOptions(ridingOptions, candidates, function (mp) {
+            hideRidingPicker();
+            displayMpResult(mp, userData);
+        });
 
-        try {
-            // Fetch MP data
-            const data = await fetchMpData(normalizedPostal);
+        ridingPicker.classList.remove('hidden');
+        ridingPicker.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
 
-            // Select federal MP
-            const mp = selectFederalMp(data);
+    /**
+     * Key identifying a representative within a session
+     */
+    function recipientKey(rep) {
+        return `${rep.name}|${rep.office || 'MP'}`;
+    }
 
-            if (!mp) {
-                showError('Could not find a federal MP for this postal code. The postal code may be invalid or cover multiple ridings.');
-                return;
+    /**
+     * Render the list of representatives the user can write to
+     */
+    function renderRecipientList() {
+        renderMpOptions(recipientOptions, currentRecipients, function (rep) {
+            displayMpResult(rep, currentUserData);
+        }, function (rep, button) {
+            const label = button.firstChild;
+            label.textContent = `${rep.office || t('recipients.representative')} — ${rep.riding || t('recipients.unknownDistrict')}`;
+
+            if (!rep.email) {
+                button.disabled = true;
+                button.lastChild.textContent += t('recipients.noEmail');
+            }
+            if (currentMp && recipientKey(rep) === recipientKey(currentMp)) {
+                button.classList.add('is-selected');
             }
+            if (contactedRecipients.has(recipientKey(rep))) {
+                button.classList.add('is-contacted');
+                button.lastChild.textContent += t('recipients.written');
+            }
+        });
+    }
 
-            // Display result
-            displayMpResult(mp, userData);
-        } catch (error) {
-            console.error('Error fetching MP data:', error);
-            showError(error.message || 'Failed to look up your MP. Please try again or use the manual lookup.');
-        } finally {
-            setLoading(false);
+    /**
+     * Show every representative found and open the letter to the first one
+     */
+    function showRecipients(reps, userData) {
+        currentRecipients = reps;
+        currentUserData = userData;
+        contactedRecipients.clear();
+
+        const first = reps.find(rep => rep.email);
+        if (!first) {
+            hideRecipientList();
+            showError(t('error.noEmailAtLevel'));
+            return;
         }
+
+        displayMpResult(first, userData);
+        recipientList.classList.toggle('hidden', reps.length < 2);
     }
 
     /**
-     * Handle copy email button click
+     * Remember that the user has written to the current recipient
      */
-    async function handleCopyEmail() {
-        if (!currentMp) {
+    function markCurrentContacted() {
+        if (!currentMp || currentRecipients.length === 0) {
             return;
         }
+        contactedRecipients.add(recipientKey(currentMp));
+        renderRecipientList();
+    }
 
-        const subject = emailSubjectField.value;
-        const body = emailBodyField.value;
+    /**
+     * Senators are only offered on letters to an MP
+     */
+    function toggleSenatorOptions() {
+        senatorOptions.classList.toggle('hidden',
+            !currentMp || currentMp.level !== 'federal' || currentSenators.length === 0);
+    }
 
-        const fullEmailText = generateFullEmailText(
-            currentMp.email,
-            subject,
-            body,
-            CC_EMAILS
-        );
+    /**
+     * The senators the user ticked
+     */
+    function selectedSenators() {
+        return Array.from(senatorList.querySelectorAll('input:checked'))
+            .map(checkbox => currentSenators[Number(checkbox.value)]);
+    }
+
+    /**
+     * List the province's senators, keeping the ones already ticked
+     */
+    function renderSenatorList() {
+        const ticked = new Set(selectedSenators().map(senator => senator.email));
+        senatorList.textContent = '';
+
+        currentSenators.forEach((senator, index) => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = String(index);
+            checkbox.checked = ticked.has(senator.email);
+
+            const detail = document.createElement('span');
+            detail.className = 'option-detail';
+            detail.textContent = senator.affiliation ? ` (${senator.affiliation})` : '';
+
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${t('senators.senator', { name: senator.name })}`));
+            label.appendChild(detail);
+            item.appendChild(label);
+            senatorList.appendChild(item);
+        });
+    }
+
+    /**
+     * Offer the senators for the user's province as optional CCs
+     */
+    async function showSenatorOptions(province) {
+        // Keep the user's selection while they switch between recipients
+        if (province === senatorProvince) {
+            toggleSenatorOptions();
+            return;
+        }
+        senatorProvince = province;
+        currentSenators = [];
+        senatorList.textContent = '';
+        toggleSenatorOptions();
+
+        if (!province) {
+            return;
+        }
 
         try {
-            await navigator.clipboard.writeText(fullEmailText);
-            copyFeedback.classList.remove('hidden');
-            setTimeout(() => {
-                copyFeedback.classList.add('hidden');
-            }, 3000);
-        } catch (error) {
-            // Fallback for older browsers
-            const textarea = document.createElement('textarea');
-            textarea.value = fullEmailText;
-            textarea.style.position = 'fixed';
-            textarea.style.opacity = '0';
-            document.body.appendChild(textarea);
-            textarea.select();
+            const senators = await api.fetchSenators(province);
 
-            try {
-                document.execCommand('copy');
-                copyFeedback.classList.remove('hidden');
-                setTimeout(() => {
-                    copyFeedback.classList.add('hidden');
-                }, 3000);
-            } catch (err) {
-                alert('Failed to copy. Please select and copy the text manually.');
+            // The user may have changed province while this was loading
+            if (province !== senatorProvince) {
+                return;
             }
 
-            document.body.removeChild(textarea);
+            currentSenators = senators.filter(senator => senator.email);
+            renderSenatorList();
+            toggleSenatorOptions();
+        } catch (error) {
+            // Senators are optional: the letter to the representative still works
+            console.error('Error fetching senators:', error);
         }
     }
 
     /**
-     * Handle field input for real-time validation clearing
+     * Copy the ticked senators on the letter
      */
-    function handleFieldInput(e) {
-        const field = e.target;
-        if (field.classList.contains('invalid')) {
-            clearFieldError(field);
+    function handleSenatorChange(event) {
+        if (event.target.checked) {
+            trackEvent('cc-senator');
         }
+        renderCcPreview();
+        updateEmailLinks();
     }
 
-    // ============================================
-    // Initialization
-    // ============================================
-
     /**
-     * Track event with GoatCounter (if loaded)
+     * Rewrite the letter in the language the user picked for it
+     * Only offered when the interface is in a language letters aren't sent in
      */
-    function trackEvent(eventName) {
-        if (window.goatcounter && window.goatcounter.count) {
-            window.goatcounter.count({
-                path: eventName,
-                event: true
-            });
-        }
+    function handleLetterLanguageChange() {
+        chosenLetterLanguage = letterLanguageSelect.value;
+        trackEvent(`letter-language-${chosenLetterLanguage}`);
+        fillLetter();
     }
 
-    function init() {
-        // Hide Gmail button on mobile (mailto works better with app chooser)
-        if (isMobile()) {
-            openGmailBtn.style.display = 'none';
-        }
+    /**
+     * Result heading and labels for the current recipient's level
+     */
+    function renderResultHeadings() {
+        mpResultTitle.textContent = t(`result.title.${currentMp.level}`);
+        display.mpRidingLabel.textContent = t('result.riding');
+    }
 
-        // Form submission
-        form.addEventListener('submit', handleFormSubmit);
+    /**
+     * Warn when the MP's address was guessed from their name rather than
+     * supplied by the lookup, and offer the other guesses
+     */
+    function renderEmailGuess() {
+        const guessed = currentRecord.email_source === 'derived';
+        emailGuessNote.classList.toggle('hidden', !guessed);
 
-        // Copy button
-        copyEmailBtn.addEventListener('click', handleCopyEmail);
+        // Keep the label, replace the buttons
+        while (emailAlternatives.childNodes.length > 1) {
+            emailAlternatives.removeChild(emailAlternatives.lastChild);
+        }
 
-        // Track email button clicks
-        openEmailBtn.addEventListener('click', function() {
-            trackEvent('click-email-client');
+        const others = guessed
+            ? (currentRecord.email_candidates || []).filter(email => email !== currentMp.email)
+            : [];
+        emailAlternatives.classList.toggle('hidden', others.length === 0);
+
+        others.forEach(email => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dir = 'ltr';
+            button.textContent = email;
+            button.addEventListener('click', function () {
+                trackEvent('use-email-candidate');
+                useEmail(email);
+            });
+            emailAlternatives.appendChild(button);
         });
-        openGmailBtn.addEventListener('click', function() {
-            trackEvent('click-gmail');
+    }
+
+    /**
+     * Send the letter to another candidate address
+     */
+    function useEmail(email) {
+        currentMp.email = email;
+        display.mpEmail.textContent = email;
+        display.previewTo.textContent = email;
+        renderEmailGuess();
+        updateEmailLinks();
+    }
+
+    /**
+     * Fill the editor with the campaign's letter to the current recipient
+     */
+    function fillLetter() {
+        const draws = [];
+        const random = () => {
+            const value = Math.random();
+            draws.push(value);
+            return value;
+        };
+
+        currentLetterLanguage = getLetterLanguage();
+        currentLetterDraws = draws;
+        currentEmailSubject = deepLink.subject || CampaignLetter.getLetter(campaign, currentLetterLanguage).subject;
+        currentEmailBody = generateEmailBody(currentMp, currentUserData, currentLetterLanguage, random);
+        emailSubjectField.value = currentEmailSubject;
+        emailBodyField.value = currentEmailBody;
+        if (savedLetter && savedLetter.recipient === currentMp.email) {
+            emailSubjectField.value = savedLetter.subject;
+            emailBodyField.value = savedLetter.body;
+            savedLetter = null;
+        }
+        callScriptField.value = CampaignLetter.writeCallScript(campaign, currentMp, currentUserData, currentLetterLanguage);
+        callScriptRow.classList.toggle('hidden', !callScriptField.value);
+        letterLanguageSelect.value = currentLetterLanguage;
+        renderLetterTranslation();
+        updateEmailLinks();
+        saveDraft();
+    }
+
+    /**
+     * Show the letter translated into the interface language, for
+     * interface languages the letter isn't sent in
+     * It replays the letter's random draws so both pick the same variants
+     */
+    function renderLetterTranslation() {
+        const translation = (campaign.translations || {})[language];
+        const show = !I18n.LETTER_LANGUAGES.includes(language) && Boolean(translation);
+
+        letterLanguageRow.classList.toggle('hidden', I18n.LETTER_LANGUAGES.includes(language));
+        letterTranslation.classList.toggle('hidden', !show);
+        letterColumns.classList.toggle('has-translation', show);
+        if (!show) {
+            return;
+        }
+
+        let next = 0;
+        const replay = () => (next < currentLetterDraws.length ? currentLetterDraws[next++] : Math.random());
+
+        letterTranslationSubject.textContent = translation.subject;
+        letterTranslationBody.textContent = generateEmailBody(currentMp, currentUserData, language, replay);
+    }
+
+    /**
+     * Display MP result and email editor
+     * `mp` is a normalized record from /api/mp or /api/representatives
+     */
+    function displayMpResult(mp, userData) {
+        if (!mp.email) {
+            showError(t('error.noMpEmail'));
+            return;
+        }
+
+        currentRecord = mp;
+        currentUserData = userData;
+        currentMp = {
+            name: mp.name,
+            riding: mp.riding || t('result.unknownRiding'),
+            email: mp.email,
+            level: mp.level || 'federal',
+            office: mp.office || 'MP',
+            party: mp.party || null
+        };
+
+        // Update display
+        display.mpName.textContent = currentMp.name;
+        display.mpRiding.textContent = currentMp.riding;
+        display.mpEmail.textContent = currentMp.email.split(',').join(', ');
+        display.previewTo.textContent = currentMp.email.split(',').join(', ');
+        renderResultHeadings();
+        renderCcPreview();
+        fallbackNote.classList.toggle('hidden', mp.source !== 'fallback');
+        renderEmailGuess();
+        renderPrintOption();
+        renderCallOption();
+        renderActionCount();
+        renderResponseReport();
+        checkRidingProvince(mp);
+        checkCity(mp.city);
+
+        if (currentRecipients.length) {
+            renderRecipientList();
+        }
+        showSenatorOptions(userData.province);
+
+        // Populate editable fields and generate initial mailto link
+        fillLetter();
+
+        // Show result section
+        hideError();
+        mpResult.classList.remove('hidden');
+        mpResult.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    // ============================================
+    // Language
+    // ============================================
+
+    /**
+     * Apply the current language to the page
+     * Static text is marked up with data-i18n attributes in index.html
+     */
+    function applyTranslations() {
+        document.documentElement.lang = language;
+        document.documentElement.dir = I18n.direction(language);
+
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = t(element.dataset.i18nPlaceholder);
+        });
+        document.querySelectorAll('[data-i18n-href]').forEach(element => {
+            element.href = t(element.dataset.i18nHref);
+        });
+        document.querySelectorAll('[data-i18n-content]').forEach(element => {
+            element.content = t(element.dataset.i18nContent);
+        });
+        document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+        });
+        document.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = t(element.dataset.i18nTitle);
+        });
+        renderWebmailButton();
+        renderPrintOption();
+        renderCallOption();
+        showActionCount(Number(actionCount.dataset.count));
+        showResponseRate(currentResponses);
+        if (!provinceSuggestion.classList.contains('hidden')) {
+            renderProvinceSuggestion(provinceSuggestion.dataset.province);
+        }
+
+        languageSwitcher.querySelectorAll('button').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.lang === language));
+        });
+
+        if (campaign) {
+            renderCcInfo();
+        }
+
+        // Rewrite the letter, unless the user has already edited it
+        if (currentMp) {
+            renderResultHeadings();
+            if (currentRecipients.length) {
+                renderRecipientList();
+            }
+            renderSenatorList();
+            if (getLetterLanguage() !== currentLetterLanguage &&
+                emailBodyField.value === currentEmailBody && emailSubjectField.value === currentEmailSubject) {
+                fillLetter();
+            } else {
+                renderLetterTranslation();
+            }
+        }
+    }
+
+    /**
+     * Switch language
+     * `chosen` is true when the user picked it, which is remembered and
+     * stops the language following the postal code
+     */
+    function setLanguage(newLanguage, chosen) {
+        if (chosen) {
+            languageChosen = true;
+            store.saveLanguage(newLanguage);
+        }
+
+        if (newLanguage !== language) {
+            language = newLanguage;
+            applyTranslations();
+        }
+    }
+
+    /**
+     * Render a button per language, each labelled in its own language
+     */
+    function renderLanguageSwitcher() {
+        Object.entries(I18n.LANGUAGES).forEach(([code, name]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn-language';
+            button.lang = code;
+            button.textContent = name;
+            button.addEventListener('click', function () {
+                trackEvent(`language-${code}`);
+                setLanguage(code, true);
+            });
+            languageSwitcher.appendChild(button);
+        });
+    }
+
+    /**
+     * Offer each language a letter can be sent in, labelled in its own language
+     */
+    function renderLetterLanguageOptions() {
+        I18n.LETTER_LANGUAGES.forEach(code => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.lang = code;
+            option.textContent = I18n.LANGUAGES[code];
+            letterLanguageSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Pick the initial language: a remembered choice, otherwise the
+     * browser's preferred languages
+     */
+    function initLanguage() {
+        const stored = store.loadLanguage();
+
+        // A remembered choice wins over the language of a shared link
+        const chosen = I18n.isSupported(stored) ? stored : deepLink.language;
+        languageChosen = I18n.isSupported(chosen);
+        language = I18n.detectLanguage({
+            chosen,
+            preferred: navigator.languages || [navigator.language]
+        });
+
+        renderLanguageSwitcher();
+        renderLetterLanguageOptions();
+        applyTranslations();
+    }
+
+    // ============================================
+    // Event Handlers
+    // ============================================
+
+    /**
+     * Collect the sender's details from the form
+     */
+    function getUserData() {
+        return {
+            firstName: fields.firstName.value.trim(),
+            lastName: fields.lastName.value.trim(),
+            email: fields.email.value.trim(),
+            streetAddress: fields.streetAddress.value.trim(),
+            city: fields.city.value.trim(),
+            province: fields.province.value,
+            postalCode: normalizePostalCode(fields.postalCode.value)
+        };
+    }
+
+    /**
+     * Focus first invalid field
+     */
+    function focusFirstInvalid() {
+        const firstInvalid = form.querySelector('.invalid');
+        if (firstInvalid) {
+            firstInvalid.focus();
+        }
+    }
+
+    /**
+     * Get the browser's current position as { lat, lng }
+     */
+    function getCurrentPosition() {
+        return new Promise((resolve, reject) => {
+            navigator.geolocation.getCurrentPosition(
+                position => resolve({
+                    lat: position.coords.latitude.toFixed(4),
+                    lng: position.coords.longitude.toFixed(4)
+                }),
+                reject,
+                { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000 }
+            );
+        });
+    }
+
+    /**
+     * Look up the MP for a query ({ postcode } or { lat, lng }) and display it
+     */
+    async function lookupMp(query, userData) {
+        // Set loading state
+        setLoading(true);
+        hideError();
+        hideRidingPicker();
+        hideRecipientList();
+        mpResult.classList.add('hidden');
+
+        // Record this request for rate limiting
+        recordRequest();
+
+        try {
+            // The letter comes from the campaign
+            await campaignReady;
+
+            const level = levelSelect.value;
+
+            // Provincial, municipal or all levels: let the user write to each
+            if (level !== 'federal') {
+                const data = await api.fetchRepresentatives(query, level);
+                showRecipients(data.representatives, userData);
+                checkCity(data.city);
+                return;
+            }
+
+            // Fetch federal MP
+            const mp = await api.fetchMp(query);
+
+            // Display result
+            displayMpResult(mp, userData);
+        } catch (error) {
+            // The location may map to several ridings: let the user choose
+            if (error.code === 'MULTIPLE_RIDINGS' && error.candidates.length) {
+                showRidingPicker(error.candidates, userData);
+                return;
+            }
+
+            // Offer the manual search whenever the automatic lookup fails
+            manualSearch.open = true;
+
+            if (error.code === 'NO_REPRESENTATIVES') {
+                showError(t('error.noRepresentatives'));
+                return;
+            }
+
+            if (error.code === 'NO_MP') {
+                showError(t('error.noMp'));
+                return;
+            }
+
+            console.error('Error fetching MP data:', error);
+            showError(error.message || t('error.lookupFailed'));
+        } finally {
+            setLoading(false);
+        }
+    }
+
+    /**
+     * Handle form submission
+     */
+    async function handleFormSubmit(e) {
+        e.preventDefault();
+
+        // Check client-side rate limit first
+        const rateLimitCheck = checkClientRateLimit();
+        if (!rateLimitCheck.allowed) {
+            showError(rateLimitCheck.message);
+            return;
+        }
+
+        // Validate form
+        if (!validateForm()) {
+            focusFirstInvalid();
+            return;
+        }
+
+        const userData = getUserData();
+        await lookupMp({ postcode: userData.postalCode }, userData);
+    }
+
+    /**
+     * Handle "Use my location" button click
+     */
+    async function handleUseLocation() {
+        const rateLimitCheck = checkClientRateLimit();
+        if (!rateLimitCheck.allowed) {
+            showError(rateLimitCheck.message);
+            return;
+        }
+
+        // The letter still needs the sender's details, but not the postal code
+        if (!validateForm({ requirePostalCode: false })) {
+            focusFirstInvalid();
+            return;
+        }
+
+        let position;
+        try {
+            setLoading(true);
+            position = await getCurrentPosition();
+        } catch (error) {
+            showError(error.code === 1 ? t('error.locationDenied') : t('error.locationFailed'));
+            return;
+        } finally {
+            setLoading(false);
+        }
+
+        await lookupMp(position, getUserData());
+    }
+
+    /**
+     * Search MPs by name or riding
+     */
+    async function searchMps(query) {
+        latestSearch = query;
+        mpSearchStatus.textContent = t('search.searching');
+
+        try {
+            const data = await api.searchMps(query);
+
+            // Ignore responses for queries the user has already typed past
+            if (query !== latestSearch) {
+                return;
+            }
+
+            mpSearchStatus.textContent = data.results.length
+                ? ''
+                : t('search.noResults');
+            renderMpOptions(mpSearchResults, data.results, handleManualChoice);
+        } catch (error) {
+            if (query === latestSearch) {
+                mpSearchStatus.textContent = error.code ? error.message : t('search.failed');
+                mpSearchResults.textContent = '';
+            }
+        }
+    }
+
+    /**
+     * Handle typing in the manual search box (debounced)
+     */
+    function handleSearchInput() {
+        clearTimeout(searchTimer);
+        const query = mpSearchInput.value.trim();
+
+        if (query.length < 2) {
+            latestSearch = '';
+            mpSearchStatus.textContent = '';
+            mpSearchResults.textContent = '';
+            return;
+        }
+
+        searchTimer = setTimeout(function () {
+            searchMps(query);
+        }, SEARCH_DEBOUNCE_MS);
+    }
+
+    /**
+     * Handle choosing an MP from the manual search results
+     */
+    async function handleManualChoice(mp) {
+        // The letter still needs the sender's details
+        if (!validateForm()) {
+            mpSearchStatus.textContent = t('search.completeForm');
+            focusFirstInvalid();
+            return;
+        }
+
+        trackEvent('choose-manual-mp');
+        hideRidingPicker();
+        hideRecipientList();
+
+        try {
+            await campaignReady;
+        } catch (error) {
+            showError(t('error.campaignLoad'));
+            return;
+        }
+        displayMpResult(mp, getUserData());
+    }
+
+    /**
+     * Handle copy email button click
+     */
+    async function handleCopyEmail() {
+        if (!currentMp) {
+            return;
+        }
+
+        const subject = emailSubjectField.value;
+        const body = emailBodyField.value;
+
+        const fullEmailText = MailLinks.generateFullEmailText(
+            currentMp.email,
+            subject,
+            body,
+            getCcEmails()
+        );
+
+        if (await copyToClipboard(fullEmailText)) {
+            showBriefly(copyFeedback);
+        } else {
+            alert(t('send.copyFailed'));
+        }
+    }
+
+    /**
+     * Download the letter as an .eml file, for when mailto links are cut
+     * short or webmail isn't offered (on mobile)
+     */
+    function handleDownloadEml() {
+        if (!currentMp) {
+            return;
+        }
+
+        const eml = MailLinks.generateEml(
+            currentMp.email,
+            emailSubjectField.value,
+            emailBodyField.value,
+            getCcEmails(),
+            { from: currentUserData ? currentUserData.email : '' }
+        );
+
+        const url = URL.createObjectURL(new Blob([eml], { type: 'message/rfc822' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'letter.eml';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Offer to print the letter when the recipient has a postal address
+     */
+    function renderPrintOption() {
+        const address = currentMp && PrintLetter.getMailingAddress(currentRecord, currentMp.level);
+        printOption.classList.toggle('hidden', !address);
+        if (address) {
+            printHint.textContent = t(currentMp.level === 'federal' ? 'print.hintFederal' : 'print.hint');
+        }
+    }
+
+    /**
+     * Campaign, level and riding the current recipient's letters are counted
+     * under (see /api/count), or null unless it is a federal MP with a known
+     * riding: other levels have no roster to check ridings against
+     */
+    function actionCountTarget() {
+        if (!currentMp || !currentRecord.riding || currentMp.level !== 'federal') {
+            return null;
+        }
+        return { campaign: campaign ? campaign.name : '', level: currentMp.level, riding: currentRecord.riding };
+    }
+
+    /**
+     * Show how many constituents have written, hidden until someone has
+     */
+    function showActionCount(count) {
+        actionCount.classList.toggle('hidden', !count);
+        actionCount.dataset.count = count || 0;
+        if (count) {
+            actionCount.textContent = count === 1
+                ? t('result.actionCountOne')
+                : t('result.actionCountMany', { count: count.toLocaleString(language) });
+        }
+    }
+
+    /**
+     * Look up how many constituents in the recipient's riding have written
+     */
+    async function renderActionCount() {
+        const target = actionCountTarget();
+        const request = target ? api.fetchActionCount(target.campaign, target.level, target.riding) : null;
+        actionCountRequest = request;
+        showActionCount(0);
+        if (!request) {
+            return;
+        }
+
+        try {
+            const data = await request;
+            // Ignore answers for a recipient the user has since moved on from
+            if (request === actionCountRequest) {
+                showActionCount(data.count);
+            }
+        } catch (error) {
+            // The count is a nicety: leave it hidden
+        }
+    }
+
+    /**
+     * Count a letter sent to the current recipient, once per session
+     * Only the campaign, level and riding are sent, never the user's details
+     */
+    async function recordLetterSent() {
+        const target = actionCountTarget();
+        const key = target && `${target.level}:${target.riding}:${currentMp.email}`;
+        if (!target || countedLetters.has(key)) {
+            return;
+        }
+        countedLetters.add(key);
+
+        const request = api.recordAction(target.campaign, target.level, target.riding);
+        actionCountRequest = request;
+        try {
+            const data = await request;
+            if (request === actionCountRequest) {
+                showActionCount(data.count);
+            }
+        } catch (error) {
+            // Let a later send try again
+            countedLetters.delete(key);
+        }
+    }
+
+    /**
+     * The representative replies are reported for: the count target
+     * plus their name, or null when replies aren't tracked
+     */
+    function responseTarget() {
+        const target = actionCountTarget();
+        return target && { ...target, name: currentMp.name };
+    }
+
+    /**
+     * Show the representative's response rate, hidden until someone reports
+     */
+    function showResponseRate(summary) {
+        currentResponses = summary;
+        const show = Boolean(summary && summary.reports);
+        responseRate.classList.toggle('hidden', !show);
+        if (!show) {
+            return;
+        }
+
+        const rate = Math.round(summary.responseRate * 100).toLocaleString(language);
+        responseRate.textContent = summary.reports === 1
+            ? t('result.responseRateOne', { rate })
+            : t('result.responseRateMany', {
+                rate,
+                replied: summary.replied.toLocaleString(language),
+                reports: summary.reports.toLocaleString(language)
+            });
+    }
+
+    /**
+     * Offer to report whether the recipient replied, and look up their
+     * response rate
+     */
+    async function renderResponseReport() {
+        const target = responseTarget();
+        const key = target && `${target.level}:${target.riding}:${target.name}`;
+        responseReport.classList.toggle('hidden', !target);
+        responseReport.open = false;
+        responseForm.reset();
+        responseDetails.classList.add('hidden');
+        responseSubmitBtn.disabled = reportedResponses.has(key);
+        responseFeedback.classList.add('hidden');
+
+        const request = target ? api.fetchResponses(target.level, target.riding, target.name) : null;
+        responsesRequest = request;
+        showResponseRate(null);
+        if (!request) {
+            return;
+        }
+
+        try {
+            const summary = await request;
+            // Ignore answers for a recipient the user has since moved on from
+            if (request === responsesRequest) {
+                showResponseRate(summary);
+            }
+        } catch (error) {
+            // The response rate is a nicety: leave it hidden
+        }
+    }
+
+    /**
+     * Ask about the reply only when there was one
+     */
+    function handleRepliedChange() {
+        responseDetails.classList.toggle('hidden', responseForm.elements.replied.value !== 'yes');
+    }
+
+    /**
+     * Confirm a report was sent, or say why it wasn't
+     */
+    function showResponseFeedback(message, isError) {
+        responseFeedback.textContent = message;
+        responseFeedback.classList.toggle('response-error', isError);
+        responseFeedback.classList.remove('hidden');
+    }
+
+    /**
+     * Send the user's report, once per recipient per session
+     */
+    async function handleResponseSubmit(event) {
+        event.preventDefault();
+        const target = responseTarget();
+        const replied = responseForm.elements.replied.value;
+        if (!target) {
+            return;
+        }
+        if (!replied) {
+            showResponseFeedback(t('response.chooseOne'), true);
+            return;
+        }
+
+        const key = `${target.level}:${target.riding}:${target.name}`;
+        const report = replied === 'yes'
+            ? { replied: true, sentiment: responseSentiment.value || null, excerpt: responseExcerpt.value.trim() || null }
+            : { replied: false };
+
+        responseSubmitBtn.disabled = true;
+        try {
+            const summary = await api.reportResponse(target.level, target.riding, target.name, report);
+            reportedResponses.add(key);
+            trackEvent(report.replied ? 'report-replied' : 'report-no-reply');
+            showResponseRate(summary);
+            showResponseFeedback(t('response.thanks'), false);
+        } catch (error) {
+            responseSubmitBtn.disabled = false;
+            showResponseFeedback(error.message, true);
+        }
+    }
+
+    /**
+     * List the recipient's office phone numbers, Hill office first
+     */
+    function renderCallOption() {
+        const offices = currentMp ? CallOffices.getPhoneOffices(currentRecord) : [];
+        callOption.classList.toggle('hidden', offices.length === 0);
+        callOffices.textContent = '';
+
+        offices.forEach(office => {
+            let label = t('call.officeOther');
+            if (office.type === 'legislature') {
+                label = t(currentMp.level === 'federal' ? 'call.officeHill' : 'call.officeLegislature');
+            } else if (office.type === 'constituency') {
+                label = t('call.officeConstituency');
+            }
+
+            const li = document.createElement('li');
+            const name = document.createElement('span');
+            name.className = 'call-office-name';
+            name.textContent = office.locality ? `${label} (${office.locality})` : label;
+
+            const link = document.createElement('a');
+            link.href = office.href;
+            link.dir = 'ltr';
+            link.textContent = office.tel;
+            link.addEventListener('click', function () {
+                trackEvent('called');
+                markCurrentContacted();
+            });
+
+            li.appendChild(name);
+            li.appendChild(link);
+            callOffices.appendChild(li);
+        });
+    }
+
+    /**
+     * Lay out the letter as edited for printing: sender's address, date,
+     * recipient's address, subject, then the body with room to sign
+     */
+    function renderPrintedLetter() {
+        const letterT = key => I18n.translate(currentLetterLanguage, key);
+        const signerName = `${currentUserData.firstName} ${currentUserData.lastName}`;
+        const { closing, signoff } = PrintLetter.splitAtSignature(emailBodyField.value, signerName);
+
+        const addAddress = (className, lines) => {
+            const address = document.createElement('address');
+            address.className = className;
+            lines.forEach(line => {
+                const div = document.createElement('div');
+                div.textContent = line;
+                address.appendChild(div);
+            });
+            printedLetter.appendChild(address);
+        };
+        const addParagraph = (className, text) => {
+            const p = document.createElement('p');
+            p.className = className;
+            p.textContent = text;
+            printedLetter.appendChild(p);
+        };
+
+        printedLetter.textContent = '';
+        printedLetter.lang = currentLetterLanguage;
+        printedLetter.dir = I18n.direction(currentLetterLanguage);
+        addAddress('printed-sender', PrintLetter.getSenderAddress(currentUserData));
+        addParagraph('printed-date', PrintLetter.formatLetterDate(new Date(), currentLetterLanguage));
+        addAddress('printed-recipient', [currentMp.name, ...PrintLetter.getMailingAddress(currentRecord, currentMp.level)]);
+        addParagraph('printed-subject', `${letterT('print.subject')} ${emailSubjectField.value}`);
+        addParagraph('printed-body', closing);
+        addParagraph('printed-signature', '');
+        addParagraph('printed-body', signoff);
+    }
+
+    /**
+     * Print the letter on its own, for mailing
+     */
+    function handlePrintLetter() {
+        if (!currentMp) {
+            return;
+        }
+
+        renderPrintedLetter();
+        document.body.classList.add('printing-letter');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-letter');
+        }, { once: true });
+        window.print();
+    }
+
+    /**
+     * Copy text to the clipboard, resolving to whether it worked
+     */
+    async function copyToClipboard(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (error) {
+            // Fallback for older browsers
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            textarea.style.position = 'fixed';
+            textarea.style.opacity = '0';
+            document.body.appendChild(textarea);
+            textarea.select();
+
+            let copied = false;
+            try {
+                copied = document.execCommand('copy');
+            } catch (err) {
+                copied = false;
+            }
+
+            document.body.removeChild(textarea);
+            return copied;
+        }
+    }
+
+    /**
+     * Show a confirmation message for a few seconds
+     */
+    function showBriefly(element) {
+        element.classList.remove('hidden');
+        setTimeout(() => {
+            element.classList.add('hidden');
+        }, 3000);
+    }
+
+    /**
+     * Link to this campaign for others to use
+     * It carries the campaign, level and any custom subject, and the
+     * interface language if the user picked one, but never the sender's
+     * details (see DeepLink.buildShareLink)
+     */
+    function getShareLink() {
+        let subject = deepLink.subject;
+        if (currentMp && emailSubjectField.value !== CampaignLetter.getLetter(campaign, currentLetterLanguage).subject) {
+            subject = emailSubjectField.value.trim();
+        }
+
+        return DeepLink.buildShareLink(window.location.origin + window.location.pathname, {
+            campaign: campaign ? campaign.name : deepLink.campaign,
+            subject,
+            level: levelSelect.value,
+            language: languageChosen ? language : undefined
+        });
+    }
+
+    /**
+     * Share the campaign with the device's share sheet where there is one,
+     * otherwise copy the link
+     */
+    async function handleShareCampaign() {
+        trackEvent('share-campaign');
+        const link = getShareLink();
+
+        if (navigator.share && MailLinks.isMobile(navigator.userAgent)) {
+            try {
+                await navigator.share({ title: t('share.title'), url: link });
+                return;
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    return;
+                }
+                // Otherwise fall back to copying the link
+            }
+        }
+
+        if (await copyToClipboard(link)) {
+            showBriefly(shareFeedback);
+        } else {
+            window.prompt(t('share.button'), link);
+        }
+    }
+
+    /**
+     * Format the postal code as A1A 1A1 once it's complete
+     */
+    function handlePostalCodeBlur() {
+        const normalized = normalizePostalCode(fields.postalCode.value);
+        if (normalized.length === 6) {
+            fields.postalCode.value = normalized.substring(0, 3) + ' ' + normalized.substring(3);
+        }
+
+        suggestProvinceFromPostalCode();
+
+        // Quebec postal codes switch to French, unless the user picked a
+        // language or reads one letters aren't sent in (the letter still
+        // follows the postal code, see getLetterLanguage)
+        const suggested = I18n.languageForPostalCode(normalized);
+        if (suggested && !languageChosen && I18n.LETTER_LANGUAGES.includes(language)) {
+            setLanguage(suggested, false);
+        }
+    }
+
+    /**
+     * Fill in what a shared link set: the postal code and level
+     * (the campaign, subject and language are picked up when they load)
+     */
+    function applyDeepLink() {
+        if (deepLink.postalCode) {
+            fields.postalCode.value = deepLink.postalCode;
+            handlePostalCodeBlur();
+        }
+        if (deepLink.level) {
+            levelSelect.value = deepLink.level;
+        }
+    }
+
+    // ============================================
+    // Remembered Details
+    // ============================================
+
+    /**
+     * Save the form and letter, for users who asked to be remembered
+     * They stay in this browser's localStorage and are never sent anywhere
+     */
+    function saveDraft() {
+        const values = {};
+        Object.entries(fields).forEach(([name, field]) => {
+            values[name] = field.value;
+        });
+
+        const letter = currentMp
+            ? { recipient: currentMp.email, subject: emailSubjectField.value, body: emailBodyField.value }
+            : savedLetter;
+
+        store.saveDraft({ fields: values, level: levelSelect.value, letter }, rememberMeCheckbox.checked);
+    }
+
+    /**
+     * Put back the form as the user left it, if they asked to be remembered
+     * The letter is put back when they look up the same recipient again
+     */
+    function restoreDraft() {
+        const draft = store.loadDraft();
+        if (!draft) {
+            return;
+        }
+
+        Object.entries(draft.fields).forEach(([name, value]) => {
+            if (fields[name]) {
+                fields[name].value = value;
+            }
+        });
+        if (draft.level) {
+            levelSelect.value = draft.level;
+        }
+        savedLetter = draft.letter;
+
+        rememberMeCheckbox.checked = true;
+        forgetMeBtn.classList.remove('hidden');
+    }
+
+    /**
+     * Start or stop remembering the user's details
+     */
+    function handleRememberMeChange() {
+        if (rememberMeCheckbox.checked) {
+            trackEvent('remember-me');
+            forgetMeBtn.classList.remove('hidden');
+            forgetFeedback.classList.add('hidden');
+            saveDraft();
+        } else {
+            forgetMe();
+        }
+    }
+
+    /**
+     * Forget everything this site saved on the device: the user's
+     * details, their letter and their language and webmail choices
+     */
+    function forgetMe() {
+        store.clear();
+
+        savedLetter = null;
+        rememberMeCheckbox.checked = false;
+        forgetMeBtn.classList.add('hidden');
+        forgetFeedback.classList.remove('hidden');
+    }
+
+    /**
+     * Handle field input for real-time validation clearing
+     */
+    function handleFieldInput(e) {
+        const field = e.target;
+        if (field.classList.contains('invalid')) {
+            clearFieldError(field);
+        }
+    }
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    /**
+     * Track event with GoatCounter (if loaded)
+     */
+    function trackEvent(eventName) {
+        if (window.goatcounter && window.goatcounter.count) {
+            window.goatcounter.count({
+                path: eventName,
+                event: true
+            });
+        }
+    }
+
+    function init() {
+        // Hide webmail on mobile (mailto works better with app chooser)
+        if (MailLinks.isMobile(navigator.userAgent)) {
+            webmail.style.display = 'none';
+        }
+        renderWebmailOptions();
+
+        // Pick the language before any text is shown
+        initLanguage();
+
+        // Prefill what a shared link set, then anything the user asked us
+        // to remember, which wins
+        applyDeepLink();
+        restoreDraft();
+
+        // Load the letter and CC list for this campaign
+        campaignReady = loadCampaign();
+        campaignReady.catch(error => {
+            console.error('Error loading campaign:', error);
+            showError(t('error.campaignLoad'));
+        });
+
+        // Form submission
+        form.addEventListener('submit', handleFormSubmit);
+
+        // Location lookup (only offered where the browser supports it)
+        if ('geolocation' in navigator) {
+            useLocationBtn.classList.remove('hidden');
+            useLocationBtn.addEventListener('click', function () {
+                trackEvent('click-use-location');
+                handleUseLocation();
+            });
+        }
+
+        // Manual MP search
+        mpSearchInput.addEventListener('input', handleSearchInput);
+
+        // Copy button
+        copyEmailBtn.addEventListener('click', handleCopyEmail);
+
+        // Optional CCs to the province's senators
+        senatorList.addEventListener('change', handleSenatorChange);
+
+        // Link for others to use the same campaign
+        shareCampaignBtn.addEventListener('click', handleShareCampaign);
+
+        // Reporting whether the representative replied
+        responseForm.addEventListener('change', handleRepliedChange);
+        responseForm.addEventListener('submit', handleResponseSubmit);
+
+        // Letter language, for interface languages letters aren't sent in
+        letterLanguageSelect.addEventListener('change', handleLetterLanguageChange);
+
+        // Track email button clicks
+        openEmailBtn.addEventListener('click', function() {
+            trackEvent('click-email-client');
+            markCurrentContacted();
+            recordLetterSent();
+        });
+        openWebmailBtn.addEventListener('click', function() {
+            trackEvent(`click-${webmailProvider}`);
+            markCurrentContacted();
+            recordLetterSent();
+        });
+        webmailProviderSelect.addEventListener('change', handleWebmailProviderChange);
+        printLetterBtn.addEventListener('click', function() {
+            trackEvent('click-print-letter');
+            handlePrintLetter();
+            markCurrentContacted();
+            recordLetterSent();
         });
         copyEmailBtn.addEventListener('click', function() {
             trackEvent('click-copy-email');
+            markCurrentContacted();
+            recordLetterSent();
+        });
+        downloadEmlBtn.addEventListener('click', function() {
+            trackEvent('click-download-eml');
+            handleDownloadEml();
+            markCurrentContacted();
+            recordLetterSent();
         });
 
         // Real-time validation clearing
@@ -668,17 +2013,26 @@ ${userData.city}, ${userData.province} ${userData.postalCode}`;
         });
 
         // Postal code formatting on blur
-        fields.postalCode.addEventListener('blur', function () {
-            const normalized = normalizePostalCode(this.value);
-            if (normalized.length === 6) {
-                // Format as A1A 1A1
-                this.value = normalized.substring(0, 3) + ' ' + normalized.substring(3);
-            }
-        });
+        fields.postalCode.addEventListener('blur', handlePostalCodeBlur);
+
+        // Offer the province the postal code is in
+        fields.province.addEventListener('change', suggestProvinceFromPostalCode);
+        provinceSuggestion.addEventListener('click', handleProvinceSuggestion);
 
         // Update mailto link when email subject or body changes
         emailSubjectField.addEventListener('input', updateEmailLinks);
         emailBodyField.addEventListener('input', updateEmailLinks);
+
+        // Remembered details, kept up to date as the user types
+        rememberMeCheckbox.addEventListener('change', handleRememberMeChange);
+        forgetMeBtn.addEventListener('click', function () {
+            trackEvent('forget-me');
+            forgetMe();
+        });
+        form.addEventListener('input', saveDraft);
+        form.addEventListener('change', saveDraft);
+        emailSubjectField.addEventListener('input', saveDraft);
+        emailBodyField.addEventListener('input', saveDraft);
     }
 
     // Initialize when DOM is ready
@@ -711,49 +2065,17 @@ ${userData.city}, ${userData.province} ${userData.postalCode}`;
             console.log(`Normalized: ${normalized}`);
 
             try {
-                const data = await fetchMpData(normalized);
-                const mp = selectFederalMp(data);
-
-                if (mp) {
-                    const email = mp.email || deriveEmailFromName(mp.name);
-                    console.log(`  MP Found: ${mp.name}`);
-                    console.log(`  Riding: ${mp.district_name || 'N/A'}`);
-                    console.log(`  Email: ${email}`);
-                    console.log(`  Status: PASS\n`);
-                } else {
-                    console.log(`  Status: FAIL - No MP found`);
-                    console.log(`  Raw data:`, data);
-                    console.log('\n');
-                }
+                const mp = await api.fetchMp({ postcode: normalized });
+                console.log(`  MP Found: ${mp.name}`);
+                console.log(`  Riding: ${mp.riding || 'N/A'}`);
+                console.log(`  Email: ${mp.email} (${mp.email_source})`);
+                console.log(`  Source: ${mp.source}`);
+                console.log(`  Status: PASS\n`);
             } catch (error) {
-                console.log(`  Status: FAIL - ${error.message}\n`);
+                console.log(`  Status: FAIL - ${error.code || ''} ${error.message}\n`);
             }
         }
 
         console.log('=== Test Complete ===');
     };
-
-    /**
-     * Test email derivation
-     * Run in browser console: testEmailDerivation()
-     */
-    window.testEmailDerivation = function () {
-        const testNames = [
-            'Justin Trudeau',
-            'Pierre Poilievre',
-            'Jagmeet Singh',
-            'Jean-Yves Duclos',
-            'Marie-Claude Bibeau',
-            'François-Philippe Champagne'
-        ];
-
-        console.log('=== Email Derivation Test ===\n');
-
-        testNames.forEach(name => {
-            const email = deriveEmailFromName(name);
-            console.log(`${name} => ${email}`);
-        });
-
-        console.log('\n=== Test Complete ===');
-    };
 })();
@@ -1,7 +1,44 @@
 /**
- * Select the federal MP from OpenNorth Represent API response.
- * Shared between main.js (inline copy) and tests.
+ * Select the federal MP (or provincial and municipal representatives)
+ * from OpenNorth Represent API response.
+ * Used by the API endpoints and tests.
  */
+
+// Levels of government, in display order
+const LEVELS = ['federal', 'provincial', 'municipal'];
+
+// Exact elected_office values (lowercase) for provincial representatives.
+// Matched exactly so e.g. "MPP" never matches "MP" (see the Doug Ford bug)
+const PROVINCIAL_OFFICES = ['mpp', 'mla', 'mna', 'mha'];
+
+// Exact elected_office values (lowercase) for municipal representatives
+const MUNICIPAL_OFFICES = [
+    'mayor',
+    'deputy mayor',
+    'councillor',
+    'regional councillor',
+    'city councillor',
+    'maire',
+    'mairesse',
+    'conseiller',
+    'conseillère'
+];
+
+/**
+ * Whether a representative is a federal MP (House of Commons)
+ */
+function isFederalMp(rep) {
+    const office = (rep.elected_office || '').toLowerCase();
+    const repSet = (rep.representative_set_name || '').toLowerCase();
+
+    return (
+        office === 'mp' ||
+        office.includes('member of parliament') ||
+        repSet.includes('house of commons') ||
+        repSet.includes('chambre des communes')
+    );
+}
+
 function selectFederalMp(data) {
     if (!data || !data.representatives_centroid) {
         return null;
@@ -10,19 +47,126 @@ function selectFederalMp(data) {
     const reps = data.representatives_centroid;
 
     // Look for federal MP (House of Commons)
-    const mp = reps.find(rep => {
-        const office = (rep.elected_office || '').toLowerCase();
-        const repSet = (rep.representative_set_name || '').toLowerCase();
-
-        return (
-            office === 'mp' ||
-            office.includes('member of parliament') ||
-            repSet.includes('house of commons') ||
-            repSet.includes('chambre des communes')
-        );
-    });
+    const mp = reps.find(isFederalMp);
 
     return mp || null;
 }
 
-module.exports = { selectFederalMp };
+/**
+ * Select every federal MP whose riding the postal code touches.
+ *
+ * OpenNorth returns the representatives for the riding containing the
+ * postal code's centroid in `representatives_centroid`, and those for every
+ * riding the postal code overlaps (per the postal code concordance) in
+ * `representatives_concordance`. The centroid match comes first; more than
+ * one result means the postal code straddles several ridings.
+ */
+function selectFederalMps(data) {
+    if (!data) {
+        return [];
+    }
+
+    const reps = [
+        ...(data.representatives_centroid || []),
+        ...(data.representatives_concordance || [])
+    ];
+
+    const seen = new Set();
+    return reps.filter(rep => {
+        if (!isFederalMp(rep)) {
+            return false;
+        }
+        const key = rep.district_name || rep.name;
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Whether a representative sits in a provincial or territorial legislature
+ */
+function isProvincialRep(rep) {
+    const office = (rep.elected_office || '').toLowerCase();
+    const repSet = (rep.representative_set_name || '').toLowerCase();
+
+    return (
+        PROVINCIAL_OFFICES.includes(office) ||
+        repSet.includes('legislative assembly') ||
+        repSet.includes('assemblée nationale') ||
+        repSet.includes('house of assembly')
+    );
+}
+
+/**
+ * Whether a representative sits on a municipal or regional council
+ */
+function isMunicipalRep(rep) {
+    const office = (rep.elected_office || '').toLowerCase();
+    const repSet = (rep.representative_set_name || '').toLowerCase();
+
+    return (
+        MUNICIPAL_OFFICES.includes(office) ||
+        repSet.includes('council') ||
+        repSet.includes('conseil')
+    );
+}
+
+/**
+ * Level of government a representative belongs to, or null if unknown
+ * Federal is checked first, so House of Commons members are never
+ * misclassified by the broader provincial/municipal rules
+ */
+function representativeLevel(rep) {
+    if (isFederalMp(rep)) {
+        return 'federal';
+    }
+    if (isProvincialRep(rep)) {
+        return 'provincial';
+    }
+    if (isMunicipalRep(rep)) {
+        return 'municipal';
+    }
+    return null;
+}
+
+/**
+ * Select the representatives for a level ('federal', 'provincial',
+ * 'municipal' or 'all') from the riding containing the postal code.
+ * Results are ordered federal, provincial, municipal.
+ */
+function selectRepresentatives(data, level) {
+    if (!data || !data.representatives_centroid) {
+        return [];
+    }
+
+    const levels = level === 'all' ? LEVELS : [level];
+    const seen = new Set();
+
+    return data.representatives_centroid
+        .map(rep => ({ rep, level: representativeLevel(rep) }))
+        .filter(entry => {
+            if (!levels.includes(entry.level)) {
+                return false;
+            }
+            const key = `${entry.rep.name}|${entry.rep.elected_office}`;
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        })
+        .sort((a, b) => LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level))
+        .map(entry => entry.rep);
+}
+
+module.exports = {
+    LEVELS,
+    selectFederalMp,
+    selectFederalMps,
+    selectRepresentatives,
+    representativeLevel,
+    isFederalMp
+};
@@ -0,0 +1,112 @@
+/**
+ * A letter laid out for printing and mailing: sender's address, date,
+ * recipient's address, subject and body with room for a signature.
+ * Used by the page (window.PrintLetter) and tests.
+ *
+ * Mail to MPs at the House of Commons needs no postage, so federal
+ * letters go to the MP's Hill office.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.PrintLetter = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Any MP can be reached here when OpenNorth lists no Hill office
+    const HOUSE_OF_COMMONS_ADDRESS = ['House of Commons', 'Ottawa ON  K1A 0A6'];
+
+    const DATE_LOCALES = { en: 'en-CA', fr: 'fr-CA' };
+
+    /**
+     * Split an OpenNorth postal address into lines
+     * e.g. "House of Commons\nOttawa ON  K1A 0A6"
+     */
+    function addressLines(postal) {
+        return postal.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    }
+
+    /**
+     * Address to mail a representative at: their legislature office
+     * (the Hill office for MPs), otherwise the House of Commons for MPs
+     * and any office with an address for others
+     * `record` is a normalized record (see lib/mp-record.js). Returns the
+     * address lines, or null when there is nowhere to send it.
+     */
+    function getMailingAddress(record, level) {
+        const offices = (record.offices || []).filter(office => office.postal);
+        const legislature = offices.find(office => office.type === 'legislature');
+
+        if (legislature) {
+            return addressLines(legislature.postal);
+        }
+        if (level === 'federal') {
+            return HOUSE_OF_COMMONS_ADDRESS.slice();
+        }
+        return offices.length ? addressLines(offices[0].postal) : null;
+    }
+
+    /**
+     * The sender's address block, from the form fields
+     */
+    function getSenderAddress(sender) {
+        const name = [sender.firstName, sender.lastName].filter(Boolean).join(' ');
+        const postalCode = sender.postalCode
+            ? `${sender.postalCode.substring(0, 3)} ${sender.postalCode.substring(3)}`
+            : '';
+        const locality = [sender.city, [sender.province, postalCode].filter(Boolean).join('  ')]
+            .filter(Boolean)
+            .join(' ');
+
+        return [name, sender.streetAddress, locality].filter(Boolean);
+    }
+
+    /**
+     * The date written out in the letter's language, e.g. "June 1, 2025"
+     */
+    function formatLetterDate(date, language) {
+        return new Intl.DateTimeFormat(DATE_LOCALES[language] || DATE_LOCALES.en, {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        }).format(date);
+    }
+
+    /**
+     * Split the body where the signature goes: before the signer's name
+     * in the closing (the last line that is just their name), or at the
+     * end when the user has removed it
+     * Returns { closing, signoff }: the text above and below the signature
+     */
+    function splitAtSignature(body, signerName) {
+        const lines = body.replace(/\s+$/, '').split(/\r?\n/);
+        const name = signerName.trim();
+        let index = -1;
+        for (let i = lines.length - 1; name && i >= 0; i--) {
+            if (lines[i].trim() === name) {
+                index = i;
+                break;
+            }
+        }
+
+        if (index === -1) {
+            return { closing: lines.join('\n'), signoff: name };
+        }
+        return {
+            closing: lines.slice(0, index).join('\n'),
+            signoff: lines.slice(index).join('\n')
+        };
+    }
+
+    return {
+        HOUSE_OF_COMMONS_ADDRESS,
+        getMailingAddress,
+        getSenderAddress,
+        formatLetterDate,
+        splitAtSignature
+    };
+});
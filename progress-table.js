@@ -0,0 +1,84 @@
+/**
+ * Filtering, sorting and CSV export for the progress page's riding table.
+ * Used by the page (window.ProgressTable) and tests.
+ *
+ * Rows are the `ridings` of /api/progress:
+ * { riding, province, mp, party, count }
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.ProgressTable = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Table and CSV columns, in order
+    const COLUMNS = ['riding', 'province', 'mp', 'party', 'count'];
+
+    /**
+     * Rows in a province and/or party (an empty filter matches every row)
+     * Filters: { province: 'ON', party: 'NDP' }
+     */
+    function filterRows(rows, filters = {}) {
+        return rows.filter(row =>
+            (!filters.province || row.province === filters.province) &&
+            (!filters.party || row.party === filters.party)
+        );
+    }
+
+    /**
+     * Rows sorted by a column, ties broken by riding name
+     * Missing values (ridings the roster doesn't list) sort last either way
+     */
+    function sortRows(rows, column = 'count', descending = false) {
+        const direction = descending ? -1 : 1;
+        const compare = (a, b) => typeof a === 'number' && typeof b === 'number'
+            ? a - b
+            : String(a).localeCompare(String(b));
+
+        return rows.slice().sort((a, b) => {
+            const missingA = a[column] === null || a[column] === undefined;
+            const missingB = b[column] === null || b[column] === undefined;
+            if (missingA !== missingB) {
+                return missingA ? 1 : -1;
+            }
+            const order = missingA ? 0 : compare(a[column], b[column]) * direction;
+            return order || compare(a.riding, b.riding);
+        });
+    }
+
+    /**
+     * The distinct values of a column, sorted, for the filter menus
+     */
+    function columnValues(rows, column) {
+        return [...new Set(rows.map(row => row[column]).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Quote a CSV field when needed, and defuse values a spreadsheet
+     * would run as a formula
+     */
+    function csvField(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * CSV (RFC 4180, CRLF line endings) of the rows
+     * `header` labels the columns; defaults to the column names
+     */
+    function toCsv(rows, header = COLUMNS) {
+        return [header, ...rows.map(row => COLUMNS.map(column => row[column]))]
+            .map(fields => fields.map(csvField).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    return { COLUMNS, filterRows, sortRows, columnValues, toCsv };
+});
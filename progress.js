@@ -0,0 +1,315 @@
+/**
+ * Campaign progress page (progress.html)
+ * Letters sent to each federal riding's MP in the campaign named in the URL
+ * (?campaign=..., the default campaign otherwise), with province and party
+ * filters, sortable columns and a CSV export for organizers
+ */
+
+(function () {
+    'use strict';
+
+    // Message key of each column's heading
+    const COLUMN_LABELS = {
+        riding: 'progress.riding',
+        province: 'progress.provinceColumn',
+        mp: 'progress.mp',
+        party: 'progress.party',
+        count: 'progress.letters'
+    };
+
+    const languageSwitcher = document.getElementById('languageSwitcher');
+    const progressTotal = document.getElementById('progressTotal');
+    const provinceFilter = document.getElementById('provinceFilter');
+    const partyFilter = document.getElementById('partyFilter');
+    const progressShowing = document.getElementById('progressShowing');
+    const exportCsvBtn = document.getElementById('exportCsvBtn');
+    const progressStatus = document.getElementById('progressStatus');
+    const progressTable = document.getElementById('progressTable');
+    const progressRows = document.getElementById('progressRows');
+    const backLink = document.getElementById('backLink');
+
+    // Same ?campaign=... links as the letter page (see deep-link.js)
+    const campaignName = DeepLink.parseDeepLink(window.location.search, window.location.hash).campaign || '';
+
+    let language = I18n.DEFAULT_LANGUAGE;
+
+    // Shared with the letter page, so a language chosen on one applies to both
+    const store = DraftStorage.createDraftStorage();
+
+    // This site's API (see api-client.js), with errors in the interface language
+    const api = ApiClient.createApiClient({ language: () => language });
+
+    // Ridings from /api/progress, and the total letters sent
+    let rows = [];
+    let total = 0;
+    let loaded = false;
+
+    // Fewest letters first, to show where outreach is needed
+    let sortColumn = 'count';
+    let sortDescending = false;
+
+    /**
+     * Translate a message key into the current language
+     */
+    function t(key, params) {
+        return I18n.translate(language, key, params);
+    }
+
+    /**
+     * Track event with GoatCounter (if loaded)
+     */
+    function trackEvent(eventName) {
+        if (window.goatcounter && window.goatcounter.count) {
+            window.goatcounter.count({
+                path: eventName,
+                event: true
+            });
+        }
+    }
+
+    // ============================================
+    // Table
+    // ============================================
+
+    /**
+     * The rows matching the filters, in the chosen order
+     */
+    function visibleRows() {
+        const filtered = ProgressTable.filterRows(rows, {
+            province: provinceFilter.value,
+            party: partyFilter.value
+        });
+        return ProgressTable.sortRows(filtered, sortColumn, sortDescending);
+    }
+
+    /**
+     * Fill a filter menu with "All" and the column's values, keeping the
+     * current choice
+     */
+    function renderFilterOptions(select, values, label) {
+        const selected = select.value;
+        select.textContent = '';
+
+        [''].concat(values).forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value ? label(value) : t('progress.all');
+            select.appendChild(option);
+        });
+        select.value = values.includes(selected) ? selected : '';
+    }
+
+    /**
+     * Offer the provinces and parties in the table as filters
+     */
+    function renderFilters() {
+        renderFilterOptions(provinceFilter, ProgressTable.columnValues(rows, 'province'), code => t(`province.${code}`));
+        renderFilterOptions(partyFilter, ProgressTable.columnValues(rows, 'party'), party => party);
+    }
+
+    /**
+     * Render the table body, sort indicators and totals
+     */
+    function renderTable() {
+        if (!loaded) {
+            return;
+        }
+
+        const visible = visibleRows();
+        progressRows.textContent = '';
+
+        visible.forEach(row => {
+            const tr = document.createElement('tr');
+            const cells = [
+                row.riding,
+                row.province || '',
+                row.mp,
+                row.party || '',
+                row.count.toLocaleString(language)
+            ];
+            cells.forEach((text, index) => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                if (index === 1 && row.province) {
+                    td.title = t(`province.${row.province}`);
+                }
+                if (index === 4) {
+                    td.className = 'progress-count';
+                }
+                tr.appendChild(td);
+            });
+            progressRows.appendChild(tr);
+        });
+
+        progressTable.querySelectorAll('th').forEach(th => {
+            if (th.dataset.column === sortColumn) {
+                th.setAttribute('aria-sort', sortDescending ? 'descending' : 'ascending');
+            } else {
+                th.removeAttribute('aria-sort');
+            }
+        });
+
+        progressTotal.textContent = total === 1
+            ? t('progress.totalOne')
+            : t('progress.totalMany', { count: total.toLocaleString(language) });
+        progressShowing.textContent = visible.length
+            ? t('progress.showing', { shown: visible.length, total: rows.length })
+            : t('progress.empty');
+        exportCsvBtn.disabled = visible.length === 0;
+    }
+
+    /**
+     * Sort by a column, or reverse the order when it's already sorted by it
+     */
+    function handleSort(column) {
+        if (column === sortColumn) {
+            sortDescending = !sortDescending;
+        } else {
+            sortColumn = column;
+            sortDescending = false;
+        }
+        trackEvent(`sort-progress-${column}`);
+        renderTable();
+    }
+
+    /**
+     * Download the filtered rows, in the order shown, as a CSV file
+     * Starts with a byte order mark so spreadsheets read accents as UTF-8
+     */
+    function handleExportCsv() {
+        const header = ProgressTable.COLUMNS.map(column => t(COLUMN_LABELS[column]));
+        const csv = '\ufeff' + ProgressTable.toCsv(visibleRows(), header);
+
+        const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'campaign-progress.csv';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        trackEvent('export-progress-csv');
+    }
+
+    /**
+     * Fetch the ridings and show them
+     */
+    async function loadProgress() {
+        try {
+            const data = await api.fetchProgress(campaignName);
+            rows = data.ridings;
+            total = data.total;
+            loaded = true;
+
+            progressStatus.classList.add('hidden');
+            progressTotal.classList.remove('hidden');
+            progressTable.classList.remove('hidden');
+            renderFilters();
+            renderTable();
+        } catch (error) {
+            console.error('Progress error:', error);
+            progressStatus.dataset.i18n = 'progress.loadFailed';
+            progressStatus.textContent = t('progress.loadFailed');
+        }
+    }
+
+    // ============================================
+    // Language
+    // ============================================
+
+    /**
+     * Apply the current language to the page
+     * Static text is marked up with data-i18n attributes in progress.html
+     */
+    function applyTranslations() {
+        document.documentElement.lang = language;
+        document.documentElement.dir = I18n.direction(language);
+
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+        document.querySelectorAll('[data-i18n-content]').forEach(element => {
+            element.content = t(element.dataset.i18nContent);
+        });
+        document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+        });
+
+        languageSwitcher.querySelectorAll('button').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.lang === language));
+        });
+
+        renderFilters();
+        renderTable();
+    }
+
+    /**
+     * Switch language, and remember the choice
+     */
+    function setLanguage(newLanguage) {
+        store.saveLanguage(newLanguage);
+
+        if (newLanguage !== language) {
+            language = newLanguage;
+            applyTranslations();
+        }
+    }
+
+    /**
+     * Render a button per language, each labelled in its own language
+     */
+    function renderLanguageSwitcher() {
+        Object.entries(I18n.LANGUAGES).forEach(([code, name]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn-language';
+            button.lang = code;
+            button.textContent = name;
+            button.addEventListener('click', function () {
+                trackEvent(`language-${code}`);
+                setLanguage(code);
+            });
+            languageSwitcher.appendChild(button);
+        });
+    }
+
+    /**
+     * Pick the initial language: a remembered choice, otherwise the
+     * browser's preferred languages
+     */
+    function initLanguage() {
+        language = I18n.detectLanguage({
+            chosen: store.loadLanguage(),
+            preferred: navigator.languages || [navigator.language]
+        });
+
+        renderLanguageSwitcher();
+        applyTranslations();
+    }
+
+    function init() {
+        initLanguage();
+
+        // Back to the letter page for the same campaign
+        backLink.href = DeepLink.buildShareLink(new URL('./', window.location.href).href, { campaign: campaignName });
+
+        progressTable.querySelectorAll('th button').forEach(button => {
+            button.addEventListener('click', function () {
+                handleSort(button.closest('th').dataset.column);
+            });
+        });
+        provinceFilter.addEventListener('change', renderTable);
+        partyFilter.addEventListener('change', renderTable);
+        exportCsvBtn.addEventListener('click', handleExportCsv);
+
+        loadProgress();
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
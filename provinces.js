@@ -0,0 +1,133 @@
+/**
+ * Which province or territory a postal code or federal riding is in, and
+ * whether the city a user entered is the one a lookup found.
+ * Used by the page (window.Provinces), the embeddable widget, lib/mp-record.js,
+ * lib/senators.js and tests.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.Provinces = api;
+    }
+})(typeof document !== 'undefined' && document.currentScript && document.currentScript.dataset.namespace
+    ? self[document.currentScript.dataset.namespace]
+    : typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Province and territory codes, in the order they're listed
+    const PROVINCES = ['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT'];
+
+    // First letter of a postal code. X is shared by the Northwest
+    // Territories and Nunavut.
+    const POSTAL_PREFIX_PROVINCES = {
+        A: ['NL'],
+        B: ['NS'],
+        C: ['PE'],
+        E: ['NB'],
+        G: ['QC'],
+        H: ['QC'],
+        J: ['QC'],
+        K: ['ON'],
+        L: ['ON'],
+        M: ['ON'],
+        N: ['ON'],
+        P: ['ON'],
+        R: ['MB'],
+        S: ['SK'],
+        T: ['AB'],
+        V: ['BC'],
+        X: ['NT', 'NU'],
+        Y: ['YT']
+    };
+
+    // Statistics Canada (SGC) province codes, the first two digits of a
+    // federal electoral district code (e.g. 35075 is in Ontario)
+    const SGC_PROVINCE_CODES = {
+        10: 'NL',
+        11: 'PE',
+        12: 'NS',
+        13: 'NB',
+        24: 'QC',
+        35: 'ON',
+        46: 'MB',
+        47: 'SK',
+        48: 'AB',
+        59: 'BC',
+        60: 'YT',
+        61: 'NT',
+        62: 'NU'
+    };
+
+    /**
+     * Provinces a postal code can be in (usually one), or an empty list
+     */
+    function provincesForPostalCode(code) {
+        const first = String(code || '').trim().charAt(0).toUpperCase();
+        return (POSTAL_PREFIX_PROVINCES[first] || []).slice();
+    }
+
+    /**
+     * Whether a postal code can be in a province
+     * True when either is missing, or the postal code is unknown, so
+     * only real mismatches are reported
+     */
+    function postalCodeMatchesProvince(code, province) {
+        const provinces = provincesForPostalCode(code);
+        return !province || provinces.length === 0 || provinces.includes(province);
+    }
+
+    /**
+     * A city name reduced for comparison: no accents, case, punctuation or
+     * spaces, and "St"/"Ste" spelled out ("St. John's" is "saintjohns")
+     */
+    function cityKey(city) {
+        return String(city || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\bste\b\.?/g, 'sainte')
+            .replace(/\bst\b\.?/g, 'saint')
+            .replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Whether the city entered is the one a lookup found
+     * True when either is missing, so only real mismatches are reported
+     */
+    function cityMatches(entered, found) {
+        const enteredKey = cityKey(entered);
+        const foundKey = cityKey(found);
+        return !enteredKey || !foundKey || enteredKey === foundKey;
+    }
+
+    /**
+     * Province of a federal electoral district code, or null
+     */
+    function provinceForFedCode(code) {
+        const match = /^(\d{2})\d{3}$/.exec(String(code || ''));
+        return match ? SGC_PROVINCE_CODES[match[1]] || null : null;
+    }
+
+    /**
+     * Province of a federal riding from its OpenNorth boundary URL,
+     * e.g. /boundaries/federal-electoral-districts-2023/35075/
+     * Null for other boundaries, whose ids aren't SGC codes
+     */
+    function provinceFromBoundaryUrl(url) {
+        const match = /\/boundaries\/federal-electoral-districts[^/]*\/(\d{5})\/?$/.exec(String(url || ''));
+        return match ? provinceForFedCode(match[1]) : null;
+    }
+
+    return {
+        PROVINCES,
+        POSTAL_PREFIX_PROVINCES,
+        provincesForPostalCode,
+        postalCodeMatchesProvince,
+        cityMatches,
+        provinceForFedCode,
+        provinceFromBoundaryUrl
+    };
+});
@@ -0,0 +1,264 @@
+/**
+ * Regenerate the bundled MP roster and FSA index (data/mp-roster.json and
+ * data/fsa-ridings.json) that the offline fallback, the riding checks and
+ * the progress page use when OpenNorth is down, and the table of MPs whose
+ * address doesn't follow the parl.gc.ca pattern (data/mp-email-overrides.json).
+ *
+ * Usage: node scripts/update-mp-data.js <fsa-feds.csv>
+ *
+ * The ridings, sitting MPs and their published addresses come from the
+ * OpenNorth Represent API (REPRESENT_API_BASE to use another host), which
+ * takes them from ourcommons.ca. An MP gets an override when the published
+ * address isn't what lib/mp-email.js would guess from the name.
+ *
+ * Postal FSAs aren't published per riding, so the FSA index is built from
+ * a CSV of `fsa,fed` rows: each forward sortation area and the 5-digit code
+ * of a federal riding it overlaps, e.g. from overlaying Statistics Canada's
+ * FSA and federal electoral district boundary files. An FSA may have
+ * several rows.
+ *
+ * Nothing is written unless the roster is complete (every riding of the
+ * current representation order, in every province and territory) and
+ * every riding is reachable from some FSA. The files get today's date as
+ * their version.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { isFederalMp } = require('../mp-select.js');
+const { normalizeSearchText } = require('../lib/mp-search.js');
+const { PROVINCES } = require('../lib/senators.js');
+const { provinceFromBoundaryUrl } = require('../provinces.js');
+const { deriveEmail } = require('../lib/mp-email.js');
+
+const REPRESENT_API_BASE = process.env.REPRESENT_API_BASE || 'https://represent.opennorth.ca';
+
+// Seats in the House of Commons under the 2023 Representation Order
+const RIDING_COUNT = 343;
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const ROSTER_FILE = path.join(DATA_DIR, 'mp-roster.json');
+const FSA_FILE = path.join(DATA_DIR, 'fsa-ridings.json');
+const OVERRIDES_FILE = path.join(DATA_DIR, 'mp-email-overrides.json');
+
+const ROSTER_DESCRIPTION = 'Federal ridings and sitting MPs from the OpenNorth Represent API, used when it is unavailable. Regenerate with scripts/update-mp-data.js after an election or by-election.';
+const FSA_DESCRIPTION = 'Forward sortation area (first three postal code characters) to candidate riding ids in mp-roster.json. FSAs that span several ridings list every candidate. Regenerate with scripts/update-mp-data.js.';
+
+/**
+ * Riding id from its name: "St. John's East" is st-johns-east
+ */
+function ridingId(name) {
+    return normalizeSearchText(name).replace(/ /g, '-');
+}
+
+/**
+ * 5-digit federal riding code from an OpenNorth boundary URL, or null
+ */
+function fedCode(rep) {
+    const match = /\/(\d{5})\/?$/.exec((rep.related || {}).boundary_url || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Build the roster from OpenNorth House of Commons representatives
+ * Ridings are sorted by province, then name
+ */
+function buildRoster(reps, version) {
+    const ridings = reps.filter(isFederalMp).map(rep => ({
+        id: ridingId(rep.district_name),
+        fed: fedCode(rep),
+        name: rep.district_name,
+        province: provinceFromBoundaryUrl((rep.related || {}).boundary_url),
+        mp: {
+            name: rep.name,
+            party: rep.party_name || '',
+            email: (rep.email || '').toLowerCase()
+        }
+    }));
+    ridings.sort((a, b) => (a.province || '').localeCompare(b.province || '') || a.name.localeCompare(b.name));
+
+    return { version, description: ROSTER_DESCRIPTION, ridings };
+}
+
+/**
+ * MPs whose published address isn't the one guessed from their name,
+ * sorted by name, keeping the table's description
+ */
+function buildOverrides(reps, version, description) {
+    const overrides = reps
+        .filter(rep => isFederalMp(rep) && /@parl\.gc\.ca$/i.test(rep.email || ''))
+        .map(rep => ({ name: rep.name, email: rep.email.toLowerCase() }))
+        .filter(entry => {
+            const derived = deriveEmail(entry.name, { overrides: [] });
+            return !derived || derived.email !== entry.email;
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    return { version, description, overrides };
+}
+
+/**
+ * Problems that make a roster unfit to ship, empty when it is complete
+ */
+function rosterProblems(roster) {
+    const problems = [];
+    if (roster.ridings.length !== RIDING_COUNT) {
+        problems.push(`${roster.ridings.length} ridings instead of ${RIDING_COUNT}`);
+    }
+
+    const provinces = new Set(roster.ridings.map(riding => riding.province));
+    PROVINCES.filter(province => !provinces.has(province)).forEach(province => {
+        problems.push(`no ridings in ${province}`);
+    });
+
+    const ids = new Set();
+    roster.ridings.forEach(riding => {
+        if (!riding.province) {
+            problems.push(`no province for ${riding.name}`);
+        }
+        if (ids.has(riding.id)) {
+            problems.push(`duplicate riding id ${riding.id}`);
+        }
+        ids.add(riding.id);
+    });
+    return problems;
+}
+
+/**
+ * Build the FSA index from the text of an `fsa,fed` CSV
+ * Throws on rows that don't parse or name a riding the roster doesn't have
+ */
+function buildFsaIndex(csv, roster, version) {
+    const idsByFed = new Map(roster.ridings.map(riding => [riding.fed, riding.id]));
+    const fsa = {};
+
+    csv.split(/\r?\n/).forEach((line, index) => {
+        const [code = '', fed = ''] = line.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+        if (!code || (index === 0 && !/^\d{5}$/.test(fed))) {
+            // Blank line or header
+            return;
+        }
+        if (!/^[A-Z]\d[A-Z]$/.test(code.toUpperCase()) || !idsByFed.has(fed)) {
+            throw new Error(`Line ${index + 1}: unknown FSA or riding "${line}"`);
+        }
+
+        const ids = fsa[code.toUpperCase()] = fsa[code.toUpperCase()] || [];
+        if (!ids.includes(idsByFed.get(fed))) {
+            ids.push(idsByFed.get(fed));
+        }
+    });
+
+    const sorted = {};
+    Object.keys(fsa).sort().forEach(code => {
+        sorted[code] = fsa[code];
+    });
+    return { version, description: FSA_DESCRIPTION, fsa: sorted };
+}
+
+/**
+ * Roster ridings that no FSA leads to
+ */
+function unreachableRidings(roster, fsaIndex) {
+    const reachable = new Set(Object.values(fsaIndex.fsa).flat());
+    return roster.ridings.filter(riding => !reachable.has(riding.id)).map(riding => riding.id);
+}
+
+/**
+ * JSON on one line, spaced like the files in data/
+ */
+function inlineJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(inlineJson).join(', ')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${inlineJson(item)}`);
+        return `{ ${entries.join(', ')} }`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * A data file: top-level fields on their own lines, and one line per
+ * entry of `listKey` (an array or object)
+ */
+function formatDataFile(data, listKey) {
+    const list = data[listKey];
+    const entries = Array.isArray(list)
+        ? list.map(inlineJson)
+        : Object.entries(list).map(([key, item]) => `${JSON.stringify(key)}: ${inlineJson(item)}`);
+    const open = Array.isArray(list) ? '[' : '{';
+    const close = Array.isArray(list) ? ']' : '}';
+
+    const fields = Object.keys(data)
+        .filter(key => key !== listKey)
+        .map(key => `    ${JSON.stringify(key)}: ${inlineJson(data[key])},`);
+
+    if (entries.length === 0) {
+        return ['{', ...fields, `    ${JSON.stringify(listKey)}: ${open}${close}`, '}', ''].join('\n');
+    }
+    return [
+        '{',
+        ...fields,
+        `    ${JSON.stringify(listKey)}: ${open}`,
+        entries.map(entry => `        ${entry}`).join(',\n'),
+        `    ${close}`,
+        '}',
+        ''
+    ].join('\n');
+}
+
+async function main() {
+    const csvFile = process.argv[2];
+    if (!csvFile) {
+        console.error('Usage: node scripts/update-mp-data.js <fsa-feds.csv>');
+        process.exit(1);
+    }
+
+    const response = await fetch(`${REPRESENT_API_BASE}/representatives/house-of-commons/?limit=1000`, {
+        headers: { 'Accept': 'application/json', 'User-Agent': 'Canada-Supports-Iran/1.0' }
+    });
+    if (!response.ok) {
+        throw new Error(`OpenNorth API error: ${response.status} ${response.statusText}`);
+    }
+
+    const version = new Date().toISOString().slice(0, 10);
+    const reps = (await response.json()).objects || [];
+    const roster = buildRoster(reps, version);
+    const problems = rosterProblems(roster);
+    if (problems.length) {
+        throw new Error(`Incomplete roster, nothing written: ${problems.join('; ')}`);
+    }
+
+    const fsaIndex = buildFsaIndex(fs.readFileSync(csvFile, 'utf8'), roster, version);
+    const unreachable = unreachableRidings(roster, fsaIndex);
+    if (unreachable.length) {
+        throw new Error(`No FSA leads to ${unreachable.join(', ')}, nothing written`);
+    }
+
+    const { description } = JSON.parse(fs.readFileSync(OVERRIDES_FILE, 'utf8'));
+    const overrides = buildOverrides(reps, version, description);
+
+    fs.writeFileSync(ROSTER_FILE, formatDataFile(roster, 'ridings'));
+    fs.writeFileSync(FSA_FILE, formatDataFile(fsaIndex, 'fsa'));
+    fs.writeFileSync(OVERRIDES_FILE, formatDataFile(overrides, 'overrides'));
+    console.log(`Wrote ${roster.ridings.length} ridings, ${Object.keys(fsaIndex.fsa).length} FSAs and ${overrides.overrides.length} email overrides (version ${version})`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    RIDING_COUNT,
+    ridingId,
+    buildRoster,
+    buildOverrides,
+    rosterProblems,
+    buildFsaIndex,
+    unreachableRidings,
+    formatDataFile
+};
@@ -0,0 +1,214 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    createActionCounter,
+    createMemoryStore,
+    createFileStore,
+    createKvStore,
+    normalizeRiding
+} = require('../lib/action-counts.js');
+const { createKvClient } = require('../lib/kv.js');
+const { createResponse } = require('./helpers/response.js');
+const { createFakeKv } = require('./helpers/kv.js');
+const { createHouseOfCommonsUpstream } = require('./helpers/house-of-commons.js');
+
+describe('normalizeRiding', () => {
+    it('tidies whitespace', () => {
+        assert.equal(normalizeRiding('  Ottawa   Centre '), 'Ottawa Centre');
+        assert.equal(normalizeRiding('Laurier—Sainte-Marie'), 'Laurier—Sainte-Marie');
+    });
+
+    it('rejects anything that isn\'t a plausible riding name', () => {
+        assert.equal(normalizeRiding(''), null);
+        assert.equal(normalizeRiding(42), null);
+        assert.equal(normalizeRiding('x'.repeat(101)), null);
+        assert.equal(normalizeRiding('<script>'), null);
+        assert.equal(normalizeRiding('a\u0000b'), null);
+    });
+});
+
+describe('createActionCounter', () => {
+    it('validates the level and riding', () => {
+        const counter = createActionCounter({ store: createMemoryStore() });
+        assert.deepEqual(counter.parse('default', 'federal', ' Ottawa Centre'), {
+            ok: true,
+            key: 'default:federal:Ottawa Centre',
+            campaign: 'default',
+            level: 'federal',
+            riding: 'Ottawa Centre'
+        });
+        assert.equal(counter.parse('default', 'senate', 'Ottawa Centre').code, 'INVALID_LEVEL');
+        // Provincial and municipal ridings can't be checked against a roster
+        assert.equal(counter.parse('default', 'provincial', 'Ottawa Centre').code, 'INVALID_LEVEL');
+        assert.equal(counter.parse('default', 'municipal', 'Ward 1').code, 'INVALID_LEVEL');
+        assert.equal(counter.parse('default', 'federal', '').code, 'INVALID_RIDING');
+    });
+
+    it('counts letters per riding across days', async () => {
+        let time = Date.UTC(2025, 5, 1, 12);
+        const store = createMemoryStore();
+        const counter = createActionCounter({ store, now: () => time });
+
+        assert.equal(await counter.count('default:federal:Ottawa Centre'), 0);
+        assert.equal(await counter.record('default:federal:Ottawa Centre'), 1);
+        assert.equal(await counter.record('default:federal:Ottawa Centre'), 2);
+        time += 24 * 60 * 60 * 1000;
+        assert.equal(await counter.record('default:federal:Ottawa Centre'), 3);
+        assert.equal(await counter.record('default:provincial:Ottawa Centre'), 1);
+
+        assert.deepEqual(await store.get('default:federal:Ottawa Centre'), { '2025-06-01': 2, '2025-06-02': 1 });
+    });
+
+    it('totals every riding in a campaign at a level', async () => {
+        const counter = createActionCounter({ store: createMemoryStore() });
+        await counter.record('default:federal:Ottawa Centre');
+        await counter.record('default:federal:Ottawa Centre');
+        await counter.record('default:federal:Vancouver East');
+        await counter.record('vigil:federal:Ottawa Centre');
+
+        assert.deepEqual(await counter.totals('default', 'federal'), { 'Ottawa Centre': 2, 'Vancouver East': 1 });
+        assert.deepEqual(await counter.totals('vigil', 'federal'), { 'Ottawa Centre': 1 });
+        assert.deepEqual(await counter.totals('default', 'municipal'), {});
+    });
+});
+
+describe('createFileStore', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'action-counts-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('keeps counts in a JSON file without losing concurrent increments', async () => {
+        const file = path.join(dir, 'counts.json');
+        const store = createFileStore(file);
+
+        assert.deepEqual(await store.get('federal:Ottawa Centre'), {});
+        await Promise.all([1, 2, 3].map(() => store.increment('federal:Ottawa Centre', '2025-06-01')));
+
+        assert.deepEqual(await store.get('federal:Ottawa Centre'), { '2025-06-01': 3 });
+        assert.deepEqual(await createFileStore(file).get('federal:Ottawa Centre'), { '2025-06-01': 3 });
+        assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), {
+            counts: { 'federal:Ottawa Centre': { '2025-06-01': 3 } }
+        });
+        assert.deepEqual(await store.all(), { 'federal:Ottawa Centre': { '2025-06-01': 3 } });
+    });
+});
+
+describe('createKvStore', () => {
+    it('keeps counts in the shared KV store', async () => {
+        const kv = createFakeKv();
+        const store = createKvStore({ client: createKvClient({ url: 'https://kv.example.com', token: 't', fetch: kv.fetch }) });
+
+        assert.deepEqual(await store.get('default:federal:Ottawa Centre'), {});
+        assert.deepEqual(await store.all(), {});
+        await store.increment('default:federal:Ottawa Centre', '2025-06-01');
+        await store.increment('default:federal:Ottawa Centre', '2025-06-01');
+        await store.increment('default:federal:Ottawa Centre', '2025-06-02');
+        await store.increment('vigil:federal:Vancouver East', '2025-06-01');
+
+        assert.deepEqual(await store.get('default:federal:Ottawa Centre'), { '2025-06-01': 2, '2025-06-02': 1 });
+        assert.deepEqual(await store.all(), {
+            'default:federal:Ottawa Centre': { '2025-06-01': 2, '2025-06-02': 1 },
+            'vigil:federal:Vancouver East': { '2025-06-01': 1 }
+        });
+        assert.deepEqual([...kv.data.keys()].sort(), [
+            'action-counts:default:federal:Ottawa Centre',
+            'action-counts:keys',
+            'action-counts:vigil:federal:Vancouver East'
+        ]);
+    });
+});
+
+describe('/api/count', () => {
+    const upstream = createHouseOfCommonsUpstream([
+        { name: 'Yasir Naqvi', elected_office: 'MP', representative_set_name: 'House of Commons', district_name: 'Ottawa Centre' },
+        { name: 'Steven Guilbeault', elected_office: 'MP', representative_set_name: 'House of Commons', district_name: 'Laurier—Sainte-Marie' }
+    ]);
+    let dir;
+    let handler;
+    let ipCounter = 0;
+
+    async function request(method, query, body) {
+        // Fresh IP per request so the rate limiter stays out of the way
+        const res = createResponse();
+        await handler({ method, query, body, headers: { 'x-forwarded-for': `198.51.100.${++ipCounter}` } }, res);
+        return res;
+    }
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-count-'));
+        process.env.ACTION_COUNT_FILE = path.join(dir, 'counts.json');
+        await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+        process.env.REPRESENT_API_BASE = `http://127.0.0.1:${upstream.address().port}`;
+        handler = (await import('../api/count.js')).default;
+    });
+
+    after(() => {
+        upstream.closeAllConnections();
+        upstream.close();
+        delete process.env.ACTION_COUNT_FILE;
+        delete process.env.REPRESENT_API_BASE;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('records letters and reports the count', async () => {
+        let res = await request('POST', {}, { level: 'federal', riding: 'Ottawa Centre' });
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body, { campaign: 'default', level: 'federal', riding: 'Ottawa Centre', count: 1 });
+
+        // sendBeacon-style text bodies work too
+        res = await request('POST', {}, JSON.stringify({ level: 'federal', riding: 'Ottawa Centre' }));
+        assert.equal(res.body.count, 2);
+
+        res = await request('GET', { level: 'federal', riding: 'Ottawa Centre' });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.count, 2);
+    });
+
+    it('only counts federal ridings on the roster, under the roster\'s spelling', async () => {
+        let res = await request('POST', {}, { level: 'federal', riding: 'laurier sainte-marie' });
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body, { campaign: 'default', level: 'federal', riding: 'Laurier—Sainte-Marie', count: 1 });
+
+        res = await request('POST', {}, { level: 'federal', riding: 'Buy cheap pills' });
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'INVALID_RIDING');
+        assert.equal((await request('GET', { level: 'federal', riding: 'Atlantis' })).statusCode, 400);
+        assert.ok(!fs.readFileSync(process.env.ACTION_COUNT_FILE, 'utf8').includes('pills'));
+    });
+
+    it('counts each campaign separately', async () => {
+        let res = await request('GET', { campaign: 'default', level: 'federal', riding: 'Ottawa Centre' });
+        assert.equal(res.body.count, 2);
+
+        res = await request('POST', {}, { campaign: 'missing', level: 'federal', riding: 'Ottawa Centre' });
+        assert.equal(res.statusCode, 404);
+        assert.equal(res.body.code, 'CAMPAIGN_NOT_FOUND');
+        assert.equal((await request('GET', { campaign: '../x', level: 'federal', riding: 'Ottawa Centre' })).body.code, 'INVALID_CAMPAIGN');
+    });
+
+    it('stores only the campaign, level, riding and day', async () => {
+        await request('POST', {}, { level: 'federal', riding: 'Ottawa Centre', postcode: 'K1A0A6', name: 'Jane Doe' });
+        const stored = fs.readFileSync(process.env.ACTION_COUNT_FILE, 'utf8');
+        assert.ok(stored.includes('default:federal:Ottawa Centre'));
+        assert.ok(!stored.includes('K1A0A6'));
+        assert.ok(!stored.includes('Jane'));
+        assert.ok(!stored.includes('198.51.100'));
+    });
+
+    it('rejects invalid input and methods', async () => {
+        assert.equal((await request('POST', {}, { level: 'federal' })).body.code, 'INVALID_RIDING');
+        assert.equal((await request('GET', { level: 'galactic', riding: 'Ottawa Centre' })).body.code, 'INVALID_LEVEL');
+        assert.equal((await request('POST', {}, { level: 'municipal', riding: 'Ward 1' })).body.code, 'INVALID_LEVEL');
+        assert.equal((await request('POST', {}, 'not json')).statusCode, 400);
+        assert.equal((await request('DELETE', {})).statusCode, 405);
+    });
+});
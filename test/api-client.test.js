@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApiClient } = require('../api-client.js');
+
+/**
+ * Fake fetch answering with canned responses, recording the URLs requested
+ */
+function createFetch(responses) {
+    const urls = [];
+    const inits = [];
+    const fetch = async (url, init) => {
+        urls.push(url);
+        inits.push(init);
+        const { status = 200, body } = responses.shift();
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            json: async () => {
+                if (body === undefined) {
+                    throw new SyntaxError('Unexpected end of JSON input');
+                }
+                return body;
+            }
+        };
+    };
+    return { fetch, urls, inits };
+}
+
+describe('createApiClient', () => {
+    it('calls this site\'s API by default', async () => {
+        const { fetch, urls } = createFetch([{ body: { name: 'Yasir Naqvi' } }]);
+        const api = createApiClient({ fetch });
+
+        assert.deepEqual(await api.fetchMp({ postcode: 'K1A0A6' }), { name: 'Yasir Naqvi' });
+        assert.deepEqual(urls, ['/api/mp?postcode=K1A0A6']);
+    });
+
+    it('calls another site when given a base', async () => {
+        const { fetch, urls } = createFetch([{ body: {} }, { body: {} }, { body: {} }]);
+        const api = createApiClient({ base: 'https://example.org/', fetch });
+
+        await api.fetchRepresentatives({ lat: 45.4, lng: -75.7 }, 'provincial');
+        await api.fetchCampaign('');
+        await api.searchMps('naqvi');
+        assert.deepEqual(urls, [
+            'https://example.org/api/representatives?lat=45.4&lng=-75.7&level=provincial',
+            'https://example.org/api/campaign',
+            'https://example.org/api/search?q=naqvi'
+        ]);
+    });
+
+    it('throws translated errors carrying the code and candidates', async () => {
+        const candidates = [{ name: 'Jenny Kwan' }, { name: 'Hedy Fry' }];
+        const { fetch } = createFetch([
+            { status: 409, body: { code: 'MULTIPLE_RIDINGS', error: 'English message', candidates } },
+            { status: 500 }
+        ]);
+        const api = createApiClient({ fetch, language: () => 'fr' });
+
+        await assert.rejects(api.fetchMp({ postcode: 'V6B1A1' }), error => {
+            assert.equal(error.code, 'MULTIPLE_RIDINGS');
+            assert.equal(error.status, 409);
+            assert.equal(error.message, 'Cette position se trouve dans plus d\'une circonscription.');
+            assert.deepEqual(error.candidates, candidates);
+            return true;
+        });
+        await assert.rejects(api.fetchMp({ postcode: 'V6B1A1' }), {
+            message: 'Failed to fetch MP data (status 500)'
+        });
+    });
+
+    it('caches senators per province', async () => {
+        const senators = [{ name: 'Paula Simons' }];
+        const { fetch, urls } = createFetch([{ body: { province: 'AB', senators } }]);
+        const api = createApiClient({ fetch });
+
+        assert.deepEqual(await api.fetchSenators('AB'), senators);
+        assert.deepEqual(await api.fetchSenators('AB'), senators);
+        assert.equal(urls.length, 1);
+    });
+
+    it('reads and records letter counts', async () => {
+        const { fetch, urls, inits } = createFetch([
+            { body: { level: 'federal', riding: 'Ottawa Centre', count: 4 } },
+            { body: { level: 'federal', riding: 'Ottawa Centre', count: 5 } }
+        ]);
+        const api = createApiClient({ fetch });
+
+        assert.equal((await api.fetchActionCount('vigil', 'federal', 'Ottawa Centre')).count, 4);
+        assert.equal((await api.recordAction('vigil', 'federal', 'Ottawa Centre')).count, 5);
+
+        assert.deepEqual(urls, ['/api/count?campaign=vigil&level=federal&riding=Ottawa+Centre', '/api/count']);
+        assert.equal(inits[0], undefined);
+        assert.equal(inits[1].method, 'POST');
+        assert.equal(inits[1].keepalive, true);
+        assert.deepEqual(JSON.parse(inits[1].body), { campaign: 'vigil', level: 'federal', riding: 'Ottawa Centre' });
+    });
+
+    it('reads and reports representative replies', async () => {
+        const { fetch, urls, inits } = createFetch([
+            { body: { reports: 0, replied: 0, responseRate: null } },
+            { body: { reports: 1, replied: 1, responseRate: 1 } }
+        ]);
+        const api = createApiClient({ fetch });
+
+        assert.equal((await api.fetchResponses('federal', 'Ottawa Centre', 'Yasir Naqvi')).reports, 0);
+        assert.equal((await api.reportResponse('federal', 'Ottawa Centre', 'Yasir Naqvi', { replied: true })).responseRate, 1);
+
+        assert.deepEqual(urls, [
+            '/api/responses?level=federal&riding=Ottawa+Centre&name=Yasir+Naqvi',
+            '/api/responses'
+        ]);
+        assert.equal(inits[1].method, 'POST');
+        assert.deepEqual(JSON.parse(inits[1].body), {
+            level: 'federal', riding: 'Ottawa Centre', name: 'Yasir Naqvi', replied: true
+        });
+    });
+
+    it('fetches the campaign progress', async () => {
+        const { fetch, urls } = createFetch([
+            { body: { campaign: 'default', source: 'live', total: 0, ridings: [] } },
+            { body: { campaign: 'vigil', source: 'live', total: 0, ridings: [] } }
+        ]);
+        const api = createApiClient({ fetch });
+
+        assert.equal((await api.fetchProgress()).total, 0);
+        assert.equal((await api.fetchProgress('vigil')).total, 0);
+        assert.deepEqual(urls, ['/api/progress', '/api/progress?campaign=vigil']);
+    });
+});
@@ -0,0 +1,162 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { createResponse } = require('./helpers/response.js');
+
+/**
+ * Local fake OpenNorth upstream serving canned postcode payloads.
+ * Unknown postcodes return 404; H2X postcodes return 500 so the handler
+ * falls back to the bundled roster.
+ */
+const PAYLOADS = {
+    K1A0A6: {
+        city: 'Ottawa',
+        representatives_centroid: [
+            { name: 'Provincial Person', elected_office: 'MPP', representative_set_name: 'Legislative Assembly of Ontario' },
+            { name: 'Yasir Naqvi', elected_office: 'MP', representative_set_name: 'House of Commons', district_name: 'Ottawa Centre', party_name: 'Liberal', email: 'yasir.naqvi@parl.gc.ca' }
+        ]
+    },
+    V6B1A1: {
+        city: 'Vancouver',
+        representatives_centroid: [
+            { name: 'Jenny Kwan', elected_office: 'MP', representative_set_name: 'House of Commons', district_name: 'Vancouver East' }
+        ],
+        representatives_concordance: [
+            { name: 'Jenny Kwan', elected_office: 'MP', representative_set_name: 'House of Commons', district_name: 'Vancouver East' },
+            { name: 'Hedy Fry', elected_office: 'MP', representative_set_name: 'House of Commons', district_name: 'Vancouver Centre' }
+        ]
+    },
+    M1M1M1: {
+        representatives_centroid: [
+            { name: 'Some Councillor', elected_office: 'Councillor', representative_set_name: 'Toronto City Council' }
+        ]
+    }
+};
+
+// Representatives for the point lookup (/representatives/?point=lat,lng)
+const POINT_OBJECTS = [
+    { name: 'Yasir Naqvi', elected_office: 'MP', representative_set_name: 'House of Commons', district_name: 'Ottawa Centre' }
+];
+
+function createFakeUpstream() {
+    return http.createServer((req, res) => {
+        if (req.url.startsWith('/representatives/?point=45.4215,-75.6972')) {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ objects: POINT_OBJECTS }));
+        }
+
+        const code = req.url.split('/')[2];
+        if (code.startsWith('H2X')) {
+            res.writeHead(500);
+            return res.end();
+        }
+        if (!PAYLOADS[code]) {
+            res.writeHead(404);
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(PAYLOADS[code]));
+    });
+}
+
+/**
+ * Minimal Vercel-style request/response pair
+ */
+function createRequest(query, ip = '203.0.113.1') {
+    return { method: 'GET', query, headers: { 'x-forwarded-for': ip } };
+}
+
+describe('/api/mp', () => {
+    const server = createFakeUpstream();
+    let handler;
+    let ipCounter = 0;
+
+    async function request(query) {
+        // Fresh IP per request so the rate limiter stays out of the way
+        const res = createResponse();
+        await handler(createRequest(query, `203.0.113.${++ipCounter}`), res);
+        return res;
+    }
+
+    before(async () => {
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        process.env.REPRESENT_API_BASE = `http://127.0.0.1:${server.address().port}`;
+        handler = (await import('../api/mp.js')).default;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    it('returns a normalized MP record', async () => {
+        const res = await request({ postcode: 'k1a 0a6' });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.name, 'Yasir Naqvi');
+        assert.equal(res.body.riding, 'Ottawa Centre');
+        assert.equal(res.body.email_source, 'api');
+        assert.equal(res.body.source, 'live');
+        assert.equal(res.body.city, 'Ottawa');
+    });
+
+    it('rejects invalid postal codes', async () => {
+        const res = await request({ postcode: 'nope' });
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'INVALID_POSTCODE');
+    });
+
+    it('returns NOT_FOUND for unknown postal codes', async () => {
+        const res = await request({ postcode: 'X0X0X0' });
+        assert.equal(res.statusCode, 404);
+        assert.equal(res.body.code, 'NOT_FOUND');
+    });
+
+    it('returns NO_MP when the payload has no federal MP', async () => {
+        const res = await request({ postcode: 'M1M1M1' });
+        assert.equal(res.statusCode, 404);
+        assert.equal(res.body.code, 'NO_MP');
+    });
+
+    it('returns MULTIPLE_RIDINGS when the postal code straddles ridings', async () => {
+        const res = await request({ postcode: 'V6B1A1' });
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.code, 'MULTIPLE_RIDINGS');
+        assert.deepEqual(
+            res.body.candidates.map(candidate => [candidate.name, candidate.riding, candidate.source]),
+            [['Jenny Kwan', 'Vancouver East', 'live'], ['Hedy Fry', 'Vancouver Centre', 'live']]
+        );
+        assert.deepEqual(res.body.candidates.map(candidate => candidate.city), ['Vancouver', 'Vancouver']);
+    });
+
+    it('returns MULTIPLE_RIDINGS with candidates from the fallback roster', async () => {
+        const res = await request({ postcode: 'H2X1Y4' });
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.code, 'MULTIPLE_RIDINGS');
+        assert.ok(res.body.candidates.length > 1);
+        for (const candidate of res.body.candidates) {
+            assert.equal(candidate.source, 'fallback');
+            assert.ok(candidate.riding);
+            assert.equal(candidate.city, null);
+        }
+    });
+
+    it('looks up by latitude and longitude', async () => {
+        const res = await request({ lat: '45.42153', lng: '-75.69719' });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.name, 'Yasir Naqvi');
+        assert.equal(res.body.riding, 'Ottawa Centre');
+        assert.equal(res.body.city, null);
+    });
+
+    it('rejects coordinates outside Canada', async () => {
+        const res = await request({ lat: '40.7128', lng: '-74.0060' });
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'OUTSIDE_CANADA');
+    });
+
+    it('rejects non-GET requests', async () => {
+        const res = createResponse();
+        await handler({ method: 'POST', query: {}, headers: {} }, res);
+        assert.equal(res.statusCode, 405);
+    });
+});
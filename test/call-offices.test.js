@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { phoneHref, getPhoneOffices } = require('../call-offices.js');
+
+describe('phoneHref', () => {
+    it('writes North American numbers in international form', () => {
+        assert.equal(phoneHref('1 613 992-6361'), 'tel:+16139926361');
+        assert.equal(phoneHref('(604) 775-5800'), 'tel:+16047755800');
+        assert.equal(phoneHref('613.992.6361'), 'tel:+16139926361');
+    });
+
+    it('keeps extensions', () => {
+        assert.equal(phoneHref('(416) 392-2489 ext. 12'), 'tel:+14163922489;ext=12');
+        assert.equal(phoneHref('416-392-2489 x7'), 'tel:+14163922489;ext=7');
+    });
+
+    it('rejects anything else', () => {
+        assert.equal(phoneHref(null), null);
+        assert.equal(phoneHref(''), null);
+        assert.equal(phoneHref('992-6361'), null);
+        assert.equal(phoneHref('+44 20 7219 3000'), null);
+    });
+});
+
+describe('getPhoneOffices', () => {
+    const record = {
+        offices: [
+            { type: 'constituency', postal: '2070 Commercial Drive\nVancouver BC  V5N 4B2', tel: '1 604 775-5800', fax: null },
+            { type: 'constituency', postal: 'No phone', tel: null, fax: null },
+            { type: 'legislature', postal: 'House of Commons\nOttawa ON  K1A 0A6', tel: '1 613 992-6361', fax: '1 613 992-0000' }
+        ]
+    };
+
+    it('lists offices with a phone number, Hill office first', () => {
+        assert.deepEqual(getPhoneOffices(record), [
+            { type: 'legislature', tel: '1 613 992-6361', href: 'tel:+16139926361', locality: 'Ottawa ON  K1A 0A6' },
+            { type: 'constituency', tel: '1 604 775-5800', href: 'tel:+16047755800', locality: 'Vancouver BC  V5N 4B2' }
+        ]);
+    });
+
+    it('copes with missing offices and addresses', () => {
+        assert.deepEqual(getPhoneOffices({}), []);
+        assert.deepEqual(getPhoneOffices({ offices: [{ type: null, postal: null, tel: '613-992-6361' }] }), [
+            { type: null, tel: '613-992-6361', href: 'tel:+16139926361', locality: null }
+        ]);
+    });
+});
@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    getSalutation,
+    isInGoverningParty,
+    getLetter,
+    writeLetter,
+    writeCallScript,
+    getCcEmails
+} = require('../campaign-letter.js');
+
+const campaign = {
+    governingParty: 'Liberal',
+    subject: 'Subject',
+    body: '{{salutation}},\n\n{{opening}}\n\n{{ask}}\n\n{{firstName}} {{lastName}}',
+    paragraphs: {
+        federal: {
+            opening: '{{#variants}}First opening.{{or}}Second opening in {{riding}}.{{/variants}}',
+            ask: '{{#if inGoverningParty}}You are in government. {{/if}}Please act.'
+        },
+        provincial: { opening: 'Provincial opening.', ask: 'Provincial ask.' }
+    },
+    cc: [{ label: 'PMO', email: 'pm@pm.gc.ca' }, { label: 'Minister', email: 'minister@example.org' }],
+    ccLevels: ['federal'],
+    translations: {
+        fr: { subject: 'Objet', body: '{{salutation}},\n\n{{opening}}', paragraphs: { federal: { opening: 'Ouverture.', ask: 'Demande.' } } }
+    }
+};
+
+const mp = { name: 'Yasir Naqvi', riding: 'Ottawa Centre', party: 'Liberal Party of Canada', level: 'federal', office: 'MP' };
+const sender = { firstName: 'Sam', lastName: 'Doe' };
+
+describe('getSalutation', () => {
+    it('addresses representatives by name, in the letter language', () => {
+        assert.equal(getSalutation(mp, 'en'), 'Dear Yasir Naqvi');
+        assert.equal(getSalutation(mp, 'fr'), 'Bonjour Yasir Naqvi');
+    });
+
+    it('uses titles for mayors, councillors and senators', () => {
+        assert.equal(getSalutation({ name: 'Olivia Chow', level: 'municipal', office: 'Mayor' }, 'en'), 'Dear Mayor Olivia Chow');
+        assert.equal(getSalutation({ level: 'senate', senators: [{ name: 'Paula Simons' }] }, 'en'), 'Dear Senator Paula Simons');
+        assert.equal(getSalutation({ level: 'senate', senators: [{ name: 'A' }, { name: 'B' }] }, 'en'), 'Dear Senators');
+    });
+});
+
+describe('isInGoverningParty', () => {
+    it('matches federal MPs of the governing party', () => {
+        assert.equal(isInGoverningParty(campaign, mp), true);
+        assert.equal(isInGoverningParty(campaign, { ...mp, party: 'NDP' }), false);
+        assert.equal(isInGoverningParty(campaign, { ...mp, level: 'provincial' }), false);
+        assert.equal(isInGoverningParty({ ...campaign, governingParty: undefined }, mp), false);
+    });
+});
+
+describe('writeLetter', () => {
+    it('fills the paragraphs, then the letter', () => {
+        assert.equal(
+            writeLetter(campaign, mp, sender, 'en', () => 0.9),
+            'Dear Yasir Naqvi,\n\nSecond opening in Ottawa Centre.\n\nYou are in government. Please act.\n\nSam Doe'
+        );
+    });
+
+    it('uses the level\'s paragraphs, falling back to federal', () => {
+        const mpp = { name: 'Some Person', level: 'provincial', office: 'MPP' };
+        assert.match(writeLetter(campaign, mpp, sender, 'en'), /Provincial opening\.\n\nProvincial ask\./);
+        assert.match(writeLetter(campaign, { ...mpp, level: 'municipal' }, sender, 'en', () => 0), /First opening\./);
+    });
+
+    it('writes translated letters', () => {
+        assert.equal(getLetter(campaign, 'fr').subject, 'Objet');
+        assert.equal(getLetter(campaign, 'de'), campaign);
+        assert.equal(writeLetter(campaign, mp, sender, 'fr'), 'Bonjour Yasir Naqvi,\n\nOuverture.');
+    });
+});
+
+describe('writeCallScript', () => {
+    const withScript = {
+        ...campaign,
+        callScript: 'Hi, I am {{firstName}} {{lastName}} from {{riding}}.{{#if inGoverningParty}} You are in government.{{/if}}',
+        translations: {
+            fr: { ...campaign.translations.fr, callScript: 'Bonjour, je suis {{firstName}} de {{riding}}.' }
+        }
+    };
+
+    it('fills in the sender and representative', () => {
+        assert.equal(
+            writeCallScript(withScript, mp, sender, 'en'),
+            'Hi, I am Sam Doe from Ottawa Centre. You are in government.'
+        );
+    });
+
+    it('uses the translation, falling back to the untranslated script', () => {
+        assert.equal(writeCallScript(withScript, mp, sender, 'fr'), 'Bonjour, je suis Sam de Ottawa Centre.');
+        assert.ok(writeCallScript(withScript, mp, sender, 'fa').startsWith('Hi, I am Sam'));
+    });
+
+    it('is empty when the campaign has no script', () => {
+        assert.equal(writeCallScript(campaign, mp, sender, 'en'), '');
+    });
+});
+
+describe('getCcEmails', () => {
+    it('CCs the levels the campaign asks for', () => {
+        assert.equal(getCcEmails(campaign, 'federal'), 'pm@pm.gc.ca,minister@example.org');
+        assert.equal(getCcEmails(campaign, 'municipal'), '');
+    });
+});
@@ -0,0 +1,198 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    validateCampaign,
+    isCampaignActive,
+    loadCampaigns,
+    findCampaign,
+    getCampaign
+} = require('../lib/campaign.js');
+
+const schema = require('../campaigns/schema.json');
+
+const campaign = {
+    title: 'Test campaign',
+    active: true,
+    subject: 'Subject',
+    body: '{{salutation}},\n\n{{opening}}\n\n{{ask}}',
+    paragraphs: { federal: { opening: 'Opening.', ask: 'Ask.' } },
+    cc: [{ label: 'PMO', email: 'pm@pm.gc.ca' }],
+    ccLevels: ['federal']
+};
+
+describe('validateCampaign', () => {
+    it('accepts a valid campaign', () => {
+        assert.deepEqual(validateCampaign(campaign, schema), []);
+    });
+
+    it('reports missing and unknown fields', () => {
+        const { subject, ...noSubject } = campaign;
+        assert.deepEqual(validateCampaign({ ...noSubject, colour: 'red' }, schema), [
+            'campaign.subject is required',
+            'campaign.colour is not allowed'
+        ]);
+    });
+
+    it('checks nested types, formats and enums', () => {
+        const errors = validateCampaign({
+            ...campaign,
+            active: 'yes',
+            startDate: '2025-13-45',
+            paragraphs: { federal: { opening: 'Opening.' } },
+            cc: [{ label: 'PMO', email: 'not-an-email' }],
+            ccLevels: ['federal', 'school-board']
+        }, schema);
+
+        assert.deepEqual(errors, [
+            'campaign.active must be of type boolean',
+            'campaign.paragraphs.federal.ask is required',
+            'campaign.cc[0].email must be a valid email',
+            'campaign.ccLevels[1] must be one of: federal, provincial, municipal, senate',
+            'campaign.startDate must be a valid date'
+        ]);
+    });
+
+    it('rejects an end date before the start date', () => {
+        assert.deepEqual(
+            validateCampaign({ ...campaign, startDate: '2025-06-01', endDate: '2025-05-01' }, schema),
+            ['campaign.endDate must not be before campaign.startDate']
+        );
+    });
+
+    it('reports template syntax errors', () => {
+        assert.deepEqual(
+            validateCampaign({ ...campaign, body: '{{#if party}}Hello' }, schema),
+            ['campaign.body: Missing {{/if}} (at character 18)']
+        );
+    });
+
+    it('checks call scripts', () => {
+        assert.deepEqual(validateCampaign({ ...campaign, callScript: 'Hello, I am {{firstName}}.' }, schema), []);
+        assert.deepEqual(
+            validateCampaign({ ...campaign, callScript: '{{/if}}' }, schema),
+            ['campaign.callScript: Unexpected {{/if}} (at character 0)']
+        );
+    });
+
+    it('checks translated letters', () => {
+        const translations = {
+            fr: { subject: 'Objet', body: '{{or}}', paragraphs: { federal: { opening: 'Ouverture.', ask: 'Demande.' } } }
+        };
+        assert.deepEqual(
+            validateCampaign({ ...campaign, translations }, schema),
+            ['campaign.translations.fr.body: Unexpected {{or}} (at character 0)']
+        );
+        assert.deepEqual(
+            validateCampaign({ ...campaign, translations: { de: translations.fr } }, schema),
+            ['campaign.translations.de is not allowed']
+        );
+    });
+
+    it('requires translations to have the same variants as the letter', () => {
+        const withVariants = {
+            ...campaign,
+            body: '{{#variants}}Hello{{or}}Hi{{/variants}} {{salutation}},\n\n{{opening}}\n\n{{ask}}'
+        };
+        const fa = { subject: 'موضوع', body: '{{salutation}}،\n\n{{opening}}\n\n{{ask}}', paragraphs: { federal: { opening: 'آغاز.', ask: 'درخواست.' } } };
+
+        assert.deepEqual(
+            validateCampaign({ ...withVariants, translations: { fa } }, schema),
+            ['campaign.translations.fa.body: {{#variants}} options must match the letter (2), not (none)']
+        );
+        assert.deepEqual(
+            validateCampaign({ ...withVariants, translations: { fa: { ...fa, body: `{{#variants}}سلام{{or}}درود{{/variants}} ${fa.body}` } } }, schema),
+            []
+        );
+    });
+});
+
+describe('isCampaignActive', () => {
+    const now = Date.parse('2025-06-15T12:00:00Z');
+
+    it('respects the active flag', () => {
+        assert.equal(isCampaignActive(campaign, now), true);
+        assert.equal(isCampaignActive({ ...campaign, active: false }, now), false);
+    });
+
+    it('treats start and end dates as inclusive', () => {
+        assert.equal(isCampaignActive({ ...campaign, startDate: '2025-06-15', endDate: '2025-06-15' }, now), true);
+        assert.equal(isCampaignActive({ ...campaign, startDate: '2025-06-16' }, now), false);
+        assert.equal(isCampaignActive({ ...campaign, endDate: '2025-06-14' }, now), false);
+    });
+});
+
+describe('loadCampaigns', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'campaigns-'));
+        fs.copyFileSync(path.join(__dirname, '..', 'campaigns', 'schema.json'), path.join(dir, 'schema.json'));
+        fs.writeFileSync(path.join(dir, 'spring.json'), JSON.stringify({ $schema: './schema.json', ...campaign }));
+        fs.writeFileSync(path.join(dir, 'broken.json'), '{ not json');
+        fs.writeFileSync(path.join(dir, 'invalid.json'), JSON.stringify({ title: 'Missing everything' }));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('loads valid campaigns and skips invalid ones', (t) => {
+        t.mock.method(console, 'error', () => {});
+
+        const campaigns = loadCampaigns(dir);
+        assert.deepEqual([...campaigns.keys()], ['spring']);
+        assert.equal(campaigns.get('spring').name, 'spring');
+        assert.equal('$schema' in campaigns.get('spring'), false);
+        assert.equal(console.error.mock.callCount(), 2);
+    });
+
+    it('loads every bundled campaign, including the default', () => {
+        const files = fs.readdirSync(path.join(__dirname, '..', 'campaigns'))
+            .filter(file => file.endsWith('.json') && file !== 'schema.json');
+
+        const campaigns = loadCampaigns();
+        assert.equal(campaigns.size, files.length);
+        assert.ok(campaigns.has('default'));
+    });
+});
+
+describe('getCampaign', () => {
+    const now = Date.parse('2025-06-15T12:00:00Z');
+    const campaigns = new Map([
+        ['default', { name: 'default', ...campaign }],
+        ['ended', { name: 'ended', ...campaign, endDate: '2025-01-01' }]
+    ]);
+
+    it('returns the default campaign when no name is given', () => {
+        const result = getCampaign(campaigns, undefined, now);
+        assert.equal(result.ok, true);
+        assert.equal(result.campaign.name, 'default');
+    });
+
+    it('rejects unsafe names', () => {
+        const result = getCampaign(campaigns, '../package', now);
+        assert.equal(result.status, 400);
+        assert.equal(result.code, 'INVALID_CAMPAIGN');
+    });
+
+    it('reports unknown and finished campaigns', () => {
+        assert.equal(getCampaign(campaigns, 'missing', now).code, 'CAMPAIGN_NOT_FOUND');
+
+        const ended = getCampaign(campaigns, 'ended', now);
+        assert.equal(ended.status, 410);
+        assert.equal(ended.code, 'CAMPAIGN_INACTIVE');
+    });
+});
+
+describe('findCampaign', () => {
+    const campaigns = new Map([['ended', { name: 'ended', ...campaign, endDate: '2025-01-01' }]]);
+
+    it('finds campaigns whether or not they are running', () => {
+        assert.equal(findCampaign(campaigns, 'ended').campaign.name, 'ended');
+        assert.equal(findCampaign(campaigns, 'missing').code, 'CAMPAIGN_NOT_FOUND');
+        assert.equal(findCampaign(campaigns, '../package').code, 'INVALID_CAMPAIGN');
+    });
+});
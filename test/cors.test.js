@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { handleCors } = require('../lib/cors.js');
+const { createResponse } = require('./helpers/response.js');
+
+describe('handleCors', () => {
+    it('allows any origin on normal requests and lets the handler continue', () => {
+        const res = createResponse();
+        assert.equal(handleCors({ method: 'GET', headers: {} }, res), false);
+        assert.equal(res.headers['Access-Control-Allow-Origin'], '*');
+        assert.match(res.headers['Access-Control-Expose-Headers'], /X-RateLimit-Remaining/);
+        assert.equal(res.statusCode, null);
+    });
+
+    it('answers preflight requests', () => {
+        const res = createResponse();
+        const req = { method: 'OPTIONS', headers: { 'access-control-request-headers': 'content-type' } };
+
+        assert.equal(handleCors(req, res), true);
+        assert.equal(res.statusCode, 204);
+        assert.equal(res.ended, true);
+        assert.equal(res.headers['Access-Control-Allow-Methods'], 'GET, OPTIONS');
+        assert.equal(res.headers['Access-Control-Allow-Headers'], 'content-type');
+    });
+
+    it('keeps writes same-origin', () => {
+        const write = origin => {
+            const res = createResponse();
+            const headers = { host: 'example.org', ...(origin ? { origin } : {}) };
+            return { handled: handleCors({ method: 'POST', headers }, res), res };
+        };
+
+        let { handled, res } = write('https://partner.example.com');
+        assert.equal(handled, true);
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.body.code, 'CROSS_ORIGIN_WRITE');
+        assert.equal(write('null').res.statusCode, 403);
+
+        ({ handled, res } = write('https://example.org'));
+        assert.equal(handled, false);
+        assert.equal(res.statusCode, null);
+        assert.equal(write(null).handled, false);
+
+        // Reads stay open to every origin
+        res = createResponse();
+        assert.equal(handleCors({ method: 'GET', headers: { host: 'example.org', origin: 'https://partner.example.com' } }, res), false);
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { LEVELS, parseDeepLink, buildShareLink } = require('../deep-link.js');
+
+describe('LEVELS', () => {
+    it('matches the level menu on the page', () => {
+        const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+        const menu = /<select id="level"[^>]*>([\s\S]*?)<\/select>/.exec(html)[1];
+        const options = [...menu.matchAll(/<option value="(\w+)"/g)].map(match => match[1]);
+        assert.deepEqual(options, LEVELS);
+    });
+});
+
+describe('parseDeepLink', () => {
+    it('reads the campaign, subject, postal code, level and language', () => {
+        assert.deepEqual(
+            parseDeepLink('?campaign=vigil&subject=Stand%20with%20Iran&postcode=k1a%200a6&level=all&lang=fr', ''),
+            { campaign: 'vigil', subject: 'Stand with Iran', postalCode: 'K1A0A6', level: 'all', language: 'fr' }
+        );
+    });
+
+    it('reads the hash too, which wins over the query string', () => {
+        assert.deepEqual(
+            parseDeepLink('?campaign=vigil&subject=One', '#subject=Two&postcode=H2X1Y4'),
+            { campaign: 'vigil', subject: 'Two', postalCode: 'H2X1Y4' }
+        );
+    });
+
+    it('drops invalid values', () => {
+        assert.deepEqual(
+            parseDeepLink('?postcode=12345&level=senate&lang=french&subject=%20%20', ''),
+            {}
+        );
+    });
+
+    it('keeps the subject to one line of limited length', () => {
+        const { subject } = parseDeepLink(`?subject=${encodeURIComponent('Line one\nLine two ' + 'x'.repeat(300))}`, '');
+        assert.ok(subject.startsWith('Line one Line two x'));
+        assert.equal(subject.length, 200);
+    });
+
+    it('never reads personal details', () => {
+        assert.deepEqual(
+            parseDeepLink('?firstName=Jane&lastName=Doe&email=jane%40example.com&streetAddress=1%20Main%20St', ''),
+            {}
+        );
+    });
+
+    it('returns nothing for an empty link', () => {
+        assert.deepEqual(parseDeepLink('', ''), {});
+        assert.deepEqual(parseDeepLink(undefined, undefined), {});
+    });
+});
+
+describe('buildShareLink', () => {
+    it('builds a link that parses back to the same settings', () => {
+        const link = buildShareLink('https://example.org/', {
+            campaign: 'vigil',
+            subject: 'Stand with Iran',
+            level: 'provincial',
+            language: 'fa'
+        });
+        assert.equal(link, 'https://example.org/?campaign=vigil&subject=Stand%20with%20Iran&level=provincial&lang=fa');
+
+        const url = new URL(link);
+        assert.deepEqual(parseDeepLink(url.search, url.hash), {
+            campaign: 'vigil',
+            subject: 'Stand with Iran',
+            level: 'provincial',
+            language: 'fa'
+        });
+    });
+
+    it('leaves out the default campaign and federal level', () => {
+        assert.equal(
+            buildShareLink('https://example.org/', { campaign: 'default', level: 'federal' }),
+            'https://example.org/'
+        );
+    });
+
+    it('replaces the query string and hash of the page it is built from', () => {
+        assert.equal(
+            buildShareLink('https://example.org/?postcode=K1A0A6#postcode=K1A0A6', { campaign: 'vigil' }),
+            'https://example.org/?campaign=vigil'
+        );
+    });
+
+    it('never includes the postal code or personal details', () => {
+        const link = buildShareLink('https://example.org/', {
+            campaign: 'vigil',
+            postalCode: 'K1A0A6',
+            firstName: 'Jane',
+            streetAddress: '1 Main St',
+            email: 'jane@example.com'
+        });
+        assert.equal(link, 'https://example.org/?campaign=vigil');
+    });
+});
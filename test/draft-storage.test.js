@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    STORAGE_KEYS,
+    serializeDraft,
+    parseDraft,
+    createDraftStorage
+} = require('../draft-storage.js');
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function createStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        items,
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: key => { items.delete(key); }
+    };
+}
+
+const draft = {
+    fields: { firstName: 'Jane', postalCode: 'K1A 0A6' },
+    level: 'federal',
+    letter: { recipient: 'yasir.naqvi@parl.gc.ca', subject: 'Iran', body: 'Dear MP' }
+};
+
+describe('parseDraft', () => {
+    it('reads back a serialized draft', () => {
+        assert.deepEqual(parseDraft(serializeDraft(draft)), draft);
+        assert.deepEqual(parseDraft(serializeDraft({ fields: { email: 'jane@example.com' } })), {
+            fields: { email: 'jane@example.com' },
+            level: '',
+            letter: null
+        });
+    });
+
+    it('drops malformed drafts and values', () => {
+        assert.equal(parseDraft(null), null);
+        assert.equal(parseDraft('not json'), null);
+        assert.equal(parseDraft('42'), null);
+        assert.deepEqual(parseDraft(JSON.stringify({ fields: { firstName: 7, city: 'Ottawa' }, level: 3, letter: { body: null } })), {
+            fields: { city: 'Ottawa' },
+            level: '',
+            letter: null
+        });
+    });
+});
+
+describe('createDraftStorage', () => {
+    it('stores nothing until the user opts in', () => {
+        const storage = createStorage();
+        const store = createDraftStorage({ storage });
+
+        store.saveDraft(draft, false);
+        assert.equal(storage.items.size, 0);
+        assert.equal(store.loadDraft(), null);
+
+        store.saveDraft(draft, true);
+        assert.deepEqual([...storage.items.keys()], [STORAGE_KEYS.draft]);
+        assert.deepEqual(store.loadDraft(), draft);
+    });
+
+    it('remembers the language and webmail provider', () => {
+        const store = createDraftStorage({ storage: createStorage() });
+        assert.equal(store.loadLanguage(), null);
+
+        store.saveLanguage('fr');
+        store.saveWebmailProvider('outlook');
+        assert.equal(store.loadLanguage(), 'fr');
+        assert.equal(store.loadWebmailProvider(), 'outlook');
+    });
+
+    it('forgets every key the site stores', () => {
+        const storage = createStorage({ unrelated: 'kept' });
+        const store = createDraftStorage({ storage });
+        store.saveDraft(draft, true);
+        store.saveLanguage('fa');
+        store.saveWebmailProvider('yahoo');
+        assert.deepEqual([...storage.items.keys()].sort(), ['draft', 'language', 'unrelated', 'webmailProvider']);
+
+        store.clear();
+        assert.deepEqual([...storage.items.keys()], ['unrelated']);
+        assert.equal(store.loadDraft(), null);
+        assert.equal(store.loadLanguage(), null);
+        assert.equal(store.loadWebmailProvider(), null);
+    });
+
+    it('carries on when storage is unavailable', () => {
+        const blocked = () => { throw new Error('SecurityError'); };
+        const store = createDraftStorage({ storage: { getItem: blocked, setItem: blocked, removeItem: blocked } });
+
+        store.saveDraft(draft, true);
+        store.saveLanguage('fr');
+        store.clear();
+        assert.equal(store.loadDraft(), null);
+        assert.equal(store.loadLanguage(), null);
+    });
+});
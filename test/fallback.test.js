@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFallbackLookup } = require('../lib/fallback.js');
+const { selectFederalMp } = require('../mp-select.js');
+const roster = require('../data/mp-roster.json');
+const fsaIndex = require('../data/fsa-ridings.json');
+const { rosterProblems, unreachableRidings } = require('../scripts/update-mp-data.js');
+
+const TEST_ROSTER = {
+    version: 'test',
+    ridings: [
+        { id: 'a', name: 'Riding A', province: 'ON', mp: { name: 'Alice Able', party: 'Liberal', email: 'alice.able@parl.gc.ca' } },
+        { id: 'b', name: 'Riding B', province: 'ON', mp: { name: 'Bob Baker', party: 'NDP' } }
+    ]
+};
+
+const TEST_INDEX = {
+    version: 'test',
+    fsa: {
+        K1A: ['a'],
+        K2B: ['a', 'b'],
+        K3C: ['missing']
+    }
+};
+
+describe('createFallbackLookup', () => {
+    const fallback = createFallbackLookup(TEST_ROSTER, TEST_INDEX);
+
+    it('returns null for unknown FSAs', () => {
+        assert.equal(fallback.lookup('X0X0X0'), null);
+    });
+
+    it('returns null when the FSA only maps to unknown ridings', () => {
+        assert.equal(fallback.lookup('K3C1A1'), null);
+    });
+
+    it('returns a single riding marked as fallback', () => {
+        const data = fallback.lookup('K1A0A6');
+        assert.equal(data.source, 'fallback');
+        assert.equal(data.fallback_version, 'test');
+        assert.deepEqual(data.candidate_ridings, [{ id: 'a', name: 'Riding A', province: 'ON' }]);
+        assert.equal(data.representatives_centroid.length, 1);
+    });
+
+    it('returns every candidate riding for FSAs spanning several ridings', () => {
+        const data = fallback.lookup('K2B1A1');
+        assert.deepEqual(data.candidate_ridings.map(r => r.id), ['a', 'b']);
+        assert.deepEqual(data.representatives_centroid.map(r => r.name), ['Alice Able', 'Bob Baker']);
+    });
+
+    it('produces representatives selectFederalMp recognizes', () => {
+        const mp = selectFederalMp(fallback.lookup('K1A0A6'));
+        assert.equal(mp.name, 'Alice Able');
+        assert.equal(mp.elected_office, 'MP');
+        assert.equal(mp.district_name, 'Riding A');
+        assert.equal(mp.party_name, 'Liberal');
+        assert.equal(mp.province, 'ON');
+    });
+});
+
+describe('bundled fallback dataset', () => {
+    it('shares a version between roster and FSA index', () => {
+        assert.equal(roster.version, fsaIndex.version);
+    });
+
+    it('only references ridings present in the roster', () => {
+        const ids = new Set(roster.ridings.map(riding => riding.id));
+        for (const [fsa, ridingIds] of Object.entries(fsaIndex.fsa)) {
+            assert.match(fsa, /^[A-Z]\d[A-Z]$/);
+            for (const id of ridingIds) {
+                assert.ok(ids.has(id), `FSA ${fsa} references unknown riding "${id}"`);
+            }
+        }
+    });
+
+    it('has an MP with a name for every riding', () => {
+        for (const riding of roster.ridings) {
+            assert.ok(riding.mp && riding.mp.name, `Riding "${riding.id}" has no MP`);
+        }
+    });
+
+    it('reaches every riding from some FSA', () => {
+        assert.deepEqual(unreachableRidings(roster, fsaIndex), []);
+    });
+
+    it('lists all 343 ridings, in every province and territory', () => {
+        assert.deepEqual(rosterProblems(roster), []);
+    });
+});
@@ -0,0 +1,18 @@
+const http = require('node:http');
+
+/**
+ * Local fake OpenNorth upstream serving the House of Commons roster
+ * (/representatives/house-of-commons/) from a list of representatives
+ */
+function createHouseOfCommonsUpstream(objects) {
+    return http.createServer((req, res) => {
+        if (!req.url.startsWith('/representatives/house-of-commons/')) {
+            res.writeHead(404);
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ objects }));
+    });
+}
+
+module.exports = { createHouseOfCommonsUpstream };
@@ -0,0 +1,64 @@
+/**
+ * Fake Redis-compatible REST store (see lib/kv.js): a fetch that answers
+ * pipelines of the commands the stores use, kept in memory
+ */
+function createFakeKv() {
+    const data = new Map();
+    const requests = [];
+
+    function run([command, key, ...args]) {
+        switch (command) {
+            case 'SADD': {
+                const members = data.get(key) || new Set();
+                const before = members.size;
+                args.forEach(member => members.add(String(member)));
+                data.set(key, members);
+                return members.size - before;
+            }
+            case 'SMEMBERS':
+                return [...(data.get(key) || [])];
+            case 'HINCRBY': {
+                const hash = data.get(key) || new Map();
+                const [field, increment] = args;
+                hash.set(String(field), (hash.get(String(field)) || 0) + Number(increment));
+                data.set(key, hash);
+                return hash.get(String(field));
+            }
+            case 'HGETALL':
+                return [...(data.get(key) || new Map())].flatMap(([field, value]) => [field, String(value)]);
+            case 'RPUSH': {
+                const items = data.get(key) || [];
+                items.push(...args.map(String));
+                data.set(key, items);
+                return items.length;
+            }
+            case 'LRANGE': {
+                const items = data.get(key) || [];
+                const [start, stop] = args.map(Number);
+                return items.slice(start, stop === -1 ? undefined : stop + 1);
+            }
+            case 'LSET': {
+                const items = data.get(key) || [];
+                const [index, value] = args;
+                if (index >= items.length) {
+                    return { error: 'ERR index out of range' };
+                }
+                items[index] = String(value);
+                return 'OK';
+            }
+            default:
+                return { error: `ERR unknown command '${command}'` };
+        }
+    }
+
+    async function fetch(url, init) {
+        requests.push({ url, init });
+        const results = JSON.parse(init.body).map(run).map(result =>
+            result && result.error ? result : { result });
+        return { ok: true, status: 200, json: async () => results };
+    }
+
+    return { fetch, data, requests };
+}
+
+module.exports = { createFakeKv };
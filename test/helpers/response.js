@@ -0,0 +1,15 @@
+// Minimal stand-in for the Vercel response object the api/ handlers write to
+function createResponse() {
+    return {
+        statusCode: null,
+        headers: {},
+        body: null,
+        ended: false,
+        setHeader(name, value) { this.headers[name] = value; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+        end() { this.ended = true; return this; }
+    };
+}
+
+module.exports = { createResponse };
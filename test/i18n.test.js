@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+    MESSAGES,
+    LANGUAGES,
+    translate,
+    apiErrorMessage,
+    direction,
+    letterLanguage,
+    languageForPostalCode,
+    detectLanguage
+} = require('../i18n.js');
+
+const root = path.join(__dirname, '..');
+
+describe('translate', () => {
+    it('fills placeholders', () => {
+        assert.equal(translate('en', 'rateLimit.waitMany', { seconds: 3 }), 'Please wait 3 seconds before trying again.');
+        assert.equal(translate('fr', 'letter.salutation', { name: 'Marc Miller' }), 'Bonjour Marc Miller');
+    });
+
+    it('falls back to English, then to the key', () => {
+        assert.equal(translate('de', 'form.city'), 'City');
+        assert.equal(translate('fr', 'no.such.key'), 'no.such.key');
+    });
+});
+
+describe('message catalogues', () => {
+    it('translate every English message into every language', () => {
+        const keys = Object.keys(MESSAGES.en);
+        for (const language of Object.keys(LANGUAGES)) {
+            const missing = keys.filter(key => !(key in MESSAGES[language]));
+            assert.deepEqual(missing, [], `missing ${language} messages`);
+        }
+    });
+
+    for (const page of ['index.html', 'progress.html']) {
+        it(`cover every data-i18n key in ${page}`, () => {
+            const html = fs.readFileSync(path.join(root, page), 'utf8');
+            const keys = [...html.matchAll(/data-i18n(?:-[a-z-]+)?="([^"]+)"/g)].map(match => match[1]);
+
+            assert.ok(keys.length > 0);
+            assert.deepEqual(keys.filter(key => !(key in MESSAGES.en)), []);
+        });
+    }
+
+    it('cover every error code the API returns', () => {
+        const sources = ['api', 'lib']
+            .flatMap(dir => fs.readdirSync(path.join(root, dir)).map(file => path.join(root, dir, file)))
+            .map(file => fs.readFileSync(file, 'utf8'))
+            .join('\n');
+        // Error codes are the quoted SCREAMING_SNAKE_CASE strings
+        const codes = new Set([...sources.matchAll(/'([A-Z]+(?:_[A-Z]+)+)'/g)].map(match => match[1]));
+
+        assert.ok(codes.has('INVALID_POSTCODE'));
+        assert.deepEqual([...codes].filter(code => !(`apiError.${code}` in MESSAGES.en)), []);
+    });
+});
+
+describe('apiErrorMessage', () => {
+    it('translates known codes', () => {
+        assert.equal(
+            apiErrorMessage('fr', 'NO_MP', 'Could not find a federal MP.'),
+            'Aucun député fédéral trouvé pour ce code postal.'
+        );
+    });
+
+    it('returns the fallback for unknown codes', () => {
+        assert.equal(apiErrorMessage('fr', 'SOMETHING_NEW', 'Original message'), 'Original message');
+        assert.equal(apiErrorMessage('fr', undefined, 'Original message'), 'Original message');
+    });
+});
+
+describe('letter language', () => {
+    it('writes letters in the interface language when it can', () => {
+        assert.equal(letterLanguage('en', 'H2X 1Y4'), 'en');
+        assert.equal(letterLanguage('fr', 'K1A 0A6'), 'fr');
+    });
+
+    it('falls back to French or English for other interface languages', () => {
+        assert.equal(letterLanguage('fa', 'H2X 1Y4'), 'fr');
+        assert.equal(letterLanguage('fa', 'M5V 3L9'), 'en');
+        assert.equal(letterLanguage('fa'), 'en');
+    });
+
+    it('knows which languages are written right to left', () => {
+        assert.equal(direction('fa'), 'rtl');
+        assert.equal(direction('en'), 'ltr');
+        assert.equal(direction('fr'), 'ltr');
+    });
+});
+
+describe('language detection', () => {
+    it('suggests French for Quebec postal codes', () => {
+        assert.equal(languageForPostalCode('H2X 1Y4'), 'fr');
+        assert.equal(languageForPostalCode('g1r4p5'), 'fr');
+        assert.equal(languageForPostalCode('J8Y'), 'fr');
+        assert.equal(languageForPostalCode('K1A 0A6'), null);
+        assert.equal(languageForPostalCode(''), null);
+    });
+
+    it('prefers an explicit choice', () => {
+        assert.equal(detectLanguage({ chosen: 'en', postalCode: 'H2X1Y4', preferred: ['fr-CA'] }), 'en');
+    });
+
+    it('then a Quebec postal code, then the browser languages', () => {
+        assert.equal(detectLanguage({ postalCode: 'H2X1Y4', preferred: ['en-CA'] }), 'fr');
+        assert.equal(detectLanguage({ preferred: ['fr-CA', 'en'] }), 'fr');
+        assert.equal(detectLanguage({ preferred: ['de-DE', 'fr'] }), 'fr');
+        assert.equal(detectLanguage({ preferred: ['en-CA', 'fr'] }), 'en');
+        assert.equal(detectLanguage({ preferred: ['fa-IR', 'en'] }), 'fa');
+    });
+
+    it('defaults to English', () => {
+        assert.equal(detectLanguage({ chosen: 'xx', preferred: ['de'] }), 'en');
+        assert.equal(detectLanguage(), 'en');
+    });
+});
@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { kvConfigFromEnv, createKvClient } = require('../lib/kv.js');
+const { createFakeKv } = require('./helpers/kv.js');
+
+describe('kvConfigFromEnv', () => {
+    it('needs both the URL and the token', () => {
+        assert.deepEqual(kvConfigFromEnv({ KV_REST_API_URL: 'https://kv.example.com/', KV_REST_API_TOKEN: 't' }), {
+            url: 'https://kv.example.com',
+            token: 't'
+        });
+        assert.equal(kvConfigFromEnv({ KV_REST_API_URL: 'https://kv.example.com' }), null);
+        assert.equal(kvConfigFromEnv({}), null);
+    });
+});
+
+describe('createKvClient', () => {
+    it('sends commands as one authenticated pipeline', async () => {
+        const kv = createFakeKv();
+        const client = createKvClient({ url: 'https://kv.example.com', token: 'secret', fetch: kv.fetch });
+
+        assert.deepEqual(await client.pipeline([['HINCRBY', 'h', 'a', 1], ['HINCRBY', 'h', 'a', 1]]), [1, 2]);
+        assert.deepEqual(await client.pipeline([]), []);
+
+        assert.equal(kv.requests.length, 1);
+        assert.equal(kv.requests[0].url, 'https://kv.example.com/pipeline');
+        assert.equal(kv.requests[0].init.headers.Authorization, 'Bearer secret');
+    });
+
+    it('rejects when the store or a command fails', async () => {
+        const kv = createFakeKv();
+        let client = createKvClient({ url: 'https://kv.example.com', token: 't', fetch: kv.fetch });
+        await assert.rejects(client.pipeline([['FLUSHALL']]), /KV command failed/);
+
+        client = createKvClient({
+            url: 'https://kv.example.com',
+            token: 't',
+            fetch: async () => ({ ok: false, status: 401, statusText: 'Unauthorized' })
+        });
+        await assert.rejects(client.pipeline([['SMEMBERS', 'k']]), /KV store error: 401/);
+    });
+});
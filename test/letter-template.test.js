@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate, validateTemplate, variantCounts } = require('../letter-template.js');
+
+// Deterministic "random" values for variant selection
+const sequence = (...values) => () => values.shift();
+
+describe('renderTemplate', () => {
+    it('fills placeholders, ignoring spaces inside the braces', () => {
+        assert.equal(
+            renderTemplate('Dear {{ name }} of {{riding}},', { name: 'Yasir Naqvi', riding: 'Ottawa Centre' }),
+            'Dear Yasir Naqvi of Ottawa Centre,'
+        );
+    });
+
+    it('leaves unknown or empty placeholders as typed', () => {
+        assert.equal(renderTemplate('{{nmae}} {{party}}', { name: 'X', party: null }), '{{nmae}} {{party}}');
+    });
+
+    it('renders conditional blocks', () => {
+        const template = '{{#if inGoverningParty}}Urge the government.{{else}}Urge your caucus.{{/if}}';
+        assert.equal(renderTemplate(template, { inGoverningParty: true }), 'Urge the government.');
+        assert.equal(renderTemplate(template, { inGoverningParty: false }), 'Urge your caucus.');
+        assert.equal(renderTemplate('A{{#if party}} ({{party}}){{/if}}', {}), 'A');
+    });
+
+    it('picks one variant per block using the random source', () => {
+        const template = '{{#variants}}Hello{{or}}Hi{{or}}Greetings{{/variants}}, {{#variants}}A{{or}}B{{/variants}}';
+        assert.equal(renderTemplate(template, {}, { random: sequence(0, 0.99) }), 'Hello, B');
+        assert.equal(renderTemplate(template, {}, { random: sequence(0.5, 0) }), 'Hi, A');
+    });
+
+    it('supports nested blocks', () => {
+        const template = '{{#if party}}{{#variants}}As a {{party}} MP{{or}}As a member of the {{party}} caucus{{/variants}}, {{/if}}please act.';
+        assert.equal(
+            renderTemplate(template, { party: 'Liberal' }, { random: sequence(0.9) }),
+            'As a member of the Liberal caucus, please act.'
+        );
+    });
+
+    it('collapses blank lines left by empty conditional paragraphs', () => {
+        const template = 'Dear MP,\n\n{{#if extra}}Extra paragraph.{{/if}}\n\nThanks';
+        assert.equal(renderTemplate(template, {}), 'Dear MP,\n\nThanks');
+    });
+});
+
+describe('validateTemplate', () => {
+    it('accepts valid templates', () => {
+        assert.equal(validateTemplate('{{#if a}}{{#variants}}x{{or}}y{{/variants}}{{else}}{{b}}{{/if}}'), null);
+    });
+
+    it('reports malformed blocks', () => {
+        assert.equal(validateTemplate('{{#if a}}x'), 'Missing {{/if}} (at character 10)');
+        assert.equal(validateTemplate('x{{/if}}'), 'Unexpected {{/if}} (at character 1)');
+        assert.equal(validateTemplate('{{#variants}}x{{/if}}'), 'Unexpected {{/if}} (at character 14)');
+        assert.equal(validateTemplate('{{or}}'), 'Unexpected {{or}} (at character 0)');
+        assert.equal(validateTemplate('{{#if}}x{{/if}}'), '{{#if}} needs a value to test (at character 0)');
+        assert.equal(validateTemplate('{{#each items}}{{/each}}'), 'Unknown tag {{#each items}} (at character 0)');
+    });
+});
+
+describe('variantCounts', () => {
+    it('lists the options of each variants block in order, including nested and conditional ones', () => {
+        assert.deepEqual(variantCounts('Hello'), []);
+        assert.deepEqual(
+            variantCounts('{{#variants}}a{{or}}{{#variants}}b{{or}}c{{or}}d{{/variants}}{{/variants}} {{#if x}}{{#variants}}e{{or}}f{{/variants}}{{/if}}'),
+            [2, 3, 2]
+        );
+    });
+
+    it('lets a translation replay the random values to pick the same variants', () => {
+        const draws = [0.9, 0.1];
+        const english = renderTemplate('{{#variants}}Hi{{or}}Hello{{/variants}}. {{#variants}}Bye{{or}}Goodbye{{/variants}}.', {}, { random: sequence(...draws) });
+        const french = renderTemplate('{{#variants}}Salut{{or}}Bonjour{{/variants}}. {{#variants}}Ciao{{or}}Au revoir{{/variants}}.', {}, { random: sequence(...draws) });
+        assert.equal(english, 'Hello. Bye.');
+        assert.equal(french, 'Bonjour. Ciao.');
+    });
+});
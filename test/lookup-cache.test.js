@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLookupCache, createMapStore } = require('../lib/lookup-cache.js');
+
+/**
+ * Controllable clock for TTL tests.
+ */
+function createClock(start = 0) {
+    let time = start;
+    return {
+        now: () => time,
+        advance: (ms) => { time += ms; }
+    };
+}
+
+describe('createLookupCache', () => {
+    it('returns null and counts a miss for unknown keys', async () => {
+        const cache = createLookupCache();
+        assert.equal(await cache.get('K1A0A6'), null);
+        assert.deepEqual(cache.stats(), { hits: 0, misses: 1, size: 0 });
+    });
+
+    it('returns cached data and counts a hit', async () => {
+        const cache = createLookupCache();
+        await cache.set('K1A0A6', { code: 'K1A0A6' });
+
+        assert.deepEqual(await cache.get('K1A0A6'), { found: true, data: { code: 'K1A0A6' } });
+        assert.deepEqual(cache.stats(), { hits: 1, misses: 0, size: 1 });
+    });
+
+    it('expires entries after the TTL', async () => {
+        const clock = createClock();
+        const cache = createLookupCache({ ttlMs: 1000, now: clock.now });
+        await cache.set('K1A0A6', { code: 'K1A0A6' });
+
+        clock.advance(999);
+        assert.notEqual(await cache.get('K1A0A6'), null);
+
+        clock.advance(1);
+        assert.equal(await cache.get('K1A0A6'), null);
+        assert.equal(cache.stats().size, 0);
+    });
+
+    it('caches not-found results for the shorter negative TTL', async () => {
+        const clock = createClock();
+        const cache = createLookupCache({ ttlMs: 10_000, negativeTtlMs: 100, now: clock.now });
+        await cache.setNotFound('X0X0X0');
+
+        assert.deepEqual(await cache.get('X0X0X0'), { found: false });
+
+        clock.advance(100);
+        assert.equal(await cache.get('X0X0X0'), null);
+    });
+
+    it('evicts the least recently used entry when full', async () => {
+        const cache = createLookupCache({ maxEntries: 2 });
+        await cache.set('A', 1);
+        await cache.set('B', 2);
+
+        // Touch A so B becomes least recently used
+        await cache.get('A');
+        await cache.set('C', 3);
+
+        assert.equal(await cache.get('B'), null);
+        assert.deepEqual(await cache.get('A'), { found: true, data: 1 });
+        assert.deepEqual(await cache.get('C'), { found: true, data: 3 });
+    });
+
+    it('works with an async custom store', async () => {
+        const inner = createMapStore();
+        const store = {
+            get: async (key) => inner.get(key),
+            set: async (key, entry) => inner.set(key, entry),
+            delete: async (key) => inner.delete(key),
+            keys: () => inner.keys(),
+            get size() { return inner.size; }
+        };
+        const cache = createLookupCache({ store });
+        await cache.set('K1A0A6', 'data');
+
+        assert.deepEqual(await cache.get('K1A0A6'), { found: true, data: 'data' });
+    });
+});
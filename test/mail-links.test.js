@@ -0,0 +1,166 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    generateMailtoLink,
+    generateGmailLink,
+    generateOutlookLink,
+    generateYahooLink,
+    generateWebmailLink,
+    WEBMAIL_PROVIDERS,
+    generateFullEmailText,
+    generateEml,
+    encodeHeader,
+    isMobile
+} = require('../mail-links.js');
+
+describe('generateMailtoLink', () => {
+    it('encodes spaces as %20 and line breaks as CRLF', () => {
+        assert.equal(
+            generateMailtoLink('jenny.kwan@parl.gc.ca', 'Hello there', 'Line one\nLine two'),
+            'mailto:jenny.kwan%40parl.gc.ca?subject=Hello%20there&body=Line%20one%0D%0ALine%20two'
+        );
+    });
+
+    it('keeps commas between several recipients and adds the CC', () => {
+        const link = generateMailtoLink('a@sen.parl.gc.ca,b@sen.parl.gc.ca', 'S', 'B', 'pm@pm.gc.ca');
+        assert.ok(link.startsWith('mailto:a%40sen.parl.gc.ca,b%40sen.parl.gc.ca?'));
+        assert.ok(link.endsWith('&cc=pm%40pm.gc.ca'));
+    });
+});
+
+describe('generateGmailLink', () => {
+    it('opens the Gmail compose view', () => {
+        const url = new URL(generateGmailLink('jenny.kwan@parl.gc.ca', 'Hello there', 'Body', 'pm@pm.gc.ca'));
+        assert.equal(url.origin + url.pathname, 'https://mail.google.com/mail/');
+        assert.equal(url.searchParams.get('view'), 'cm');
+        assert.equal(url.searchParams.get('to'), 'jenny.kwan@parl.gc.ca');
+        assert.equal(url.searchParams.get('cc'), 'pm@pm.gc.ca');
+        assert.equal(url.searchParams.get('su'), 'Hello there');
+        assert.ok(!url.search.includes('+'));
+    });
+});
+
+describe('generateOutlookLink', () => {
+    it('opens the Outlook.com compose view', () => {
+        const url = new URL(generateOutlookLink('jenny.kwan@parl.gc.ca', 'Hello there', 'Line one\nLine two', 'pm@pm.gc.ca'));
+        assert.equal(url.origin + url.pathname, 'https://outlook.live.com/mail/0/deeplink/compose');
+        assert.equal(url.searchParams.get('to'), 'jenny.kwan@parl.gc.ca');
+        assert.equal(url.searchParams.get('cc'), 'pm@pm.gc.ca');
+        assert.equal(url.searchParams.get('subject'), 'Hello there');
+        assert.equal(url.searchParams.get('body'), 'Line one\nLine two');
+        assert.ok(!url.search.includes('+'));
+    });
+
+    it('leaves out an empty CC', () => {
+        const url = new URL(generateOutlookLink('a@parl.gc.ca', 'S', 'B', ''));
+        assert.equal(url.searchParams.has('cc'), false);
+    });
+});
+
+describe('generateYahooLink', () => {
+    it('opens the Yahoo Mail compose view', () => {
+        const url = new URL(generateYahooLink('jenny.kwan@parl.gc.ca', 'Hello there', 'Body', 'pm@pm.gc.ca'));
+        assert.equal(url.origin + url.pathname, 'https://compose.mail.yahoo.com/');
+        assert.equal(url.searchParams.get('to'), 'jenny.kwan@parl.gc.ca');
+        assert.equal(url.searchParams.get('cc'), 'pm@pm.gc.ca');
+        assert.equal(url.searchParams.get('subject'), 'Hello there');
+        assert.equal(url.searchParams.get('body'), 'Body');
+        assert.ok(!url.search.includes('+'));
+    });
+});
+
+describe('generateWebmailLink', () => {
+    it('uses each provider\'s compose link', () => {
+        const args = ['a@parl.gc.ca', 'Subject', 'Body', 'cc@example.org'];
+        assert.equal(generateWebmailLink('gmail', ...args), generateGmailLink(...args));
+        assert.equal(generateWebmailLink('outlook', ...args), generateOutlookLink(...args));
+        assert.equal(generateWebmailLink('yahoo', ...args), generateYahooLink(...args));
+        assert.deepEqual(Object.keys(WEBMAIL_PROVIDERS), ['gmail', 'outlook', 'yahoo']);
+    });
+
+    it('rejects unknown providers', () => {
+        assert.throws(() => generateWebmailLink('aol', 'a@parl.gc.ca', 'S', 'B'), /Unknown webmail provider/);
+        assert.throws(() => generateWebmailLink('toString', 'a@parl.gc.ca', 'S', 'B'), /Unknown webmail provider/);
+    });
+});
+
+describe('generateFullEmailText', () => {
+    it('puts the headers before the body', () => {
+        assert.equal(
+            generateFullEmailText('a@example.org', 'Subject', 'Body', 'cc@example.org'),
+            'To: a@example.org\nCC: cc@example.org\nSubject: Subject\n\nBody'
+        );
+        assert.equal(generateFullEmailText('a@example.org', 'Subject', 'Body'), 'To: a@example.org\nSubject: Subject\n\nBody');
+    });
+});
+
+describe('encodeHeader', () => {
+    it('leaves plain ASCII alone', () => {
+        assert.equal(encodeHeader('Support the People of Iran'), 'Support the People of Iran');
+    });
+
+    it('encodes other text as UTF-8 encoded-words', () => {
+        assert.equal(encodeHeader('Élan'), '=?UTF-8?B?w4lsYW4=?=');
+    });
+
+    it('folds long text without splitting characters', () => {
+        const subject = 'حمایت از مردم ایران — لطفاً اقدام کنید';
+        const words = encodeHeader(subject).split('\r\n ');
+        assert.ok(words.length > 1);
+        words.forEach(word => assert.ok(word.length <= 75));
+
+        const decoded = words
+            .map(word => Buffer.from(word.slice('=?UTF-8?B?'.length, -2), 'base64').toString('utf8'))
+            .join('');
+        assert.equal(decoded, subject);
+    });
+
+    it('encodes line breaks so they cannot start a new header', () => {
+        assert.ok(!encodeHeader('Hello\r\nBcc: x@example.com').includes('\n'));
+    });
+});
+
+describe('generateEml', () => {
+    const date = new Date(Date.UTC(2025, 0, 2, 3, 4, 5));
+
+    it('writes the headers of an unsent draft', () => {
+        const eml = generateEml('a@parl.gc.ca', 'Hello', 'Body', 'pm@pm.gc.ca,b@parl.gc.ca', { from: 'jane@example.com', date });
+        const [head] = eml.split('\r\n\r\n');
+        assert.deepEqual(head.split('\r\n'), [
+            'From: jane@example.com',
+            'To: a@parl.gc.ca',
+            'Cc: pm@pm.gc.ca, b@parl.gc.ca',
+            'Subject: Hello',
+            'Date: Thu, 02 Jan 2025 03:04:05 +0000',
+            'X-Unsent: 1',
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=UTF-8',
+            'Content-Transfer-Encoding: base64'
+        ]);
+    });
+
+    it('leaves out From and Cc when there are none', () => {
+        const eml = generateEml('a@parl.gc.ca', 'Hello', 'Body', '', { date });
+        assert.ok(!eml.includes('From:'));
+        assert.ok(!eml.includes('Cc:'));
+    });
+
+    it('encodes the body as base64 UTF-8 with CRLF line breaks', () => {
+        const body = 'Monsieur le député,\n\n' + 'Merci. '.repeat(30);
+        const eml = generateEml('a@parl.gc.ca', 'Objet', body, '', { date });
+        const lines = eml.split('\r\n\r\n')[1].trim().split('\r\n');
+        lines.forEach(line => assert.ok(line.length <= 76));
+        assert.equal(
+            Buffer.from(lines.join(''), 'base64').toString('utf8'),
+            body.replace(/\n/g, '\r\n')
+        );
+    });
+});
+
+describe('isMobile', () => {
+    it('recognizes phones', () => {
+        assert.equal(isMobile('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)'), true);
+        assert.equal(isMobile('Mozilla/5.0 (Windows NT 10.0; Win64; x64)'), false);
+        assert.equal(isMobile(undefined), false);
+    });
+});
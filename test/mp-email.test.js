@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { deriveEmail, deriveEmailFromName, emailCandidates } = require('../lib/mp-email.js');
+const bundledOverrides = require('../data/mp-email-overrides.json');
+
+const overrides = {
+    version: 'test',
+    overrides: [
+        { name: 'Jean-Pierre Example', email: 'jp.example@parl.gc.ca' }
+    ]
+};
+
+describe('deriveEmailFromName', () => {
+    it('uses first.last@parl.gc.ca', () => {
+        assert.equal(deriveEmailFromName('Jenny Kwan'), 'jenny.kwan@parl.gc.ca');
+    });
+
+    it('strips accents and keeps hyphens', () => {
+        assert.equal(
+            deriveEmailFromName('François-Philippe Champagne'),
+            'francois-philippe.champagne@parl.gc.ca'
+        );
+    });
+
+    it('drops apostrophes', () => {
+        assert.equal(deriveEmailFromName('Seamus O\'Regan'), 'seamus.oregan@parl.gc.ca');
+        assert.equal(deriveEmailFromName('Seamus O’Regan'), 'seamus.oregan@parl.gc.ca');
+    });
+
+    it('keeps particles and compound surnames together', () => {
+        assert.equal(deriveEmailFromName('Tako Van Popta'), 'tako.vanpopta@parl.gc.ca');
+        assert.equal(deriveEmailFromName('Ginette Petitpas Taylor'), 'ginette.petitpastaylor@parl.gc.ca');
+    });
+
+    it('ignores titles and nicknames', () => {
+        assert.equal(deriveEmailFromName('Hon. Jenny Kwan, P.C.'), 'jenny.kwan@parl.gc.ca');
+        assert.equal(deriveEmailFromName('Robert "Bob" Zimmer'), 'robert.zimmer@parl.gc.ca');
+    });
+
+    it('returns null for single names', () => {
+        assert.equal(deriveEmailFromName('Cher'), null);
+        assert.equal(deriveEmailFromName(''), null);
+        assert.equal(deriveEmailFromName('Dr. Cher'), null);
+    });
+});
+
+describe('emailCandidates', () => {
+    it('ranks compound surnames, compound given names, then the last word', () => {
+        assert.deepEqual(emailCandidates('Mary Jane McCallum'), [
+            'mary.janemccallum@parl.gc.ca',
+            'maryjane.mccallum@parl.gc.ca',
+            'mary.mccallum@parl.gc.ca',
+            'mary.jane-mccallum@parl.gc.ca'
+        ]);
+    });
+
+    it('puts the particle surname first', () => {
+        assert.deepEqual(emailCandidates('Anna Maria Van der Berg'), [
+            'anna.vanderberg@parl.gc.ca',
+            'anna.mariavanderberg@parl.gc.ca',
+            'anna.berg@parl.gc.ca',
+            'anna.maria-van-der-berg@parl.gc.ca'
+        ]);
+    });
+
+    it('has a single candidate for two-word names', () => {
+        assert.deepEqual(emailCandidates('Jenny Kwan'), ['jenny.kwan@parl.gc.ca']);
+    });
+});
+
+describe('deriveEmail', () => {
+    it('prefers the override table, matching names loosely', () => {
+        assert.deepEqual(deriveEmail('jean-pierre EXAMPLE', overrides), {
+            email: 'jp.example@parl.gc.ca',
+            source: 'override',
+            candidates: ['jp.example@parl.gc.ca']
+        });
+    });
+
+    it('marks guesses as derived, with every candidate', () => {
+        const derived = deriveEmail('Tako Van Popta', overrides);
+        assert.equal(derived.source, 'derived');
+        assert.equal(derived.email, 'tako.vanpopta@parl.gc.ca');
+        assert.deepEqual(derived.candidates, emailCandidates('Tako Van Popta'));
+    });
+
+    it('returns null when nothing can be derived', () => {
+        assert.equal(deriveEmail('Cher', overrides), null);
+    });
+
+    it('applies every entry of the bundled override table', () => {
+        bundledOverrides.overrides.forEach(({ name, email }) => {
+            assert.match(email, /^[a-z0-9.'-]+@parl\.gc\.ca$/);
+            assert.deepEqual(deriveEmail(name), { email, source: 'override', candidates: [email] });
+            // An entry the guess already gets right is dead weight
+            assert.notEqual(deriveEmail(name, { overrides: [] }).email, email);
+        });
+    });
+
+    it('has real exceptions in the bundled override table', () => {
+        assert.ok(bundledOverrides.overrides.length > 0);
+        const [{ name, email }] = bundledOverrides.overrides;
+        assert.equal(deriveEmail(name).source, 'override');
+        assert.equal(deriveEmail(name).email, email);
+    });
+});
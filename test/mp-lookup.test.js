@@ -1,6 +1,11 @@
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
-const { selectFederalMp } = require('../mp-select.js');
+const {
+    selectFederalMp,
+    selectFederalMps,
+    selectRepresentatives,
+    representativeLevel
+} = require('../mp-select.js');
 
 const REPRESENT_API = 'https://represent.opennorth.ca';
 
@@ -121,3 +126,90 @@ describe('selectFederalMp edge cases', () => {
         assert.equal(mp.elected_office, 'MP');
     });
 });
+
+describe('selectFederalMps', () => {
+    it('returns an empty list for null input', () => {
+        assert.deepEqual(selectFederalMps(null), []);
+    });
+
+    it('returns the single MP when centroid and concordance agree', () => {
+        const mp = { elected_office: 'MP', name: 'Federal Person', district_name: 'Riding A', representative_set_name: 'House of Commons' };
+        const data = {
+            representatives_centroid: [mp],
+            representatives_concordance: [{ ...mp }]
+        };
+        assert.deepEqual(selectFederalMps(data).map(rep => rep.name), ['Federal Person']);
+    });
+
+    it('returns every riding the postal code touches, centroid first', () => {
+        const data = {
+            representatives_centroid: [
+                { elected_office: 'MPP', name: 'Provincial Person', district_name: 'Riding A', representative_set_name: 'Legislative Assembly of Ontario' },
+                { elected_office: 'MP', name: 'Centroid MP', district_name: 'Riding A', representative_set_name: 'House of Commons' }
+            ],
+            representatives_concordance: [
+                { elected_office: 'MP', name: 'Neighbour MP', district_name: 'Riding B', representative_set_name: 'House of Commons' },
+                { elected_office: 'MP', name: 'Centroid MP', district_name: 'Riding A', representative_set_name: 'House of Commons' },
+                { elected_office: 'Councillor', name: 'City Person', district_name: 'Ward 1', representative_set_name: 'City Council' }
+            ]
+        };
+        assert.deepEqual(selectFederalMps(data).map(rep => rep.name), ['Centroid MP', 'Neighbour MP']);
+    });
+});
+
+describe('selectRepresentatives', () => {
+    const data = {
+        representatives_centroid: [
+            { elected_office: 'Councillor', name: 'City Person', representative_set_name: 'Toronto City Council' },
+            { elected_office: 'MPP', name: 'Doug Ford', representative_set_name: 'Legislative Assembly of Ontario' },
+            { elected_office: 'Mayor', name: 'Mayor Person', representative_set_name: 'Toronto City Council' },
+            { elected_office: 'MP', name: 'John Zerucelli', representative_set_name: 'House of Commons' },
+            { elected_office: 'Trustee', name: 'School Person', representative_set_name: 'Toronto District School Board' }
+        ]
+    };
+    const names = reps => reps.map(rep => rep.name);
+
+    it('classifies each level with strict office matching', () => {
+        const [councillor, mpp, mayor, mp, trustee] = data.representatives_centroid;
+        assert.equal(representativeLevel(mp), 'federal');
+        assert.equal(representativeLevel(mpp), 'provincial');
+        assert.equal(representativeLevel(mayor), 'municipal');
+        assert.equal(representativeLevel(councillor), 'municipal');
+        assert.equal(representativeLevel(trustee), null);
+    });
+
+    it('never returns an MPP as a federal representative', () => {
+        assert.deepEqual(names(selectRepresentatives(data, 'federal')), ['John Zerucelli']);
+    });
+
+    it('selects provincial representatives', () => {
+        assert.deepEqual(names(selectRepresentatives(data, 'provincial')), ['Doug Ford']);
+    });
+
+    it('selects municipal representatives', () => {
+        assert.deepEqual(names(selectRepresentatives(data, 'municipal')), ['City Person', 'Mayor Person']);
+    });
+
+    it('selects all levels in federal, provincial, municipal order', () => {
+        assert.deepEqual(
+            names(selectRepresentatives(data, 'all')),
+            ['John Zerucelli', 'Doug Ford', 'City Person', 'Mayor Person']
+        );
+    });
+
+    it('recognizes other provinces\' legislatures', () => {
+        const reps = [
+            { elected_office: 'MNA', name: 'Quebec Person', representative_set_name: 'Assemblée nationale du Québec' },
+            { elected_office: 'MLA', name: 'BC Person', representative_set_name: 'Legislative Assembly of British Columbia' },
+            { elected_office: 'MHA', name: 'NL Person', representative_set_name: 'House of Assembly of Newfoundland and Labrador' }
+        ];
+        assert.deepEqual(
+            names(selectRepresentatives({ representatives_centroid: reps }, 'provincial')),
+            ['Quebec Person', 'BC Person', 'NL Person']
+        );
+    });
+
+    it('returns an empty list for null input', () => {
+        assert.deepEqual(selectRepresentatives(null, 'all'), []);
+    });
+});
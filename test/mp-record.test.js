@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toMpRecord, toRepresentativeRecord } = require('../lib/mp-record.js');
+
+describe('toMpRecord', () => {
+    const rep = {
+        name: 'Yasir Naqvi',
+        district_name: 'Ottawa Centre',
+        elected_office: 'MP',
+        email: 'yasir.naqvi@parl.gc.ca',
+        party_name: 'Liberal',
+        photo_url: 'https://example.org/naqvi.jpg',
+        representative_set_name: 'House of Commons',
+        related: { boundary_url: '/boundaries/federal-electoral-districts-2023/35075/' },
+        offices: [
+            { type: 'legislature', postal: 'House of Commons\nOttawa ON  K1A 0A6', tel: '1 613 992-4561', fax: '1 613 992-8356' }
+        ],
+        extra: { ignored: true }
+    };
+
+    it('returns the stable schema', () => {
+        assert.deepEqual(toMpRecord(rep, 'live'), {
+            name: 'Yasir Naqvi',
+            riding: 'Ottawa Centre',
+            province: 'ON',
+            email: 'yasir.naqvi@parl.gc.ca',
+            email_source: 'api',
+            email_candidates: [],
+            party: 'Liberal',
+            photo: 'https://example.org/naqvi.jpg',
+            offices: [
+                { type: 'legislature', postal: 'House of Commons\nOttawa ON  K1A 0A6', tel: '1 613 992-4561', fax: '1 613 992-8356' }
+            ],
+            source: 'live'
+        });
+    });
+
+    it('derives the email when the API has none', () => {
+        const record = toMpRecord({ ...rep, email: '' }, 'fallback');
+        assert.equal(record.email, 'yasir.naqvi@parl.gc.ca');
+        assert.equal(record.email_source, 'derived');
+        assert.deepEqual(record.email_candidates, ['yasir.naqvi@parl.gc.ca']);
+        assert.equal(record.source, 'fallback');
+    });
+
+    it('ranks every guess for compound names', () => {
+        const record = toMpRecord({ ...rep, name: 'Ginette Petitpas Taylor', email: '' }, 'live');
+        assert.equal(record.email, 'ginette.petitpastaylor@parl.gc.ca');
+        assert.equal(record.email_candidates[0], record.email);
+        assert.ok(record.email_candidates.includes('ginette.taylor@parl.gc.ca'));
+    });
+
+    it('uses nulls for missing fields', () => {
+        const record = toMpRecord({ name: 'Cher' }, 'live');
+        assert.equal(record.email, null);
+        assert.equal(record.email_source, null);
+        assert.equal(record.riding, null);
+        assert.equal(record.province, null);
+        assert.equal(record.party, null);
+        assert.deepEqual(record.offices, []);
+    });
+});
+
+describe('toRepresentativeRecord', () => {
+    it('adds level and office', () => {
+        const record = toRepresentativeRecord(
+            { name: 'Doug Ford', elected_office: 'MPP', email: 'mpp@example.org' },
+            'provincial',
+            'live'
+        );
+        assert.equal(record.level, 'provincial');
+        assert.equal(record.office, 'MPP');
+        assert.equal(record.email, 'mpp@example.org');
+        assert.equal(record.email_source, 'api');
+    });
+
+    it('only derives parl.gc.ca emails for federal MPs', () => {
+        const mpp = toRepresentativeRecord({ name: 'Some Person', elected_office: 'MPP' }, 'provincial', 'live');
+        assert.equal(mpp.email, null);
+        assert.equal(mpp.email_source, null);
+        assert.deepEqual(mpp.email_candidates, []);
+
+        const mp = toRepresentativeRecord({ name: 'Some Person', elected_office: 'MP' }, 'federal', 'live');
+        assert.equal(mp.email, 'some.person@parl.gc.ca');
+        assert.equal(mp.email_source, 'derived');
+    });
+});
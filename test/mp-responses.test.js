@@ -0,0 +1,278 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    createResponseTracker,
+    createMemoryStore,
+    createFileStore,
+    createKvStore,
+    moderationFlags
+} = require('../lib/mp-responses.js');
+const { createKvClient } = require('../lib/kv.js');
+const { createResponse } = require('./helpers/response.js');
+const { createFakeKv } = require('./helpers/kv.js');
+const { createHouseOfCommonsUpstream } = require('./helpers/house-of-commons.js');
+
+function createTracker() {
+    let next = 0;
+    return createResponseTracker({
+        store: createMemoryStore(),
+        now: () => Date.UTC(2025, 5, 1, 12),
+        id: () => `report-${++next}`
+    });
+}
+
+describe('moderationFlags', () => {
+    it('flags contact details and links', () => {
+        assert.deepEqual(moderationFlags('Thanks for writing, we agree.'), []);
+        assert.deepEqual(moderationFlags('Write to me at jane@example.com'), ['email']);
+        assert.deepEqual(moderationFlags('Call 613-555-0199'), ['phone']);
+        assert.deepEqual(moderationFlags('I live at K1A 0A6'), ['postal-code']);
+        assert.deepEqual(moderationFlags('See www.example.com'), ['link']);
+    });
+});
+
+describe('createResponseTracker', () => {
+    it('validates the representative', () => {
+        const tracker = createTracker();
+        assert.deepEqual(tracker.parseRepresentative('federal', ' Ottawa  Centre', 'Yasir Naqvi'), {
+            ok: true,
+            key: 'federal:Ottawa Centre:Yasir Naqvi',
+            level: 'federal',
+            riding: 'Ottawa Centre',
+            name: 'Yasir Naqvi'
+        });
+        assert.equal(tracker.parseRepresentative('senate', 'Ottawa Centre', 'Yasir Naqvi').code, 'INVALID_LEVEL');
+        // Provincial and municipal representatives can't be checked against a roster
+        assert.equal(tracker.parseRepresentative('municipal', 'Ward 1', 'Jane Doe').code, 'INVALID_LEVEL');
+        assert.equal(tracker.parseRepresentative('federal', '', 'Yasir Naqvi').code, 'INVALID_RIDING');
+        assert.equal(tracker.parseRepresentative('federal', 'Ottawa Centre', '<b>').code, 'INVALID_REPRESENTATIVE');
+    });
+
+    it('validates reports', () => {
+        const tracker = createTracker();
+        assert.deepEqual(tracker.parseReport({ replied: true, sentiment: 'positive', excerpt: '  We  agree. ' }), {
+            ok: true,
+            report: { replied: true, sentiment: 'positive', excerpt: 'We agree.' }
+        });
+        assert.deepEqual(tracker.parseReport({ replied: false }).report, { replied: false, sentiment: null, excerpt: null });
+
+        assert.equal(tracker.parseReport({ replied: 'yes' }).code, 'INVALID_REPORT');
+        assert.equal(tracker.parseReport({ replied: true, sentiment: 'angry' }).code, 'INVALID_REPORT');
+        assert.equal(tracker.parseReport({ replied: true, excerpt: 'x'.repeat(281) }).code, 'INVALID_REPORT');
+        assert.equal(tracker.parseReport({ replied: true, excerpt: 42 }).code, 'INVALID_REPORT');
+        assert.equal(tracker.parseReport({ replied: false, sentiment: 'negative' }).code, 'INVALID_REPORT');
+    });
+
+    it('stores reports without anything about the sender', async () => {
+        const tracker = createTracker();
+        const stored = await tracker.report('federal:Ottawa Centre:Yasir Naqvi', {
+            replied: true, sentiment: 'positive', excerpt: 'Email me at jane@example.com'
+        });
+
+        assert.deepEqual(stored, {
+            id: 'report-1',
+            day: '2025-06-01',
+            replied: true,
+            sentiment: 'positive',
+            excerpt: 'Email me at jane@example.com',
+            moderation: { status: 'pending', flags: ['email'] }
+        });
+        const noReply = await tracker.report('federal:Ottawa Centre:Yasir Naqvi', { replied: false, sentiment: null, excerpt: null });
+        assert.equal(noReply.moderation, null);
+    });
+
+    it('summarizes the response rate and shows only approved excerpts', async () => {
+        const tracker = createTracker();
+        const key = 'federal:Ottawa Centre:Yasir Naqvi';
+
+        assert.deepEqual(await tracker.summary(key), {
+            reports: 0,
+            replied: 0,
+            responseRate: null,
+            sentiment: { positive: 0, neutral: 0, negative: 0 },
+            excerpts: []
+        });
+
+        await tracker.report(key, { replied: true, sentiment: 'positive', excerpt: 'We support this.' });
+        await tracker.report(key, { replied: true, sentiment: 'neutral', excerpt: 'Thanks for writing.' });
+        await tracker.report(key, { replied: true, sentiment: null, excerpt: null });
+        await tracker.report(key, { replied: false, sentiment: null, excerpt: null });
+
+        let summary = await tracker.summary(key);
+        assert.equal(summary.reports, 4);
+        assert.equal(summary.replied, 3);
+        assert.equal(summary.responseRate, 0.75);
+        assert.deepEqual(summary.sentiment, { positive: 1, neutral: 1, negative: 0 });
+        assert.deepEqual(summary.excerpts, []);
+
+        assert.equal((await tracker.moderate(key, 'report-1', 'approved')).moderation.status, 'approved');
+        await tracker.moderate(key, 'report-2', 'hidden');
+        summary = await tracker.summary(key);
+        assert.deepEqual(summary.excerpts, [{ excerpt: 'We support this.', sentiment: 'positive', day: '2025-06-01' }]);
+
+        // Only excerpts are moderated
+        assert.equal(await tracker.moderate(key, 'report-3', 'approved'), null);
+        assert.equal(await tracker.moderate(key, 'no-such-report', 'approved'), null);
+    });
+});
+
+describe('createFileStore', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mp-responses-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('keeps reports in a JSON file', async () => {
+        const file = path.join(dir, 'responses.json');
+        const store = createFileStore(file);
+        const report = { id: 'a', day: '2025-06-01', replied: true, sentiment: null, excerpt: 'Hi', moderation: { status: 'pending', flags: [] } };
+
+        assert.deepEqual(await store.list('federal:Ottawa Centre:Yasir Naqvi'), []);
+        await Promise.all([store.add('k', report), store.add('k', { ...report, id: 'b' })]);
+        assert.deepEqual((await createFileStore(file).list('k')).map(entry => entry.id), ['a', 'b']);
+
+        const updated = await store.update('k', 'b', { moderation: { status: 'approved', flags: [] } });
+        assert.equal(updated.moderation.status, 'approved');
+        assert.equal(await store.update('k', 'c', {}), null);
+        assert.equal((await store.list('k'))[1].moderation.status, 'approved');
+    });
+});
+
+describe('createKvStore', () => {
+    it('keeps reports in the shared KV store', async () => {
+        const kv = createFakeKv();
+        const store = createKvStore({ client: createKvClient({ url: 'https://kv.example.com', token: 't', fetch: kv.fetch }) });
+        const report = { id: 'a', day: '2025-06-01', replied: true, sentiment: null, excerpt: 'Hi', moderation: { status: 'pending', flags: [] } };
+
+        assert.deepEqual(await store.list('k'), []);
+        await store.add('k', report);
+        await store.add('k', { ...report, id: 'b' });
+        assert.deepEqual((await store.list('k')).map(entry => entry.id), ['a', 'b']);
+
+        const updated = await store.update('k', 'b', { moderation: { status: 'approved', flags: [] } });
+        assert.equal(updated.moderation.status, 'approved');
+        assert.equal(await store.update('k', 'c', {}), null);
+        assert.equal((await store.list('k'))[1].moderation.status, 'approved');
+        assert.deepEqual([...kv.data.keys()], ['mp-responses:k']);
+    });
+});
+
+describe('/api/responses', () => {
+    const upstream = createHouseOfCommonsUpstream([
+        { name: 'Yasir Naqvi', elected_office: 'MP', representative_set_name: 'House of Commons', district_name: 'Ottawa Centre' },
+        { name: 'Steven Guilbeault', elected_office: 'MP', representative_set_name: 'House of Commons', district_name: 'Laurier—Sainte-Marie' }
+    ]);
+    let dir;
+    let handler;
+    let ipCounter = 0;
+    const mp = { level: 'federal', riding: 'Ottawa Centre', name: 'Yasir Naqvi' };
+
+    async function request(method, input, headers = {}) {
+        // Fresh IP per request so the rate limiter stays out of the way
+        const res = createResponse();
+        const req = { method, headers: { ...headers, 'x-forwarded-for': `198.51.100.${++ipCounter}` } };
+        if (method === 'GET') {
+            req.query = input;
+        } else {
+            req.query = {};
+            req.body = input;
+        }
+        await handler(req, res);
+        return res;
+    }
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-responses-'));
+        process.env.MP_RESPONSE_FILE = path.join(dir, 'responses.json');
+        process.env.MODERATION_TOKEN = 'secret-token';
+        await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+        process.env.REPRESENT_API_BASE = `http://127.0.0.1:${upstream.address().port}`;
+        handler = (await import('../api/responses.js')).default;
+    });
+
+    after(() => {
+        upstream.closeAllConnections();
+        upstream.close();
+        delete process.env.REPRESENT_API_BASE;
+        delete process.env.MP_RESPONSE_FILE;
+        delete process.env.MODERATION_TOKEN;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('records reports and returns the response rate', async () => {
+        let res = await request('POST', { ...mp, replied: true, sentiment: 'positive', excerpt: 'We agree.' });
+        assert.equal(res.statusCode, 201);
+        assert.equal(res.body.responseRate, 1);
+
+        res = await request('POST', JSON.stringify({ ...mp, replied: false }));
+        assert.equal(res.body.reports, 2);
+
+        res = await request('GET', mp);
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body, {
+            ...mp,
+            reports: 2,
+            replied: 1,
+            responseRate: 0.5,
+            sentiment: { positive: 1, neutral: 0, negative: 0 },
+            excerpts: []
+        });
+    });
+
+    it('lets moderators approve excerpts', async () => {
+        const moderator = { authorization: 'Bearer secret-token' };
+
+        let res = await request('GET', mp, moderator);
+        const [pending] = res.body.reportList.filter(entry => entry.excerpt);
+        assert.equal(pending.moderation.status, 'pending');
+        assert.equal(res.headers['Cache-Control'], 'no-store');
+
+        res = await request('PATCH', { ...mp, id: pending.id, status: 'approved' }, { authorization: 'Bearer wrong-token' });
+        assert.equal(res.statusCode, 401);
+        res = await request('PATCH', { ...mp, id: pending.id, status: 'published' }, moderator);
+        assert.equal(res.body.code, 'INVALID_MODERATION');
+        res = await request('PATCH', { ...mp, id: 'no-such-report', status: 'approved' }, moderator);
+        assert.equal(res.statusCode, 404);
+
+        res = await request('PATCH', { ...mp, id: pending.id, status: 'approved' }, moderator);
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.excerpts[0].excerpt, 'We agree.');
+
+        res = await request('GET', mp);
+        assert.equal(res.body.reportList, undefined);
+        assert.equal(res.body.excerpts.length, 1);
+    });
+
+    it('only tracks MPs on the roster, under the roster\'s spelling', async () => {
+        let res = await request('POST', { level: 'federal', riding: 'laurier sainte-marie', name: 'steven guilbeault', replied: true });
+        assert.equal(res.statusCode, 201);
+        assert.equal(res.body.riding, 'Laurier—Sainte-Marie');
+        assert.equal(res.body.name, 'Steven Guilbeault');
+
+        res = await request('POST', { ...mp, name: 'Made Up Person', replied: true });
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'INVALID_REPRESENTATIVE');
+        res = await request('POST', { ...mp, riding: 'Atlantis', replied: false });
+        assert.equal(res.body.code, 'INVALID_RIDING');
+        res = await request('POST', { level: 'municipal', riding: 'Ward 1', name: 'Jane Doe', replied: false });
+        assert.equal(res.body.code, 'INVALID_LEVEL');
+
+        const stored = fs.readFileSync(process.env.MP_RESPONSE_FILE, 'utf8');
+        assert.ok(!stored.includes('Made Up') && !stored.includes('Atlantis') && !stored.includes('Ward 1'));
+    });
+
+    it('rejects invalid input and methods', async () => {
+        assert.equal((await request('POST', { ...mp, name: '', replied: true })).body.code, 'INVALID_REPRESENTATIVE');
+        assert.equal((await request('POST', { ...mp, replied: 'maybe' })).body.code, 'INVALID_REPORT');
+        assert.equal((await request('GET', { ...mp, level: 'senate' })).body.code, 'INVALID_LEVEL');
+        assert.equal((await request('DELETE', mp)).statusCode, 405);
+    });
+});
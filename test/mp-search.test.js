@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { searchMps, findByRiding, normalizeSearchText } = require('../lib/mp-search.js');
+const { createFallbackLookup } = require('../lib/fallback.js');
+
+const REPS = [
+    { name: 'Steven Guilbeault', district_name: 'Laurier—Sainte-Marie' },
+    { name: 'Marc Miller', district_name: 'Ville-Marie—Le Sud-Ouest—Île-des-Soeurs' },
+    { name: 'Joanne Thompson', district_name: "St. John's East" },
+    { name: 'Yasir Naqvi', district_name: 'Ottawa Centre' },
+    { name: 'Ginette Petitpas Taylor', district_name: 'Moncton—Dieppe' },
+    { name: 'Ottawa Person', district_name: 'Ottawa South' }
+];
+
+const names = results => results.map(rep => rep.name);
+
+describe('normalizeSearchText', () => {
+    it('strips accents, case and punctuation', () => {
+        assert.equal(normalizeSearchText('Laurier—Sainte-Marie'), 'laurier sainte marie');
+        assert.equal(normalizeSearchText('Île-des-Soeurs'), 'ile des soeurs');
+        assert.equal(normalizeSearchText("St. John's East"), 'st johns east');
+        assert.equal(normalizeSearchText('St. John’s East'), 'st johns east');
+    });
+});
+
+describe('searchMps', () => {
+    it('matches ridings regardless of accents and dashes', () => {
+        assert.deepEqual(names(searchMps(REPS, 'laurier sainte marie')), ['Steven Guilbeault']);
+        assert.deepEqual(names(searchMps(REPS, 'Laurier—Sainte-Marie')), ['Steven Guilbeault']);
+        assert.deepEqual(names(searchMps(REPS, 'ile des soeurs')), ['Marc Miller']);
+        assert.deepEqual(names(searchMps(REPS, 'île')), ['Marc Miller']);
+    });
+
+    it('matches names by word prefix', () => {
+        assert.deepEqual(names(searchMps(REPS, 'petitpas')), ['Ginette Petitpas Taylor']);
+        assert.deepEqual(names(searchMps(REPS, 'guil')), ['Steven Guilbeault']);
+    });
+
+    it('ignores apostrophes', () => {
+        assert.deepEqual(names(searchMps(REPS, 'st johns')), ['Joanne Thompson']);
+    });
+
+    it('ranks exact and leading matches first', () => {
+        assert.deepEqual(names(searchMps(REPS, 'ottawa')), ['Yasir Naqvi', 'Ottawa Person']);
+        assert.deepEqual(names(searchMps(REPS, 'ottawa south')), ['Ottawa Person']);
+    });
+
+    it('ignores queries that are too short', () => {
+        assert.deepEqual(searchMps(REPS, 'o'), []);
+        assert.deepEqual(searchMps(REPS, ' - '), []);
+    });
+
+    it('limits the number of results', () => {
+        assert.equal(searchMps(REPS, 'ottawa', 1).length, 1);
+    });
+
+    it('searches the bundled roster', () => {
+        const reps = createFallbackLookup().all().representatives_centroid;
+        assert.deepEqual(names(searchMps(reps, 'regina wascana')), ['Michael Kram']);
+    });
+});
+
+describe('findByRiding', () => {
+    it('finds the representative for a riding written differently', () => {
+        assert.equal(findByRiding(REPS, 'laurier-sainte-marie').name, 'Steven Guilbeault');
+        assert.equal(findByRiding(REPS, 'St Johns East').name, 'Joanne Thompson');
+    });
+
+    it('returns null for unknown or empty ridings', () => {
+        assert.equal(findByRiding(REPS, 'Atlantis'), null);
+        assert.equal(findByRiding(REPS, 'Ottawa'), null);
+        assert.equal(findByRiding(REPS, ' -- '), null);
+    });
+});
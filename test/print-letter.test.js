@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    HOUSE_OF_COMMONS_ADDRESS,
+    getMailingAddress,
+    getSenderAddress,
+    formatLetterDate,
+    splitAtSignature
+} = require('../print-letter.js');
+
+describe('getMailingAddress', () => {
+    const hill = { type: 'legislature', postal: 'House of Commons\nOttawa ON  K1A 0A6', tel: '1 613 992-6361', fax: null };
+    const constituency = { type: 'constituency', postal: '2070 Commercial Drive\nVancouver BC  V5N 4B2', tel: null, fax: null };
+
+    it('uses the legislature office', () => {
+        assert.deepEqual(
+            getMailingAddress({ offices: [constituency, hill] }, 'federal'),
+            ['House of Commons', 'Ottawa ON  K1A 0A6']
+        );
+    });
+
+    it('falls back to the House of Commons for MPs', () => {
+        assert.deepEqual(getMailingAddress({ offices: [constituency] }, 'federal'), HOUSE_OF_COMMONS_ADDRESS);
+        assert.deepEqual(getMailingAddress({ offices: [] }, 'federal'), HOUSE_OF_COMMONS_ADDRESS);
+    });
+
+    it('falls back to any office with an address at other levels', () => {
+        assert.deepEqual(
+            getMailingAddress({ offices: [{ type: 'office', postal: null }, constituency] }, 'provincial'),
+            ['2070 Commercial Drive', 'Vancouver BC  V5N 4B2']
+        );
+        assert.equal(getMailingAddress({ offices: [] }, 'municipal'), null);
+        assert.equal(getMailingAddress({}, 'senate'), null);
+    });
+});
+
+describe('getSenderAddress', () => {
+    it('writes the name, street and locality lines', () => {
+        assert.deepEqual(
+            getSenderAddress({
+                firstName: 'Jane',
+                lastName: 'Doe',
+                streetAddress: '123 Main St',
+                city: 'Toronto',
+                province: 'ON',
+                postalCode: 'M5V3L9'
+            }),
+            ['Jane Doe', '123 Main St', 'Toronto ON  M5V 3L9']
+        );
+    });
+
+    it('skips missing fields', () => {
+        assert.deepEqual(getSenderAddress({ firstName: 'Jane', city: 'Toronto' }), ['Jane', 'Toronto']);
+    });
+});
+
+describe('formatLetterDate', () => {
+    const date = new Date(2025, 5, 1, 12);
+
+    it('writes the date out in the letter\'s language', () => {
+        assert.equal(formatLetterDate(date, 'en'), 'June 1, 2025');
+        assert.equal(formatLetterDate(date, 'fr'), '1 juin 2025');
+    });
+
+    it('uses English for other languages', () => {
+        assert.equal(formatLetterDate(date, 'fa'), 'June 1, 2025');
+    });
+});
+
+describe('splitAtSignature', () => {
+    it('leaves room to sign above the signer\'s name', () => {
+        const body = 'Dear Jenny Kwan,\n\nPlease act.\n\nSincerely,\nJane Doe\n123 Main St\nToronto, ON M5V3L9\n';
+        assert.deepEqual(splitAtSignature(body, 'Jane Doe'), {
+            closing: 'Dear Jenny Kwan,\n\nPlease act.\n\nSincerely,',
+            signoff: 'Jane Doe\n123 Main St\nToronto, ON M5V3L9'
+        });
+    });
+
+    it('uses the last line with just the name', () => {
+        const { closing, signoff } = splitAtSignature('Jane Doe\nI am Jane Doe.\n\nThanks,\nJane Doe', 'Jane Doe');
+        assert.equal(closing, 'Jane Doe\nI am Jane Doe.\n\nThanks,');
+        assert.equal(signoff, 'Jane Doe');
+    });
+
+    it('signs at the end when the name was removed', () => {
+        assert.deepEqual(splitAtSignature('Please act.\n\nThanks', 'Jane Doe'), {
+            closing: 'Please act.\n\nThanks',
+            signoff: 'Jane Doe'
+        });
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { filterRows, sortRows, columnValues, toCsv } = require('../progress-table.js');
+
+const rows = [
+    { riding: 'Ottawa Centre', province: 'ON', mp: 'Yasir Naqvi', party: 'Liberal', count: 3 },
+    { riding: 'Vancouver East', province: 'BC', mp: 'Jenny Kwan', party: 'NDP', count: 0 },
+    { riding: 'Calgary Centre', province: 'AB', mp: 'Greg McLean', party: 'Conservative', count: 3 },
+    { riding: 'Nunavut', province: null, mp: null, party: null, count: 1 }
+];
+
+describe('filterRows', () => {
+    it('filters by province and party', () => {
+        assert.deepEqual(filterRows(rows, { province: 'ON' }).map(row => row.riding), ['Ottawa Centre']);
+        assert.deepEqual(filterRows(rows, { party: 'NDP' }).map(row => row.riding), ['Vancouver East']);
+        assert.deepEqual(filterRows(rows, { province: 'ON', party: 'NDP' }), []);
+    });
+
+    it('keeps every row for empty filters', () => {
+        assert.equal(filterRows(rows, { province: '', party: '' }).length, 4);
+        assert.equal(filterRows(rows).length, 4);
+    });
+});
+
+describe('sortRows', () => {
+    it('sorts by letters, fewest first, ties by riding', () => {
+        assert.deepEqual(sortRows(rows).map(row => row.riding),
+            ['Vancouver East', 'Nunavut', 'Calgary Centre', 'Ottawa Centre']);
+        assert.deepEqual(sortRows(rows, 'count', true).map(row => row.riding),
+            ['Calgary Centre', 'Ottawa Centre', 'Nunavut', 'Vancouver East']);
+    });
+
+    it('sorts text columns, with missing values last either way', () => {
+        assert.deepEqual(sortRows(rows, 'party').map(row => row.party), ['Conservative', 'Liberal', 'NDP', null]);
+        assert.deepEqual(sortRows(rows, 'party', true).map(row => row.party), ['NDP', 'Liberal', 'Conservative', null]);
+    });
+
+    it('leaves the rows it was given alone', () => {
+        sortRows(rows, 'riding');
+        assert.equal(rows[0].riding, 'Ottawa Centre');
+    });
+});
+
+describe('columnValues', () => {
+    it('lists the distinct values, sorted', () => {
+        assert.deepEqual(columnValues(rows, 'province'), ['AB', 'BC', 'ON']);
+        assert.deepEqual(columnValues([...rows, rows[0]], 'party'), ['Conservative', 'Liberal', 'NDP']);
+    });
+});
+
+describe('toCsv', () => {
+    it('writes a header and a CRLF line per row', () => {
+        assert.equal(toCsv(rows.slice(0, 2)),
+            'riding,province,mp,party,count\r\n' +
+            'Ottawa Centre,ON,Yasir Naqvi,Liberal,3\r\n' +
+            'Vancouver East,BC,Jenny Kwan,NDP,0\r\n');
+    });
+
+    it('uses the given header and leaves missing values empty', () => {
+        assert.equal(toCsv([rows[3]], ['Circonscription', 'Province', 'Député', 'Parti', 'Lettres']),
+            'Circonscription,Province,Député,Parti,Lettres\r\nNunavut,,,,1\r\n');
+    });
+
+    it('quotes commas, quotes and line breaks', () => {
+        const csv = toCsv([{ riding: 'Beauport, "Limoilou"', province: 'QC', mp: 'A\nB', party: null, count: 0 }]);
+        assert.equal(csv.split('\r\n')[1], '"Beauport, ""Limoilou""",QC,"A\nB",,0');
+    });
+
+    it('defuses values a spreadsheet would run as a formula', () => {
+        const csv = toCsv([{ riding: '=HYPERLINK("x")', province: 'ON', mp: '+1', party: '@x', count: 2 }]);
+        assert.equal(csv.split('\r\n')[1], '"\'=HYPERLINK(""x"")",ON,\'+1,\'@x,2');
+    });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildProgress } = require('../lib/progress.js');
+const { createFallbackLookup } = require('../lib/fallback.js');
+const { createResponse } = require('./helpers/response.js');
+const { createHouseOfCommonsUpstream } = require('./helpers/house-of-commons.js');
+
+// OpenNorth House of Commons representatives, as lookupHouseOfCommons returns them
+const MPS = [
+    {
+        name: 'Yasir Naqvi', elected_office: 'MP', representative_set_name: 'House of Commons',
+        district_name: 'Ottawa Centre', party_name: 'Liberal',
+        related: { boundary_url: '/boundaries/federal-electoral-districts-2023/35075/' }
+    },
+    {
+        name: 'Steven Guilbeault', elected_office: 'MP', representative_set_name: 'House of Commons',
+        district_name: 'Laurier—Sainte-Marie', party_name: 'Liberal',
+        related: { boundary_url: '/boundaries/federal-electoral-districts-2023/24039/' }
+    },
+    {
+        name: 'Jenny Kwan', elected_office: 'MP', representative_set_name: 'House of Commons',
+        district_name: 'Vancouver East', party_name: 'NDP', province: 'BC'
+    }
+];
+
+describe('buildProgress', () => {
+    it('lists every riding with its MP and letters sent', () => {
+        const progress = buildProgress({ 'Ottawa Centre': 3 }, { representatives_centroid: MPS });
+
+        assert.equal(progress.source, 'live');
+        assert.equal(progress.total, 3);
+        assert.deepEqual(progress.ridings, [
+            { riding: 'Ottawa Centre', province: 'ON', mp: 'Yasir Naqvi', party: 'Liberal', count: 3 },
+            { riding: 'Laurier—Sainte-Marie', province: 'QC', mp: 'Steven Guilbeault', party: 'Liberal', count: 0 },
+            { riding: 'Vancouver East', province: 'BC', mp: 'Jenny Kwan', party: 'NDP', count: 0 }
+        ]);
+    });
+
+    it('matches riding names written differently', () => {
+        const progress = buildProgress({ 'Laurier-Sainte-Marie': 2, 'laurier—sainte-marie': 1 }, { representatives_centroid: MPS });
+        assert.equal(progress.ridings[1].count, 3);
+    });
+
+    it('leaves out ridings with no MP', () => {
+        const progress = buildProgress({ 'Nunavut': 4, '<b>Buy now</b>': 1, 'Ottawa Centre': 1 }, { representatives_centroid: MPS });
+
+        assert.equal(progress.total, 1);
+        assert.equal(progress.ridings.length, 3);
+        assert.ok(!JSON.stringify(progress).includes('Buy now'));
+    });
+
+    it('works from the bundled roster when OpenNorth is down', () => {
+        const fallback = createFallbackLookup().all();
+        const progress = buildProgress({}, fallback);
+
+        assert.equal(progress.source, 'fallback');
+        assert.equal(progress.ridings.length, fallback.representatives_centroid.length);
+        assert.ok(progress.ridings.every(row => row.province && row.mp));
+    });
+});
+
+describe('/api/progress', () => {
+    const upstream = createHouseOfCommonsUpstream(MPS);
+    let dir;
+    let handler;
+    let ipCounter = 0;
+
+    async function request(method, query) {
+        // Fresh IP per request so the rate limiter stays out of the way
+        const res = createResponse();
+        await handler({ method, query, headers: { 'x-forwarded-for': `198.51.100.${++ipCounter}` } }, res);
+        return res;
+    }
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-progress-'));
+        process.env.ACTION_COUNT_FILE = path.join(dir, 'counts.json');
+        fs.writeFileSync(process.env.ACTION_COUNT_FILE, JSON.stringify({
+            counts: {
+                'default:federal:Ottawa Centre': { '2025-06-01': 2, '2025-06-02': 1 },
+                'default:federal:Not A Riding': { '2025-06-01': 7 },
+                'default:provincial:Ottawa Centre': { '2025-06-01': 5 },
+                'vigil:federal:Ottawa Centre': { '2025-06-01': 9 }
+            }
+        }));
+        await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+        process.env.REPRESENT_API_BASE = `http://127.0.0.1:${upstream.address().port}`;
+        handler = (await import('../api/progress.js')).default;
+    });
+
+    after(() => {
+        upstream.closeAllConnections();
+        upstream.close();
+        delete process.env.ACTION_COUNT_FILE;
+        delete process.env.REPRESENT_API_BASE;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('reports the campaign\'s federal letters per riding', async () => {
+        const res = await request('GET', {});
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.campaign, 'default');
+        assert.equal(res.body.source, 'live');
+        assert.equal(res.body.total, 3);
+        assert.deepEqual(res.body.ridings.map(row => row.riding), ['Ottawa Centre', 'Laurier—Sainte-Marie', 'Vancouver East']);
+        assert.equal(res.body.ridings[0].count, 3);
+        assert.match(res.headers['Cache-Control'], /s-maxage=60/);
+    });
+
+    it('rejects unknown campaigns and methods', async () => {
+        assert.equal((await request('GET', { campaign: 'vigil' })).body.code, 'CAMPAIGN_NOT_FOUND');
+        assert.equal((await request('GET', { campaign: '../x' })).body.code, 'INVALID_CAMPAIGN');
+        assert.equal((await request('POST', {})).statusCode, 405);
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+    PROVINCES,
+    provincesForPostalCode,
+    postalCodeMatchesProvince,
+    cityMatches,
+    provinceForFedCode,
+    provinceFromBoundaryUrl
+} = require('../provinces.js');
+
+describe('PROVINCES', () => {
+    it('matches the province menu on the page', () => {
+        const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+        const menu = /<select id="province"[^>]*>([\s\S]*?)<\/select>/.exec(html)[1];
+        const options = [...menu.matchAll(/<option value="(\w+)"/g)].map(match => match[1]);
+        assert.deepEqual(options, PROVINCES);
+    });
+});
+
+describe('provincesForPostalCode', () => {
+    it('maps the first letter to its province', () => {
+        assert.deepEqual(provincesForPostalCode('V6B 1A1'), ['BC']);
+        assert.deepEqual(provincesForPostalCode('h2x1y4'), ['QC']);
+        assert.deepEqual(provincesForPostalCode('K1A0A6'), ['ON']);
+        assert.deepEqual(provincesForPostalCode('Y1A'), ['YT']);
+    });
+
+    it('gives both territories for X', () => {
+        assert.deepEqual(provincesForPostalCode('X0A 0H0'), ['NT', 'NU']);
+    });
+
+    it('returns nothing for unknown or missing codes', () => {
+        assert.deepEqual(provincesForPostalCode('D1A1A1'), []);
+        assert.deepEqual(provincesForPostalCode(''), []);
+        assert.deepEqual(provincesForPostalCode(null), []);
+    });
+});
+
+describe('cityMatches', () => {
+    it('catches a city the postal code isn\'t in', () => {
+        assert.equal(cityMatches('Vancouver', 'Montréal'), false);
+    });
+
+    it('ignores accents, case, punctuation and abbreviated saints', () => {
+        assert.equal(cityMatches('montreal', 'Montréal'), true);
+        assert.equal(cityMatches('St. John\'s', 'Saint John\'s'), true);
+        assert.equal(cityMatches('Ste-Foy', 'Sainte-Foy'), true);
+        assert.equal(cityMatches(' Trois Rivieres ', 'Trois-Rivières'), true);
+    });
+
+    it('only reports real mismatches', () => {
+        assert.equal(cityMatches('', 'Ottawa'), true);
+        assert.equal(cityMatches('Ottawa', null), true);
+    });
+});
+
+describe('postalCodeMatchesProvince', () => {
+    it('catches a postal code from another province', () => {
+        assert.equal(postalCodeMatchesProvince('H2X1Y4', 'ON'), false);
+        assert.equal(postalCodeMatchesProvince('H2X1Y4', 'QC'), true);
+    });
+
+    it('accepts either territory for X', () => {
+        assert.equal(postalCodeMatchesProvince('X0A0H0', 'NU'), true);
+        assert.equal(postalCodeMatchesProvince('X1A1A1', 'NT'), true);
+        assert.equal(postalCodeMatchesProvince('X1A1A1', 'YT'), false);
+    });
+
+    it('only reports real mismatches', () => {
+        assert.equal(postalCodeMatchesProvince('H2X1Y4', ''), true);
+        assert.equal(postalCodeMatchesProvince('', 'ON'), true);
+        assert.equal(postalCodeMatchesProvince('D1A1A1', 'ON'), true);
+    });
+});
+
+describe('provinceForFedCode', () => {
+    it('reads the SGC province code', () => {
+        assert.equal(provinceForFedCode('35075'), 'ON');
+        assert.equal(provinceForFedCode('24013'), 'QC');
+        assert.equal(provinceForFedCode('62001'), 'NU');
+        assert.equal(provinceForFedCode(59035), 'BC');
+    });
+
+    it('returns null for anything else', () => {
+        assert.equal(provinceForFedCode('99001'), null);
+        assert.equal(provinceForFedCode('3507'), null);
+        assert.equal(provinceForFedCode(undefined), null);
+    });
+});
+
+describe('provinceFromBoundaryUrl', () => {
+    it('reads federal riding boundaries', () => {
+        assert.equal(provinceFromBoundaryUrl('/boundaries/federal-electoral-districts-2023/35075/'), 'ON');
+        assert.equal(provinceFromBoundaryUrl('/boundaries/federal-electoral-districts/59035/'), 'BC');
+    });
+
+    it('ignores other boundaries', () => {
+        assert.equal(provinceFromBoundaryUrl('/boundaries/ontario-electoral-districts-representation-act-2015/35075/'), null);
+        assert.equal(provinceFromBoundaryUrl('/boundaries/toronto-wards-2018/1/'), null);
+        assert.equal(provinceFromBoundaryUrl(undefined), null);
+    });
+});
@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePostalCode, normalizePoint } = require('../lib/represent-lookup.js');
+
+describe('normalizePostalCode', () => {
+    it('removes spaces and uppercases', () => {
+        assert.equal(normalizePostalCode(' k1a 0a6 '), 'K1A0A6');
+    });
+
+    it('rejects malformed postal codes', () => {
+        assert.equal(normalizePostalCode('12345'), null);
+        assert.equal(normalizePostalCode(''), null);
+        assert.equal(normalizePostalCode(undefined), null);
+        assert.equal(normalizePostalCode(['K1A0A6']), null);
+    });
+});
+
+describe('normalizePoint', () => {
+    it('rounds coordinates to 4 decimal places', () => {
+        assert.deepEqual(normalizePoint('45.421530', '-75.697193'), { point: { lat: 45.4215, lng: -75.6972 } });
+    });
+
+    it('rejects non-numeric coordinates', () => {
+        assert.equal(normalizePoint('abc', '-75.69').code, 'INVALID_COORDINATES');
+        assert.equal(normalizePoint('45.42', undefined).code, 'INVALID_COORDINATES');
+        assert.equal(normalizePoint('45.42', '1e3').code, 'INVALID_COORDINATES');
+    });
+
+    it('rejects coordinates outside Canada', () => {
+        // New York City
+        assert.equal(normalizePoint('40.7128', '-74.0060').code, 'OUTSIDE_CANADA');
+        // London, UK
+        assert.equal(normalizePoint('51.5072', '-0.1276').code, 'OUTSIDE_CANADA');
+    });
+
+    it('accepts points across Canada', () => {
+        // Victoria, Alert (NU), St. John's
+        assert.ok(normalizePoint('48.4284', '-123.3656').point);
+        assert.ok(normalizePoint('82.5018', '-62.3481').point);
+        assert.ok(normalizePoint('47.5615', '-52.7126').point);
+    });
+});
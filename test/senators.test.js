@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getSenators, PROVINCES } = require('../lib/senators.js');
+const bundled = require('../data/senators.json');
+
+const roster = {
+    version: 'test',
+    completeProvinces: ['ON', 'QC', 'NU'],
+    senators: [
+        { name: 'Zoe Zed', province: 'ON', affiliation: 'ISG', email: 'zoe.zed@sen.parl.gc.ca' },
+        { name: 'Amy Able', province: 'ON', email: 'amy.able@sen.parl.gc.ca' },
+        { name: 'Bob Bee', province: 'QC', affiliation: 'C', email: 'bob.bee@sen.parl.gc.ca' }
+    ]
+};
+
+describe('getSenators', () => {
+    it('returns the senators for a province, sorted by name', () => {
+        assert.deepEqual(getSenators('ON', roster), [
+            { name: 'Amy Able', email: 'amy.able@sen.parl.gc.ca', affiliation: null },
+            { name: 'Zoe Zed', email: 'zoe.zed@sen.parl.gc.ca', affiliation: 'ISG' }
+        ]);
+    });
+
+    it('accepts lowercase codes', () => {
+        assert.equal(getSenators('qc', roster).length, 1);
+    });
+
+    it('returns an empty list for a province with no listed senators', () => {
+        assert.deepEqual(getSenators('NU', roster), []);
+    });
+
+    it('returns an empty list for a province the roster doesn\'t list in full', () => {
+        const partial = { ...roster, completeProvinces: ['QC'] };
+        assert.deepEqual(getSenators('ON', partial), []);
+        assert.deepEqual(getSenators('ON', { version: 'test', senators: roster.senators }), []);
+    });
+
+    it('returns null for unknown provinces', () => {
+        assert.equal(getSenators('XX', roster), null);
+        assert.equal(getSenators(undefined, roster), null);
+    });
+
+    it('only lists known provinces in the bundled roster', () => {
+        for (const province of PROVINCES) {
+            for (const senator of getSenators(province)) {
+                assert.match(senator.email, /@sen\.parl\.gc\.ca$/);
+            }
+        }
+    });
+
+    it('lists at least one senator for every province it offers', () => {
+        for (const province of bundled.completeProvinces) {
+            assert.ok(PROVINCES.includes(province), province);
+            assert.ok(getSenators(province).length > 0, province);
+        }
+    });
+
+    it('lists at least one senator for every province and territory', () => {
+        assert.deepEqual(PROVINCES.filter(province => getSenators(province).length === 0), []);
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+    RIDING_COUNT,
+    ridingId,
+    buildRoster,
+    buildOverrides,
+    rosterProblems,
+    buildFsaIndex,
+    unreachableRidings,
+    formatDataFile
+} = require('../scripts/update-mp-data.js');
+
+// OpenNorth House of Commons representatives
+const REPS = [
+    {
+        name: 'Yasir Naqvi', elected_office: 'MP', representative_set_name: 'House of Commons',
+        district_name: 'Ottawa Centre', party_name: 'Liberal', email: 'Yasir.Naqvi@parl.gc.ca',
+        related: { boundary_url: '/boundaries/federal-electoral-districts-2023/35075/' }
+    },
+    {
+        name: 'Joanne Thompson', elected_office: 'MP', representative_set_name: 'House of Commons',
+        district_name: "St. John's East", party_name: 'Liberal',
+        related: { boundary_url: '/boundaries/federal-electoral-districts-2023/10006/' }
+    },
+    { name: 'Some Councillor', elected_office: 'Councillor', representative_set_name: 'Toronto City Council' }
+];
+
+describe('ridingId', () => {
+    it('matches the ids in the bundled roster', () => {
+        assert.equal(ridingId("St. John's East"), 'st-johns-east');
+        assert.equal(ridingId('Ville-Marie—Le Sud-Ouest—Île-des-Soeurs'), 'ville-marie-le-sud-ouest-ile-des-soeurs');
+    });
+});
+
+describe('buildRoster', () => {
+    it('keeps every MP with their riding, code and province', () => {
+        assert.deepEqual(buildRoster(REPS, '2025-07-01'), {
+            version: '2025-07-01',
+            description: buildRoster([], '').description,
+            ridings: [
+                { id: 'st-johns-east', fed: '10006', name: "St. John's East", province: 'NL', mp: { name: 'Joanne Thompson', party: 'Liberal', email: '' } },
+                { id: 'ottawa-centre', fed: '35075', name: 'Ottawa Centre', province: 'ON', mp: { name: 'Yasir Naqvi', party: 'Liberal', email: 'yasir.naqvi@parl.gc.ca' } }
+            ]
+        });
+    });
+
+    it('reports what makes a roster incomplete', () => {
+        const problems = rosterProblems(buildRoster(REPS, 'test'));
+        assert.ok(problems.includes(`2 ridings instead of ${RIDING_COUNT}`));
+        assert.ok(problems.includes('no ridings in QC'));
+        assert.ok(!problems.includes('no ridings in ON'));
+    });
+});
+
+describe('buildFsaIndex', () => {
+    const roster = buildRoster(REPS, 'test');
+
+    it('lists every riding an FSA overlaps, once', () => {
+        const index = buildFsaIndex('fsa,fed\nK1P,35075\nA1B,10006\nk1p,35075\n\n', roster, 'test');
+        assert.deepEqual(index.fsa, { A1B: ['st-johns-east'], K1P: ['ottawa-centre'] });
+        assert.deepEqual(unreachableRidings(roster, index), []);
+        assert.deepEqual(unreachableRidings(roster, { fsa: { K1P: ['ottawa-centre'] } }), ['st-johns-east']);
+    });
+
+    it('rejects unknown ridings and malformed FSAs', () => {
+        assert.throws(() => buildFsaIndex('K1P,99999', roster, 'test'), /Line 1/);
+        assert.throws(() => buildFsaIndex('K1P,35075\nK1,35075', roster, 'test'), /Line 2/);
+    });
+});
+
+describe('buildOverrides', () => {
+    it('keeps the MPs whose published address isn\'t the guessed one', () => {
+        const reps = [
+            { name: 'Jenny Kwan', elected_office: 'MP', email: 'jenny.kwan@parl.gc.ca' },
+            { name: 'Robert Example', elected_office: 'MP', email: 'Bob.Example@parl.gc.ca' },
+            { name: 'Tako Van Popta', elected_office: 'MP', email: 'tako.vanpopta@parl.gc.ca' },
+            { name: 'Alex Office', elected_office: 'MP', email: 'constituency@example.com' },
+            { name: 'No Email', elected_office: 'MP' }
+        ];
+
+        assert.deepEqual(buildOverrides(reps, '2025-07-01', 'Overrides'), {
+            version: '2025-07-01',
+            description: 'Overrides',
+            overrides: [{ name: 'Robert Example', email: 'bob.example@parl.gc.ca' }]
+        });
+    });
+});
+
+describe('formatDataFile', () => {
+    it('writes the bundled files as they are laid out', () => {
+        for (const [file, listKey] of [['mp-roster.json', 'ridings'], ['fsa-ridings.json', 'fsa'], ['mp-email-overrides.json', 'overrides']]) {
+            const text = fs.readFileSync(path.join(__dirname, '..', 'data', file), 'utf8');
+            assert.equal(formatDataFile(JSON.parse(text), listKey), text);
+        }
+    });
+});
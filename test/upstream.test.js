@@ -0,0 +1,182 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const {
+    createCircuitBreaker,
+    fetchUpstream,
+    backoffDelay
+} = require('../lib/upstream.js');
+
+/**
+ * Local fake upstream. Each request shifts the next behaviour off `queue`:
+ * a status code, or 'hang' to never respond.
+ */
+function createFakeUpstream() {
+    const state = { queue: [], requests: 0 };
+    const server = http.createServer((req, res) => {
+        state.requests++;
+        const next = state.queue.length ? state.queue.shift() : 200;
+        if (next === 'hang') {
+            return;
+        }
+        res.writeHead(next, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status: next }));
+    });
+    return { server, state };
+}
+
+const noSleep = () => Promise.resolve();
+
+describe('fetchUpstream against a fake upstream', () => {
+    const { server, state } = createFakeUpstream();
+    let baseUrl;
+
+    before(async () => {
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    function reset(queue) {
+        state.queue = queue;
+        state.requests = 0;
+    }
+
+    it('returns successful responses without retrying', async () => {
+        reset([200]);
+        const response = await fetchUpstream(`${baseUrl}/postcodes/K1A0A6/`, {}, { sleep: noSleep });
+        assert.equal(response.status, 200);
+        assert.equal(state.requests, 1);
+    });
+
+    it('does not retry 4xx responses', async () => {
+        reset([404]);
+        const response = await fetchUpstream(`${baseUrl}/`, {}, { sleep: noSleep });
+        assert.equal(response.status, 404);
+        assert.equal(state.requests, 1);
+    });
+
+    it('retries 5xx responses and succeeds', async () => {
+        reset([503, 500, 200]);
+        const response = await fetchUpstream(`${baseUrl}/`, {}, { retries: 2, sleep: noSleep });
+        assert.equal(response.status, 200);
+        assert.equal(state.requests, 3);
+    });
+
+    it('throws UpstreamError when retries are exhausted', async () => {
+        reset([500, 502, 503]);
+        await assert.rejects(
+            fetchUpstream(`${baseUrl}/`, {}, { retries: 2, sleep: noSleep }),
+            { name: 'UpstreamError', status: 503 }
+        );
+        assert.equal(state.requests, 3);
+    });
+
+    it('times out a hanging upstream', async () => {
+        reset(['hang']);
+        await assert.rejects(
+            fetchUpstream(`${baseUrl}/`, {}, { retries: 0, timeoutMs: 50 }),
+            { name: 'TimeoutError' }
+        );
+    });
+
+    it('opens the breaker after repeated failures and fails fast', async () => {
+        const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 10_000 });
+        reset([500, 500]);
+
+        for (let i = 0; i < 2; i++) {
+            await assert.rejects(
+                fetchUpstream(`${baseUrl}/`, {}, { retries: 0, breaker, sleep: noSleep }),
+                { name: 'UpstreamError' }
+            );
+        }
+        assert.equal(breaker.getState().state, 'open');
+
+        await assert.rejects(
+            fetchUpstream(`${baseUrl}/`, {}, { retries: 0, breaker, sleep: noSleep }),
+            (error) => error.name === 'CircuitOpenError' && error.retryAfter === 10
+        );
+        assert.equal(state.requests, 2, 'open breaker must not reach the upstream');
+    });
+});
+
+describe('createCircuitBreaker', () => {
+    function createClock() {
+        let time = 0;
+        return { now: () => time, advance: (ms) => { time += ms; } };
+    }
+
+    it('starts closed', () => {
+        const breaker = createCircuitBreaker();
+        assert.deepEqual(breaker.getState(), { state: 'closed', failures: 0, retryAfter: 0 });
+        assert.equal(breaker.canRequest(), true);
+    });
+
+    it('allows a single trial request once the cooldown elapses', () => {
+        const clock = createClock();
+        const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: clock.now });
+        breaker.recordFailure();
+        assert.equal(breaker.canRequest(), false);
+        assert.equal(breaker.getState().retryAfter, 1);
+
+        clock.advance(1000);
+        assert.equal(breaker.getState().state, 'half-open');
+        assert.equal(breaker.canRequest(), true);
+        assert.equal(breaker.canRequest(), false, 'only one trial at a time');
+        assert.equal(breaker.getState().retryAfter, 1, 'callers turned away during the trial get a Retry-After');
+    });
+
+    it('tells callers turned away during the trial when to retry', async () => {
+        const clock = createClock();
+        const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: clock.now });
+        breaker.recordFailure();
+        clock.advance(1000);
+        breaker.canRequest();
+
+        await assert.rejects(
+            fetchUpstream('http://127.0.0.1:1/', {}, { breaker, sleep: async () => {} }),
+            (error) => error.name === 'CircuitOpenError' && error.retryAfter === 1
+        );
+    });
+
+    it('closes after a successful trial', () => {
+        const clock = createClock();
+        const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: clock.now });
+        breaker.recordFailure();
+        clock.advance(1000);
+        breaker.canRequest();
+        breaker.recordSuccess();
+
+        assert.deepEqual(breaker.getState(), { state: 'closed', failures: 0, retryAfter: 0 });
+    });
+
+    it('re-opens after a failed trial', () => {
+        const clock = createClock();
+        const breaker = createCircuitBreaker({ failureThreshold: 3, cooldownMs: 1000, now: clock.now });
+        breaker.recordFailure();
+        breaker.recordFailure();
+        breaker.recordFailure();
+        clock.advance(1000);
+        breaker.canRequest();
+        breaker.recordFailure();
+
+        assert.equal(breaker.getState().state, 'open');
+    });
+});
+
+describe('backoffDelay', () => {
+    it('grows exponentially up to the cap', () => {
+        const max = () => 0.999999;
+        assert.equal(backoffDelay(0, 100, 1000, max), 99);
+        assert.equal(backoffDelay(2, 100, 1000, max), 399);
+        assert.equal(backoffDelay(10, 100, 1000, max), 999);
+    });
+
+    it('applies full jitter', () => {
+        assert.equal(backoffDelay(3, 100, 1000, () => 0), 0);
+    });
+});
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Run the page scripts in a fresh browser-like global, the way the widget
+ * loads them (with data-namespace) or the way a page does (without)
+ */
+function loadScripts(files, namespace, hostGlobals = {}) {
+    const context = vm.createContext({
+        ...hostGlobals,
+        document: { currentScript: { dataset: namespace ? { namespace } : {} } }
+    });
+    context.self = context;
+    if (namespace) {
+        context[namespace] = {};
+    }
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+const MODULES = [
+    ['i18n.js', 'I18n'],
+    ['letter-template.js', 'LetterTemplate'],
+    ['mail-links.js', 'MailLinks'],
+    ['campaign-letter.js', 'CampaignLetter'],
+    ['api-client.js', 'ApiClient'],
+    ['provinces.js', 'Provinces'],
+    ['deep-link.js', 'DeepLink']
+];
+
+describe('shared modules loaded by the widget', () => {
+    it('stay in the widget\'s namespace, clear of the host page\'s globals', () => {
+        const context = loadScripts(MODULES.map(([file]) => file), 'MpContactWidgetModules');
+        const modules = context.MpContactWidgetModules;
+
+        MODULES.forEach(([, name]) => {
+            assert.equal(typeof modules[name], 'object', name);
+            assert.equal(context[name], undefined, `${name} must not be a global`);
+        });
+        assert.deepEqual([...modules.Provinces.PROVINCES], require('../provinces.js').PROVINCES);
+    });
+
+    it('use each other from the namespace, not a host page module of the same name', () => {
+        const hostI18n = { translate: () => 'host page' };
+        const context = loadScripts(['i18n.js', 'letter-template.js', 'campaign-letter.js'], 'MpContactWidgetModules', { I18n: hostI18n });
+
+        const { CampaignLetter } = context.MpContactWidgetModules;
+        assert.equal(CampaignLetter.getSalutation({ name: 'Yasir Naqvi', level: 'federal' }, 'en'), 'Dear Yasir Naqvi');
+        assert.equal(context.I18n, hostI18n);
+    });
+
+    it('are globals on the site\'s own pages', () => {
+        const context = loadScripts(['i18n.js', 'provinces.js']);
+        assert.equal(typeof context.I18n, 'object');
+        assert.equal(typeof context.Provinces, 'object');
+    });
+});
@@ -0,0 +1,420 @@
+/**
+ * Embeddable letter-writing widget for partner sites.
+ *
+ *   <script src="https://<this site>/widget.js" defer></script>
+ *   <mp-contact-widget campaign="default" lang="fr"></mp-contact-widget>
+ *
+ * Attributes:
+ *   campaign  campaign name (see campaigns/); the default campaign when omitted
+ *   api-base  site whose API is called; defaults to the site serving widget.js
+ *   lang      interface language (en, fr or fa); detected from the browser
+ *             when omitted
+ *
+ * The form, lookup and send buttons render in a Shadow DOM, so the host
+ * page's styles neither leak in nor get overridden. Lookups, letters and
+ * mail links reuse the page's own modules, loaded from the same site into
+ * the widget's own namespace (window.MpContactWidgetModules), so they
+ * neither clash with nor add to the host page's globals.
+ *
+ * The element dispatches a `contact-mp` event ({ detail: { action } })
+ * when the user opens or copies a letter, for the partner's analytics.
+ */
+
+(function () {
+    'use strict';
+
+    // Where widget.js (and the modules it needs) is served from
+    const SCRIPT_URL = document.currentScript ? document.currentScript.src : window.location.href;
+
+    // The modules' namespace: a script loaded with data-namespace defines
+    // its module there instead of as a global of the host page
+    const NAMESPACE = 'MpContactWidgetModules';
+
+    // Shared modules, in load order, and the name each one defines
+    const DEPENDENCIES = [
+        ['i18n.js', 'I18n'],
+        ['letter-template.js', 'LetterTemplate'],
+        ['mail-links.js', 'MailLinks'],
+        ['campaign-letter.js', 'CampaignLetter'],
+        ['api-client.js', 'ApiClient'],
+        ['provinces.js', 'Provinces'],
+        ['deep-link.js', 'DeepLink']
+    ];
+
+    // Set once the modules are loaded
+    let I18n;
+    let MailLinks;
+    let CampaignLetter;
+    let ApiClient;
+    let Provinces;
+    let DeepLink;
+
+    const STYLES = `
+        :host { display: block; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; }
+        .widget { border: 1px solid #e5e7eb; border-radius: 8px; padding: 1rem; background: #fff; }
+        h2 { font-size: 1.125rem; margin: 0 0 0.75rem; }
+        label { display: block; font-size: 0.875rem; font-weight: 500; margin: 0.5rem 0 0.25rem; }
+        input, select, textarea { box-sizing: border-box; width: 100%; padding: 0.5rem; font: inherit; border: 1px solid #d1d5db; border-radius: 6px; }
+        textarea { min-height: 16rem; line-height: 1.5; }
+        .row { display: flex; gap: 0.5rem; }
+        .row > div { flex: 1; }
+        .actions { display: flex; flex-wrap: wrap; gap: 0.5rem; margin-top: 0.75rem; }
+        .btn { display: inline-block; padding: 0.5rem 1rem; border: 1px solid #1e40af; border-radius: 6px; background: #1e40af; color: #fff; font: inherit; text-decoration: none; cursor: pointer; }
+        .btn-secondary { background: #fff; color: #1e40af; }
+        .btn[disabled] { opacity: 0.6; cursor: default; }
+        .options { display: grid; gap: 0.5rem; margin: 0.5rem 0; }
+        .status { font-size: 0.875rem; margin: 0.75rem 0 0; }
+        .status.error { color: #b91c1c; }
+        .hint { font-size: 0.8125rem; color: #6b7280; margin: 0.25rem 0; }
+        .hidden { display: none !important; }
+    `;
+
+    /**
+     * Load a script once
+     */
+    function loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.dataset.namespace = NAMESPACE;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Failed to load ${src}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Load the shared modules into the widget's namespace, once
+     */
+    let dependenciesReady = null;
+    function loadDependencies() {
+        if (!dependenciesReady) {
+            const modules = window[NAMESPACE] = window[NAMESPACE] || {};
+            dependenciesReady = DEPENDENCIES.reduce((ready, [file, name]) => ready.then(() => (
+                modules[name] ? null : loadScript(new URL(file, SCRIPT_URL).href)
+            )), Promise.resolve()).then(() => {
+                ({ I18n, MailLinks, CampaignLetter, ApiClient, Provinces, DeepLink } = modules);
+            });
+        }
+        return dependenciesReady;
+    }
+
+    /**
+     * Create an element with attributes, properties and children
+     */
+    function h(tag, props = {}, ...children) {
+        const element = document.createElement(tag);
+        Object.entries(props).forEach(([name, value]) => {
+            if (name in element) {
+                element[name] = value;
+            } else {
+                element.setAttribute(name, value);
+            }
+        });
+        children.forEach(child => element.append(child));
+        return element;
+    }
+
+    class MpContactWidget extends HTMLElement {
+        connectedCallback() {
+            if (this.shadowRoot) {
+                return;
+            }
+            this.attachShadow({ mode: 'open' });
+
+            loadDependencies()
+                .then(() => this.init())
+                .catch(error => {
+                    console.error('Error loading the contact widget:', error);
+                    this.shadowRoot.textContent = 'Unable to load this form. Please try again later.';
+                });
+        }
+
+        /**
+         * Set up state and render the form once the modules are loaded
+         */
+        init() {
+            this.language = I18n.detectLanguage({
+                chosen: this.getAttribute('lang'),
+                preferred: navigator.languages || [navigator.language]
+            });
+            this.api = ApiClient.createApiClient({
+                base: this.getAttribute('api-base') || new URL(SCRIPT_URL).origin,
+                language: () => this.language
+            });
+            this.campaign = null;
+            this.rep = null;
+            this.sender = null;
+
+            this.render();
+
+            this.campaignReady = this.loadCampaign();
+            this.campaignReady.catch(error => {
+                console.error('Error loading campaign:', error);
+                this.showStatus(this.t('error.campaignLoad'), true);
+            });
+        }
+
+        /**
+         * Translate a message key into the widget's language
+         */
+        t(key, params) {
+            return I18n.translate(this.language, key, params);
+        }
+
+        /**
+         * Load the campaign named by the `campaign` attribute, falling back
+         * to the default campaign like the main page does
+         */
+        async loadCampaign() {
+            const name = this.getAttribute('campaign') || '';
+            try {
+                this.campaign = await this.api.fetchCampaign(name);
+            } catch (error) {
+                if (!name) {
+                    throw error;
+                }
+                this.showStatus(this.t(error.code === 'CAMPAIGN_INACTIVE' ? 'error.campaignInactive' : 'error.campaignNotFound'), true);
+                this.campaign = await this.api.fetchCampaign('');
+            }
+        }
+
+        /**
+         * Build a labelled form field
+         */
+        field(name, labelKey, input) {
+            input.id = name;
+            input.name = name;
+            return h('div', {}, h('label', { for: name, textContent: this.t(labelKey) }), input);
+        }
+
+        render() {
+            const t = this.t.bind(this);
+
+            const province = h('select', { required: true },
+                h('option', { value: '', textContent: t('form.selectProvince') }),
+                ...Provinces.PROVINCES.map(code => h('option', { value: code, textContent: t(`province.${code}`) }))
+            );
+            const level = h('select', {},
+                ...DeepLink.LEVELS.map(code => h('option', { value: code, textContent: t(`level.${code}`) }))
+            );
+
+            this.form = h('form', {},
+                h('h2', { textContent: t('form.legend') }),
+                h('div', { class: 'row' },
+                    this.field('firstName', 'form.firstName', h('input', { type: 'text', required: true, autocomplete: 'given-name', dir: 'auto' })),
+                    this.field('lastName', 'form.lastName', h('input', { type: 'text', required: true, autocomplete: 'family-name', dir: 'auto' }))
+                ),
+                this.field('email', 'form.email', h('input', { type: 'email', required: true, autocomplete: 'email', dir: 'ltr' })),
+                h('p', { class: 'hint', textContent: t('form.emailHint') }),
+                this.field('streetAddress', 'form.streetAddress', h('input', { type: 'text', required: true, autocomplete: 'street-address', dir: 'auto' })),
+                h('div', { class: 'row' },
+                    this.field('city', 'form.city', h('input', { type: 'text', required: true, autocomplete: 'address-level2', dir: 'auto' })),
+                    this.field('province', 'form.province', province)
+                ),
+                this.field('postalCode', 'form.postalCode', h('input', {
+                    type: 'text',
+                    required: true,
+                    autocomplete: 'postal-code',
+                    placeholder: 'A1A 1A1',
+                    maxLength: 7,
+                    pattern: '[A-Za-z]\\d[A-Za-z] ?\\d[A-Za-z]\\d',
+                    title: t('validation.postalCodeInvalid'),
+                    dir: 'ltr'
+                })),
+                this.field('level', 'form.level', level),
+                h('div', { class: 'actions' },
+                    h('button', { type: 'submit', class: 'btn', textContent: t('form.submit') })
+                )
+            );
+            this.form.addEventListener('submit', event => {
+                event.preventDefault();
+                this.lookup();
+            });
+
+            this.status = h('p', { class: 'status hidden', role: 'alert' });
+            this.options = h('div', { class: 'options hidden' });
+
+            this.recipient = h('h2');
+            this.to = h('p', { class: 'hint', dir: 'ltr' });
+            this.subject = h('input', { type: 'text', dir: 'ltr' });
+            this.body = h('textarea', { dir: 'ltr' });
+            this.mailtoLink = h('a', { class: 'btn', textContent: t('send.emailClient') });
+            this.gmailLink = h('a', { class: 'btn btn-secondary', target: '_blank', rel: 'noopener noreferrer', textContent: t('send.gmail') });
+            this.copyButton = h('button', { type: 'button', class: 'btn btn-secondary', textContent: t('send.copy') });
+            if (MailLinks.isMobile(navigator.userAgent)) {
+                this.gmailLink.classList.add('hidden');
+            }
+
+            this.result = h('div', { class: 'hidden' },
+                this.recipient,
+                this.to,
+                this.field('emailSubject', 'editor.subject', this.subject),
+                this.field('emailBody', 'editor.message', this.body),
+                h('div', { class: 'actions' }, this.mailtoLink, this.gmailLink, this.copyButton),
+                h('p', { class: 'hint', textContent: t('send.note') })
+            );
+
+            this.subject.addEventListener('input', () => this.updateLinks());
+            this.body.addEventListener('input', () => this.updateLinks());
+            this.mailtoLink.addEventListener('click', () => this.track('email-client'));
+            this.gmailLink.addEventListener('click', () => this.track('gmail'));
+            this.copyButton.addEventListener('click', () => this.copy());
+
+            this.shadowRoot.append(
+                h('style', { textContent: STYLES }),
+                h('div', { class: 'widget', lang: this.language, dir: I18n.direction(this.language) },
+                    this.form, this.status, this.options, this.result
+                )
+            );
+        }
+
+        /**
+         * Show a message under the form
+         */
+        showStatus(message, isError) {
+            this.status.textContent = message;
+            this.status.classList.toggle('error', Boolean(isError));
+            this.status.classList.toggle('hidden', !message);
+        }
+
+        /**
+         * Look up the representatives for the postal code
+         */
+        async lookup() {
+            if (!this.form.reportValidity()) {
+                return;
+            }
+
+            const values = Object.fromEntries(new FormData(this.form));
+            const { level, ...sender } = values;
+            sender.postalCode = sender.postalCode.replace(/\s+/g, '').toUpperCase();
+            this.sender = sender;
+
+            const submit = this.form.querySelector('[type="submit"]');
+            submit.disabled = true;
+            this.showStatus(this.t('form.loading'));
+            this.options.classList.add('hidden');
+            this.result.classList.add('hidden');
+
+            try {
+                await this.campaignReady;
+                const query = { postcode: sender.postalCode };
+
+                if (level === 'federal') {
+                    this.write(await this.api.fetchMp(query));
+                } else {
+                    const data = await this.api.fetchRepresentatives(query, level);
+                    this.offer(data.representatives.filter(rep => rep.email), true);
+                }
+            } catch (error) {
+                if (error.code === 'MULTIPLE_RIDINGS' && error.candidates.length) {
+                    this.showStatus(this.t('picker.hint'));
+                    this.offer(error.candidates, false);
+                    return;
+                }
+                if (error.code === 'NO_MP') {
+                    this.showStatus(this.t('error.noMp'), true);
+                    return;
+                }
+                if (error.code === 'NO_REPRESENTATIVES') {
+                    this.showStatus(this.t('error.noRepresentatives'), true);
+                    return;
+                }
+                console.error('Error looking up representatives:', error);
+                this.showStatus(error.message || this.t('error.lookupFailed'), true);
+            } finally {
+                submit.disabled = false;
+            }
+        }
+
+        /**
+         * Let the user choose between several representatives or ridings
+         * `openFirst` opens the letter to the first one straight away
+         */
+        offer(reps, openFirst) {
+            if (reps.length === 0) {
+                this.showStatus(this.t('error.noEmailAtLevel'), true);
+                return;
+            }
+
+            this.options.textContent = '';
+            reps.forEach(rep => {
+                const button = h('button', {
+                    type: 'button',
+                    class: 'btn btn-secondary',
+                    textContent: `${rep.name} — ${rep.office || rep.riding || ''}`
+                });
+                button.addEventListener('click', () => this.write(rep));
+                this.options.appendChild(button);
+            });
+            this.options.classList.toggle('hidden', reps.length < 2);
+
+            if (openFirst || reps.length === 1) {
+                this.write(reps[0]);
+            }
+        }
+
+        /**
+         * Open the letter to a representative
+         */
+        write(record) {
+            if (!record.email) {
+                this.showStatus(this.t('error.noMpEmail'), true);
+                return;
+            }
+
+            const rep = { ...record, level: record.level || 'federal', office: record.office || 'MP' };
+            const letterLanguage = I18n.letterLanguage(this.language, this.sender.postalCode);
+            this.rep = rep;
+
+            this.recipient.textContent = `${this.t(`result.title.${rep.level}`)}: ${rep.name}`;
+            this.to.textContent = `${this.t('editor.to')} ${rep.email}`;
+            this.subject.value = CampaignLetter.getLetter(this.campaign, letterLanguage).subject;
+            this.body.value = CampaignLetter.writeLetter(this.campaign, rep, this.sender, letterLanguage);
+            this.updateLinks();
+
+            this.showStatus('');
+            this.result.classList.remove('hidden');
+        }
+
+        /**
+         * Rebuild the send links from the (possibly edited) letter
+         */
+        updateLinks() {
+            const cc = CampaignLetter.getCcEmails(this.campaign, this.rep.level);
+            this.mailtoLink.href = MailLinks.generateMailtoLink(this.rep.email, this.subject.value, this.body.value, cc);
+            this.gmailLink.href = MailLinks.generateGmailLink(this.rep.email, this.subject.value, this.body.value, cc);
+        }
+
+        /**
+         * Copy the whole email to the clipboard
+         */
+        async copy() {
+            const cc = CampaignLetter.getCcEmails(this.campaign, this.rep.level);
+            const text = MailLinks.generateFullEmailText(this.rep.email, this.subject.value, this.body.value, cc);
+            try {
+                await navigator.clipboard.writeText(text);
+                this.showStatus(this.t('send.copied'));
+                this.track('copy-email');
+            } catch (error) {
+                this.showStatus(this.t('send.copyFailed'), true);
+            }
+        }
+
+        /**
+         * Tell the host page the user sent (or copied) a letter
+         */
+        track(action) {
+            this.dispatchEvent(new CustomEvent('contact-mp', {
+                bubbles: true,
+                composed: true,
+                detail: { action, level: this.rep.level }
+            }));
+        }
+    }
+
+    if (!customElements.get('mp-contact-widget')) {
+        customElements.define('mp-contact-widget', MpContactWidget);
+    }
+})();